@@ -1 +1,391 @@
-// Adapters content too long for comment; using the one provided in canvas
+/**
+ * Brothel Hacker — Platform Adapters (Multi‑Network API)
+ *
+ * Purpose: One normalized posting/insights layer for many networks.
+ * Style: Real endpoints where official APIs exist. Stubs where partner-only or no API.
+ * Safety: No scraping, no TOS bypass. Adult platforms only via official partner APIs or manual export.
+ *
+ * Usage in Express (server.js):
+ *   import { adapters, postToPlatform, capabilities } from './adapters.js'
+ *   app.get('/api/adapters', (_req,res)=> res.json({ ok:true, capabilities }))
+ *   app.post('/api/adapters/:platform/post', async (req,res)=>{
+ *     try { const data = await postToPlatform(req.params.platform, req.body); res.json({ ok:true, data }) }
+ *     catch(e){ res.status(e.status||500).json({ ok:false, error:e.message }) }
+ *   })
+ */
+
+import axios from 'axios'
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+// ----------------------------- helpers -----------------------------
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const reqd = (o,k)=> { if(!o?.[k]) err(`missing_${k}`); return o[k] }
+
+// Minimal HTTP with sane timeouts
+const http = axios.create({ timeout: 12000 })
+// Sandbox (sandbox.js): inside postToPlatform(..., { sandbox }) requests go to the recorder, not the network
+const sandboxed = new AsyncLocalStorage()
+http.interceptors.request.use((config)=> { const rec = sandboxed.getStore(); if(rec) config.adapter = (c)=> rec.handle(c); return config })
+const sleep = (ms)=> new Promise(r=> setTimeout(r, ms))
+
+// Every attached asset as {url, mime?}; `media` (library assets) wins over the single `mediaUrl`
+const mediaOf = (input)=> input.media?.length ? input.media : input.mediaUrl ? [{ url: input.mediaUrl }] : []
+const isVideo = (m)=> m.mime?.startsWith('video/') || /\.(mp4|mov|webm)(\?|$)/i.test(m.url)
+
+// Normalize inputs: {text, mediaUrl?, media?:[{url,mime?}], linkUrl?, alt?, hashtags?:[], thread?:[], firstComment?, tokens:{...}, account:{...}}
+// Adapters never trim copy to fit: run preflight (preflight.js) and publish one of its variants instead.
+
+// ----------------------------- INSTAGRAM (Graph API) -----------------------------
+async function instagramPost(input){
+  const access_token = reqd(input.tokens,'IG_TOKEN')
+  const ig_user_id   = reqd(input.account,'ig_user_id')
+  const caption = input.text || ''
+  const items = mediaOf(input)
+  if(!items.length) err('instagram_requires_mediaUrl')
+  const base = `https://graph.facebook.com/v19.0/${ig_user_id}`
+  const container = async (m, extra)=> {
+    const body = isVideo(m) ? { media_type: extra.is_carousel_item ? 'VIDEO' : 'REELS', video_url: m.url, ...extra } : { image_url: m.url, ...extra }
+    const id = (await http.post(`${base}/media`, body, { params:{ access_token }})).data.id
+    // videos must finish server-side processing before they can be published
+    for(let i = 0; isVideo(m) && i < 20; i++){
+      const st = (await http.get(`https://graph.facebook.com/v19.0/${id}`, { params:{ fields:'status_code', access_token }})).data.status_code
+      if(st==='FINISHED') break
+      if(st==='ERROR') err('instagram_video_processing_failed', 422)
+      await sleep(3000)
+    }
+    return id
+  }
+  // 1) create container (carousel: one child per asset, then the parent)
+  const creation_id = items.length > 1
+    ? (await http.post(`${base}/media`, { media_type:'CAROUSEL', caption, children: (await Promise.all(items.map(m=> container(m, { is_carousel_item:true })))).join(',') }, { params:{ access_token }})).data.id
+    : await container(items[0], { caption })
+  // 2) publish
+  const pub = await http.post(`${base}/media_publish`, { creation_id }, { params:{ access_token }})
+  // 3) optional first comment (e.g. hashtags moved out of the caption by preflight)
+  if(input.firstComment) await http.post(`https://graph.facebook.com/v19.0/${pub.data.id}/comments`, null, { params:{ message: input.firstComment, access_token }})
+  return { id: pub.data.id }
+}
+
+// ----------------------------- FACEBOOK PAGE -----------------------------
+async function facebookPost(input){
+  const token = reqd(input.tokens,'FB_PAGE_TOKEN')
+  const page_id = reqd(input.account,'page_id')
+  const items = mediaOf(input)
+  let r
+  if(items.length > 1){
+    // multi-photo: upload unpublished photos, then attach them to one feed post
+    const ids = await Promise.all(items.map(m=> http.post(`https://graph.facebook.com/v19.0/${page_id}/photos`, null, { params:{ url: m.url, published:false, access_token: token }}).then(x=> x.data.id)))
+    r = await http.post(`https://graph.facebook.com/v19.0/${page_id}/feed`, { message: input.text||'', attached_media: ids.map(media_fbid=> ({ media_fbid })) }, { params:{ access_token: token }})
+  } else {
+    r = items.length
+      ? await http.post(`https://graph.facebook.com/v19.0/${page_id}/photos`, null, { params:{ url: items[0].url, caption: input.text||'', access_token: token }})
+      : await http.post(`https://graph.facebook.com/v19.0/${page_id}/feed`, null, { params:{ message: input.text||'', access_token: token }})
+  }
+  const id = r.data.post_id || r.data.id
+  if(input.firstComment) await http.post(`https://graph.facebook.com/v19.0/${id}/comments`, null, { params:{ message: input.firstComment, access_token: token }})
+  return { id }
+}
+
+// ----------------------------- TWITTER / X (v2) -----------------------------
+async function twitterPost(input){
+  const bearer = reqd(input.tokens,'X_BEARER') // must be user-context token
+  const parts = input.thread?.length ? input.thread : [input.text || '']
+  if(parts.some(t=> [...t].length > 280)) err('text_too_long_use_thread')
+  // Threads: each tweet replies to the previous one; the first id identifies the post
+  const ids = []
+  for(const text of parts){
+    const reply = ids.length ? { reply:{ in_reply_to_tweet_id: ids.at(-1) } } : {}
+    const r = await http.post('https://api.twitter.com/2/tweets', { text, ...reply }, { headers:{ Authorization:`Bearer ${bearer}` }})
+    ids.push(r.data?.data?.id)
+  }
+  return { id: ids[0], thread: ids.length > 1 ? ids : undefined }
+}
+
+// ----------------------------- TIKTOK Business -----------------------------
+async function tiktokPost(input){
+  const token = reqd(input.tokens,'TT_ACCESS_TOKEN')
+  const advertiser_id = reqd(input.account,'advertiser_id')
+  // TikTok Content Posting is scoped; assume media previously uploaded to a public URL
+  const r = await http.post('https://business-api.tiktok.com/open_api/v1.3/file/video/ad/upload/', {
+    advertiser_id, video_url: reqd(input,'mediaUrl')
+  }, { headers:{ 'Access-Token': token }})
+  return { upload_id: r.data?.data?.id || 'uploaded' }
+}
+
+// ----------------------------- LINKEDIN (UGC Post) -----------------------------
+async function linkedinPost(input){
+  const token = reqd(input.tokens,'LI_TOKEN')
+  const urn = reqd(input.account,'author_urn') // e.g., 'urn:li:person:...'
+  const items = mediaOf(input)
+  const payload = {
+    author: urn, lifecycleState:'PUBLISHED', specificContent:{ 'com.linkedin.ugc.ShareContent':{
+      shareCommentary:{ text: input.text||'' }, shareMediaCategory: items.length? 'IMAGE':'NONE',
+      media: items.length? items.map(m=> ({ status:'READY', originalUrl: m.url, title:{ text: input.alt||'Photo' }})): undefined
+    }}, visibility:{ 'com.linkedin.ugc.MemberNetworkVisibility':'PUBLIC' }
+  }
+  const r = await http.post('https://api.linkedin.com/v2/ugcPosts', payload, { headers:{ Authorization:`Bearer ${token}` }})
+  return { id: r.headers['x-restli-id'] || 'ok' }
+}
+
+// ----------------------------- SNAPCHAT (Marketing API placeholder) -----------------------------
+async function snapchatPost(_input){ err('snapchat_posting_requires_marketing_api_and_creatives',501) }
+
+// ----------------------------- PINTEREST -----------------------------
+async function pinterestPost(input){
+  const token = reqd(input.tokens,'PIN_TOKEN')
+  const board_id = reqd(input.account,'board_id')
+  const r = await http.post('https://api.pinterest.com/v5/pins', { link: input.linkUrl||undefined, title: input.title||undefined, description: input.text||undefined, alt_text: input.alt||undefined, board_id, media_source:{ source_type:'image_url', url: reqd(input,'mediaUrl') } }, { headers:{ Authorization:`Bearer ${token}` }})
+  return { id: r.data?.id }
+}
+
+// ----------------------------- REDDIT -----------------------------
+async function redditPost(input){
+  const token = reqd(input.tokens,'REDDIT_TOKEN')
+  const sr = reqd(input.account,'subreddit')
+  const r = await http.post('https://oauth.reddit.com/api/submit', new URLSearchParams({ sr, kind: input.mediaUrl? 'image':'self', title: input.title || input.text || '', url: input.mediaUrl||'', text: input.mediaUrl? '' : input.text||'' }).toString(), { headers:{ Authorization:`Bearer ${token}`, 'Content-Type':'application/x-www-form-urlencoded' }})
+  return { status: r.status }
+}
+
+// ----------------------------- TUMBLR -----------------------------
+async function tumblrPost(input){ err('tumblr_v2_posting_require_oauth1_flow',501) }
+
+// ----------------------------- YOUTUBE (metadata stub) -----------------------------
+async function youtubePost(_input){ err('use_resumable_upload_to_youtube_data_api_v3',501) }
+
+// ----------------------------- WHATSAPP (Business Cloud) -----------------------------
+async function whatsappSend(input){
+  const token = reqd(input.tokens,'WAPP_TOKEN')
+  const phone_id = reqd(input.account,'phone_number_id')
+  const to = reqd(input,'to')
+  const r = await http.post(`https://graph.facebook.com/v19.0/${phone_id}/messages`, { messaging_product:'whatsapp', to, type:'text', text:{ body: input.text||'' } }, { headers:{ Authorization:`Bearer ${token}` }})
+  return { id: r.data?.messages?.[0]?.id }
+}
+
+// ----------------------------- DISCORD (Webhook) -----------------------------
+async function discordPost(input){
+  const url = reqd(input.tokens,'DISCORD_WEBHOOK')
+  const items = mediaOf(input).slice(0,10)
+  const r = await http.post(url, { content: input.text||'', embeds: items.length? items.map(m=> ({ image:{ url: m.url } })): undefined })
+  return { status: r.status }
+}
+
+// ----------------------------- TWITCH -----------------------------
+async function twitchPost(_input){ err('twitch_posting_not_supported; consider chat bot or channel points integration',501) }
+
+// ----------------------------- CLUBHOUSE -----------------------------
+async function clubhousePost(_input){ err('no_public_api',501) }
+
+// ----------------------------- VIMEO -----------------------------
+async function vimeoPost(_input){ err('use_vimeo_uploads_api_oauth2',501) }
+
+// ----------------------------- MEDIUM -----------------------------
+async function mediumPost(input){
+  const token = reqd(input.tokens,'MEDIUM_TOKEN')
+  const userId = reqd(input.account,'user_id')
+  const r = await http.post(`https://api.medium.com/v1/users/${userId}/posts`, { title: input.title||'Untitled', contentFormat:'markdown', content: input.text||'', publishStatus:'public' }, { headers:{ Authorization:`Bearer ${token}` }})
+  return { id: r.data?.data?.id }
+}
+
+// ----------------------------- QUORA -----------------------------
+async function quoraPost(_input){ err('no_public_content_api',501) }
+
+// ----------------------------- ONLYFANS / PORNHUB -----------------------------
+async function onlyfansPost(_input){ err('no_public_api_use_official_partner_or_manual_export',501) }
+async function pornhubPost(_input){ err('partner_api_required',501) }
+
+// ----------------------------- TELEGRAM -----------------------------
+async function telegramPost(input){
+  const token = reqd(input.tokens,'TELEGRAM_BOT_TOKEN')
+  const chat_id = reqd(input.account,'chat_id')
+  const items = mediaOf(input)
+  if(items.length > 1){
+    const media = items.slice(0,10).map((m,i)=> ({ type: isVideo(m)? 'video':'photo', media: m.url, caption: i===0 ? input.text||'' : undefined }))
+    const r = await http.post(`https://api.telegram.org/bot${token}/sendMediaGroup`, { chat_id, media })
+    return { id: r.data?.result?.[0]?.message_id }
+  } else if(items.length){
+    const m = items[0]
+    const r = isVideo(m)
+      ? await http.post(`https://api.telegram.org/bot${token}/sendVideo`, { chat_id, video: m.url, caption: input.text||'' })
+      : await http.post(`https://api.telegram.org/bot${token}/sendPhoto`, { chat_id, photo: m.url, caption: input.text||'' })
+    return { id: r.data?.result?.message_id }
+  } else {
+    const r = await http.post(`https://api.telegram.org/bot${token}/sendMessage`, { chat_id, text: input.text||'' })
+    return { id: r.data?.result?.message_id }
+  }
+}
+
+// ----------------------------- WECHAT (Official Accounts) -----------------------------
+async function wechatPost(_input){ err('requires_wechat_official_account_access_token_and_message_send_api',501) }
+
+// ----------------------------- LINE (Messaging API) -----------------------------
+async function linePost(input){
+  const token = reqd(input.tokens,'LINE_CHANNEL_TOKEN')
+  const to = reqd(input,'to')
+  const r = await http.post('https://api.line.me/v2/bot/message/push', { to, messages:[{ type:'text', text: input.text||'' }] }, { headers:{ Authorization:`Bearer ${token}` }})
+  return { status: r.status }
+}
+
+// ----------------------------- VIBER (Bot) -----------------------------
+async function viberPost(input){
+  const token = reqd(input.tokens,'VIBER_TOKEN')
+  const r = await http.post('https://chatapi.viber.com/pa/broadcast_message', { broadcast_list: input.recipients||[], type:'text', text: input.text||'' }, { headers:{ 'X-Viber-Auth-Token': token }})
+  // message_token is what delivered/seen/failed callbacks refer to
+  return { id: r.data?.message_token, status: r.status }
+}
+
+// ----------------------------- INSIGHTS -----------------------------
+// input: { tokens, account, since, until (YYYY-MM-DD), posts:[remoteId] }
+// -> { account:[{ date, cumulative?, metrics }], posts:{ [remoteId]: metrics } }
+// Daily account points add up across days; `cumulative` ones are running totals (latest wins).
+const metrics = (m)=> ({ impressions:null, reach:null, engagement:null, clicks:null, views:null, ...m })
+const today = ()=> new Date().toISOString().slice(0,10)
+const sum = (...n)=> n.reduce((a,b)=> a + (Number(b) || 0), 0)
+
+const FB_PAGE = { page_impressions:'impressions', page_impressions_unique:'reach', page_post_engagements:'engagement', page_total_actions:'clicks' }
+const FB_POST = { post_impressions:'impressions', post_impressions_unique:'reach', post_engaged_users:'engagement', post_clicks:'clicks' }
+async function facebookInsights(input){
+  const token = reqd(input.tokens,'FB_PAGE_TOKEN')
+  const page_id = reqd(input.account,'page_id')
+  const page = await http.get(`https://graph.facebook.com/v19.0/${page_id}/insights`, { params:{ metric:Object.keys(FB_PAGE).join(','), period:'day', since:input.since, until:input.until, access_token: token }})
+  // day values are stamped with the end of the (Pacific) day they cover
+  const days = {}
+  for(const row of page.data.data || []) for(const v of row.values || []){
+    const date = new Date(Date.parse(v.end_time) - 864e5).toISOString().slice(0,10)
+    const day = days[date] ||= metrics()
+    day[FB_PAGE[row.name]] = v.value
+  }
+  const posts = {}
+  for(const id of input.posts || []){
+    const r = await http.get(`https://graph.facebook.com/v19.0/${id}/insights`, { params:{ metric:Object.keys(FB_POST).join(','), access_token: token }})
+    posts[id] = metrics(Object.fromEntries((r.data.data || []).map(row=> [FB_POST[row.name], row.values?.[0]?.value ?? null])))
+  }
+  return { account: Object.entries(days).map(([date, m])=> ({ date, metrics:m })), posts }
+}
+
+async function youtubeInsights(input){
+  const headers = { Authorization:`Bearer ${reqd(input.tokens,'YT_TOKEN')}` }
+  const r = await http.get('https://youtubeanalytics.googleapis.com/v2/reports', { headers, params:{ ids:'channel==MINE', startDate:input.since, endDate:input.until, dimensions:'day', metrics:'views,likes,comments,shares' }})
+  const account = (r.data.rows || []).map(([date, views, likes, comments, shares])=> ({ date, metrics: metrics({ views, engagement: sum(likes, comments, shares) }) }))
+  const posts = {}
+  // Data API stats are lifetime totals; 50 ids per call
+  for(let i = 0; i < (input.posts || []).length; i += 50){
+    const v = await http.get('https://www.googleapis.com/youtube/v3/videos', { headers, params:{ part:'statistics', id: input.posts.slice(i, i+50).join(',') }})
+    for(const it of v.data.items || []) posts[it.id] = metrics({ views: Number(it.statistics.viewCount), engagement: sum(it.statistics.likeCount, it.statistics.commentCount) })
+  }
+  return { account, posts }
+}
+
+// Helix exposes no impressions/reach: follower total and VOD views only
+async function twitchInsights(input){
+  const headers = { Authorization:`Bearer ${reqd(input.tokens,'TWITCH_TOKEN')}`, 'Client-Id': reqd(input.tokens,'TWITCH_CLIENT_ID') }
+  const broadcaster_id = reqd(input.account,'broadcaster_id')
+  const [followers, videos] = await Promise.all([
+    http.get('https://api.twitch.tv/helix/channels/followers', { headers, params:{ broadcaster_id, first:1 }}),
+    http.get('https://api.twitch.tv/helix/videos', { headers, params:{ user_id: broadcaster_id, first:100 }}),
+  ])
+  const vods = videos.data.data || []
+  const posts = Object.fromEntries(vods.filter(v=> input.posts?.includes(v.id)).map(v=> [v.id, metrics({ views:v.view_count })]))
+  return { account:[{ date:today(), cumulative:true, metrics: metrics({ views: sum(...vods.map(v=> v.view_count)), followers: followers.data.total }) }], posts }
+}
+
+async function vimeoInsights(input){
+  const r = await http.get('https://api.vimeo.com/me/videos', { headers:{ Authorization:`bearer ${reqd(input.tokens,'VIMEO_TOKEN')}` }, params:{ per_page:100, fields:'uri,stats.plays,metadata.connections.likes.total,metadata.connections.comments.total' }})
+  const rows = (r.data.data || []).map(v=> ({ id: v.uri.split('/').pop(), m: metrics({ views: v.stats?.plays ?? null, engagement: sum(v.metadata?.connections?.likes?.total, v.metadata?.connections?.comments?.total) }) }))
+  const posts = Object.fromEntries(rows.filter(v=> input.posts?.includes(v.id)).map(v=> [v.id, v.m]))
+  return { account:[{ date:today(), cumulative:true, metrics: metrics({ views: sum(...rows.map(v=> v.m.views)), engagement: sum(...rows.map(v=> v.m.engagement)) }) }], posts }
+}
+
+export const adapters = {
+  instagram: instagramPost,
+  facebook: facebookPost,
+  twitter: twitterPost,
+  tiktok: tiktokPost,
+  linkedin: linkedinPost,
+  snapchat: snapchatPost,
+  pinterest: pinterestPost,
+  reddit: redditPost,
+  tumblr: tumblrPost,
+  youtube: youtubePost,
+  whatsapp: whatsappSend,
+  discord: discordPost,
+  twitch: twitchPost,
+  clubhouse: clubhousePost,
+  vimeo: vimeoPost,
+  medium: mediumPost,
+  quora: quoraPost,
+  onlyfans: onlyfansPost,
+  pornhub: pornhubPost,
+  telegram: telegramPost,
+  wechat: wechatPost,
+  line: linePost,
+  viber: viberPost,
+}
+
+// Networks with an insights adapter (capabilities[p].analytics)
+export const insights = {
+  facebook: facebookInsights,
+  youtube: youtubeInsights,
+  twitch: twitchInsights,
+  vimeo: vimeoInsights,
+}
+
+export const capabilities = Object.freeze({
+  instagram:{ post:true, media:true, analytics:false, notes:'Graph API media_publish (image/video)' },
+  facebook:{ post:true, media:true, analytics:true, notes:'Pages feed/photos' },
+  twitter:{ post:true, media:false, analytics:false, notes:'Requires user-context OAuth2; 280 chars' },
+  tiktok:{ post:true, media:true, analytics:false, notes:'Business Content Posting; advertiser scope' },
+  linkedin:{ post:true, media:true, analytics:false, notes:'UGC posts; needs author URN' },
+  snapchat:{ post:false, media:true, analytics:false, notes:'Ads only via Marketing API' },
+  pinterest:{ post:true, media:true, analytics:false, notes:'v5 Pins API' },
+  reddit:{ post:true, media:true, analytics:false, notes:'/api/submit OAuth' },
+  tumblr:{ post:false, media:true, analytics:false, notes:'OAuth1; implement if needed' },
+  youtube:{ post:false, media:true, analytics:true, notes:'Resumable uploads; Data API v3' },
+  whatsapp:{ post:true, media:true, analytics:false, notes:'Business Cloud API' },
+  discord:{ post:true, media:true, analytics:false, notes:'Webhooks or bot' },
+  twitch:{ post:false, media:false, analytics:true, notes:'Use chat bot/Helix for markers' },
+  clubhouse:{ post:false, media:false, analytics:false, notes:'No public API' },
+  vimeo:{ post:false, media:true, analytics:true, notes:'Uploads via OAuth2' },
+  medium:{ post:true, media:false, analytics:false, notes:'Markdown posts' },
+  quora:{ post:false, media:false, analytics:false, notes:'No public content API' },
+  onlyfans:{ post:false, media:true, analytics:false, notes:'Partner/official only' },
+  pornhub:{ post:false, media:true, analytics:false, notes:'Partner API only' },
+  telegram:{ post:true, media:true, analytics:false, notes:'Bot API' },
+  wechat:{ post:false, media:true, analytics:false, notes:'Official Account API' },
+  line:{ post:true, media:true, analytics:false, notes:'Messaging API' },
+  viber:{ post:true, media:false, analytics:false, notes:'Public Accounts API' },
+})
+
+// What a connected account must hold per platform: `tokens` are secrets (vaulted, never echoed),
+// `account` is plain config the adapter addresses (page, chat, board...).
+export const credentials = Object.freeze({
+  instagram:{ tokens:['IG_TOKEN'], account:['ig_user_id'] },
+  facebook:{ tokens:['FB_PAGE_TOKEN'], account:['page_id'] },
+  twitter:{ tokens:['X_BEARER'], account:[] },
+  tiktok:{ tokens:['TT_ACCESS_TOKEN'], account:['advertiser_id'] },
+  linkedin:{ tokens:['LI_TOKEN'], account:['author_urn'] },
+  pinterest:{ tokens:['PIN_TOKEN'], account:['board_id'] },
+  reddit:{ tokens:['REDDIT_TOKEN'], account:['subreddit'] },
+  whatsapp:{ tokens:['WAPP_TOKEN'], account:['phone_number_id'] },
+  discord:{ tokens:['DISCORD_WEBHOOK'], account:[] },
+  medium:{ tokens:['MEDIUM_TOKEN'], account:['user_id'] },
+  telegram:{ tokens:['TELEGRAM_BOT_TOKEN'], account:['chat_id'] },
+  line:{ tokens:['LINE_CHANNEL_TOKEN'], account:[] },
+  viber:{ tokens:['VIBER_TOKEN'], account:[] },
+  // insights-only
+  youtube:{ tokens:['YT_TOKEN'], account:[] },
+  twitch:{ tokens:['TWITCH_TOKEN','TWITCH_CLIENT_ID'], account:['broadcaster_id'] },
+  vimeo:{ tokens:['VIMEO_TOKEN'], account:[] },
+})
+
+// opts.sandbox: a recorder ({ handle(config) }, see sandbox.js) that answers every request of this call
+export async function postToPlatform(platform, input, { sandbox } = {}){
+  const fn = adapters[platform]
+  if(!fn) err('unsupported_platform',404)
+  return sandbox ? await sandboxed.run(sandbox, ()=> fn(input)) : await fn(input)
+}
+
+export async function fetchInsights(platform, input){
+  const fn = insights[platform]
+  if(!fn) err('insights_unsupported',404)
+  return await fn(input)
+}
@@ -0,0 +1,95 @@
+/**
+ * Brothel Hacker — Analytics
+ *
+ * Purpose: Pull insights (adapters.js `insights`) for connected accounts and for published job
+ *          results on a schedule, and keep them as time series for /api/analytics.
+ * Points:  collection 'metrics', one record per series and bucket, upserted on every refresh:
+ *          account  { scope:'account', accountId, date, cumulative?, metrics }         one per day
+ *          post     { scope:'post', jobId, target, remoteId, campaign?, metrics }    one per hour (lifetime totals)
+ * Metrics: { impressions, reach, engagement, clicks, views } — null where the network has no such number.
+ * Hooks:   accountFor(target, workspace) -> account record | null; credentialsFor(target, workspace) -> adapter creds
+ */
+
+import { insights, fetchInsights } from './adapters.js'
+
+const DAY_MS = 864e5
+const iso = (ms)=> new Date(ms).toISOString()
+const hour = (ms)=> iso(ms - ms % 3600000)
+
+function add(into, m){
+  for(const [k, v] of Object.entries(m)) if(v!=null) into[k] = (into[k] || 0) + v
+  return into
+}
+
+export function createAnalytics({ store, accountFor, credentialsFor, lookbackDays = 28, log = console }){
+  let last = null
+
+  // One insights call per account: account series plus every recent post published through it
+  async function groups(workspace, cutoff){
+    const out = new Map()
+    const group = (a)=> { if(!out.has(a.id)) out.set(a.id, { account:a, posts:[] }); return out.get(a.id) }
+    for(const a of await store.list('accounts', { where:a=> insights[a.platform] && (!workspace || a.workspace===workspace) })) group(a)
+    const published = await store.list('jobs', { where:j=> ['POSTED','PARTIAL'].includes(j.status) && (!workspace || j.workspace===workspace) && Date.parse(j.postedAt || 0) >= cutoff })
+    for(const job of published){
+      for(const [target, r] of Object.entries(job.results || {})){
+        // sandbox posts never reached the network; their ids mean nothing there
+        if(r.status!=='POSTED' || !r.remoteId || r.response?.sandbox || !insights[r.platform]) continue
+        const a = await accountFor({ platform:r.platform, accountId:r.accountId }, job.workspace).catch(()=> null)
+        if(a) group(a).posts.push({ job, target, remoteId:String(r.remoteId) })
+      }
+    }
+    return [...out.values()]
+  }
+
+  async function refresh({ workspace } = {}){
+    const now = Date.now(), cutoff = now - lookbackDays*DAY_MS
+    const summary = { at:iso(now), accounts:0, posts:0, errors:[] }
+    for(const { account:a, posts } of await groups(workspace, cutoff)){
+      try {
+        const creds = await credentialsFor({ platform:a.platform, accountId:a.id }, a.workspace)
+        const out = await fetchInsights(a.platform, { ...creds, since:iso(cutoff).slice(0,10), until:iso(now).slice(0,10), posts:posts.map(p=> p.remoteId) })
+        const base = { workspace:a.workspace, platform:a.platform, accountId:a.id, fetchedAt:iso(now) }
+        for(const p of out.account || []){
+          await store.put('metrics', { id:`account:${a.id}:${p.date}`, ...base, scope:'account', ts:`${p.date}T00:00:00.000Z`, date:p.date, ...(p.cumulative && { cumulative:true }), metrics:p.metrics })
+          summary.accounts++
+        }
+        for(const { job, target, remoteId } of posts){
+          const m = out.posts?.[remoteId]
+          if(!m) continue
+          const ts = hour(now)
+          await store.put('metrics', { id:`post:${job.id}:${target}:${ts}`, ...base, scope:'post', ts, jobId:job.id, target, remoteId, ...(job.campaign && { campaign:job.campaign }), metrics:m })
+          summary.posts++
+        }
+      } catch(e){
+        summary.errors.push({ accountId:a.id, platform:a.platform, error:e.message, status:e.status || e.response?.status })
+        log.error('analytics_refresh_failed', a.id, e.message)
+      }
+    }
+    return last = summary
+  }
+
+  /**
+   * Filtered series + roll-ups. filters = { workspace?, platform?, accountId?, campaign?, jobId?, scope?, from?, to? }
+   * A post's newest point is its lifetime total; daily account points add up, cumulative ones don't.
+   * A campaign filter only matches post points (accounts have no campaign).
+   */
+  async function query({ workspace, platform, accountId, campaign, jobId, scope, from, to } = {}){
+    const fromMs = from ? Date.parse(from) : -Infinity, toMs = to ? Date.parse(to) : Infinity
+    const points = await store.list('metrics', {
+      where:p=> (!workspace || p.workspace===workspace) && (!platform || p.platform===platform) && (!accountId || p.accountId===accountId)
+        && (!campaign || p.campaign===campaign) && (!jobId || p.jobId===jobId) && (!scope || p.scope===scope)
+        && Date.parse(p.ts) >= fromMs && Date.parse(p.ts) <= toMs,
+      sort:(a,b)=> a.ts.localeCompare(b.ts),
+    })
+    const latest = new Map()
+    for(const p of points) if(p.scope==='post' || p.cumulative) latest.set(p.scope==='post' ? `${p.jobId}:${p.target}` : p.accountId, p)
+    const totals = { posts:{}, accounts:{} }
+    for(const p of points) if(p.scope==='account' && !p.cumulative) add(totals.accounts, p.metrics)
+    for(const p of latest.values()) add(p.scope==='post' ? totals.posts : totals.accounts, p.metrics)
+    const posts = [...latest.values()].filter(p=> p.scope==='post')
+      .map(({ jobId, target, platform, accountId, remoteId, campaign, ts, metrics })=> ({ jobId, target, platform, accountId, remoteId, campaign, asOf:ts, metrics }))
+    return { points, posts, totals }
+  }
+
+  return { refresh, query, status: ()=> last }
+}
@@ -0,0 +1,76 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createAnalytics } from './analytics.js'
+import { insights } from './adapters.js'
+import { createStore } from './store.js'
+
+const quiet = { error(){} }
+const m = (o)=> ({ impressions:null, reach:null, engagement:null, clicks:null, views:null, ...o })
+
+test('query: daily account points add up, cumulative ones and posts count their newest point', async ()=> {
+  const store = createStore('memory'), analytics = createAnalytics({ store })
+  const put = (p)=> store.put('metrics', { workspace:'a', platform:'facebook', accountId:'acc1', ...p })
+  await put({ id:'d1', scope:'account', ts:'2026-01-01T00:00:00.000Z', metrics:m({ reach:10 }) })
+  await put({ id:'d2', scope:'account', ts:'2026-01-02T00:00:00.000Z', metrics:m({ reach:5 }) })
+  await put({ id:'c1', scope:'account', accountId:'acc2', platform:'twitch', cumulative:true, ts:'2026-01-01T00:00:00.000Z', metrics:m({ views:100 }) })
+  await put({ id:'c2', scope:'account', accountId:'acc2', platform:'twitch', cumulative:true, ts:'2026-01-02T00:00:00.000Z', metrics:m({ views:120 }) })
+  await put({ id:'p1', scope:'post', jobId:'j1', target:'facebook', campaign:'spring', ts:'2026-01-01T10:00:00.000Z', metrics:m({ engagement:3 }) })
+  await put({ id:'p2', scope:'post', jobId:'j1', target:'facebook', campaign:'spring', ts:'2026-01-02T10:00:00.000Z', metrics:m({ engagement:7 }) })
+  await store.put('metrics', { id:'other', workspace:'b', scope:'account', accountId:'acc3', ts:'2026-01-01T00:00:00.000Z', metrics:m({ reach:999 }) })
+
+  const all = await analytics.query({ workspace:'a' })
+  assert.deepEqual(all.totals, { accounts:{ reach:15, views:120 }, posts:{ engagement:7 } })
+  assert.deepEqual(all.posts.map(p=> [p.jobId, p.asOf, p.metrics.engagement]), [['j1', '2026-01-02T10:00:00.000Z', 7]])
+
+  assert.deepEqual((await analytics.query({ workspace:'a', campaign:'spring' })).points.map(p=> p.id), ['p1', 'p2'])
+  assert.deepEqual((await analytics.query({ workspace:'a', to:'2026-01-01T23:59:59.999Z' })).totals, { accounts:{ reach:10, views:100 }, posts:{ engagement:3 } })
+})
+
+test('refresh stores account days and post totals, skipping sandbox results', async (t)=> {
+  const calls = []
+  insights.testnet = async (input)=> {
+    calls.push(input)
+    return { account:[{ date:'2026-01-01', metrics:m({ reach:4 }) }], posts:{ r1:m({ views:9 }) } }
+  }
+  t.after(()=> delete insights.testnet)
+  const store = createStore('memory')
+  const acc = await store.put('accounts', { id:'acc1', workspace:'a', platform:'testnet' })
+  const postedAt = new Date().toISOString()
+  await store.put('jobs', { id:'j1', workspace:'a', status:'POSTED', postedAt, campaign:'spring', results:{
+    testnet:{ status:'POSTED', platform:'testnet', accountId:'acc1', remoteId:'r1' },
+    'testnet:sbx':{ status:'POSTED', platform:'testnet', accountId:'acc1', remoteId:'r2', response:{ sandbox:true } },
+  } })
+  const analytics = createAnalytics({ store, accountFor:async ()=> acc, credentialsFor:async ()=> ({ token:'t' }), log:quiet })
+
+  const summary = await analytics.refresh({ workspace:'a' })
+  assert.deepEqual([summary.accounts, summary.posts, summary.errors], [1, 1, []])
+  assert.deepEqual(calls.map(c=> [c.token, c.posts]), [['t', ['r1']]])
+  assert.equal(analytics.status(), summary)
+
+  const points = await store.list('metrics', { sort:(x,y)=> x.id.localeCompare(y.id) })
+  assert.equal(points[0].id, 'account:acc1:2026-01-01')
+  assert.match(points[1].id, /^post:j1:testnet:/)
+  assert.deepEqual([points[1].campaign, points[1].remoteId, points[1].metrics.views], ['spring', 'r1', 9])
+
+  // same hour, same point: a second refresh overwrites instead of adding
+  await analytics.refresh({ workspace:'a' })
+  assert.equal((await store.list('metrics')).length, 2)
+})
+
+test('a failing account is reported in the summary and the rest still refresh', async (t)=> {
+  insights.testnet = async ({ token })=> {
+    if(token==='bad') throw Object.assign(new Error('token_expired'), { status:401 })
+    return { account:[{ date:'2026-01-01', metrics:m({ reach:1 }) }] }
+  }
+  t.after(()=> delete insights.testnet)
+  const store = createStore('memory')
+  await store.put('accounts', { id:'bad', workspace:'a', platform:'testnet' })
+  await store.put('accounts', { id:'good', workspace:'a', platform:'testnet' })
+  await store.put('accounts', { id:'elsewhere', workspace:'b', platform:'testnet' })
+  const analytics = createAnalytics({ store, credentialsFor:async ({ accountId })=> ({ token:accountId }), log:quiet })
+
+  const summary = await analytics.refresh({ workspace:'a' })
+  assert.equal(summary.accounts, 1)
+  assert.deepEqual(summary.errors, [{ accountId:'bad', platform:'testnet', error:'token_expired', status:401 }])
+  assert.deepEqual((await store.list('metrics')).map(p=> p.id), ['account:good:2026-01-01'])
+})
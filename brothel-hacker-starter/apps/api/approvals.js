@@ -0,0 +1,91 @@
+/**
+ * Brothel Hacker — Approval Policies
+ *
+ * Purpose: Decide what a record's votes mean and which platforms a linked job may publish to.
+ * Model:   record.items[i] is one piece of content for one platform.
+ *          record.votes[i] holds every approver's vote; record.decisions[i] is the effective outcome
+ *          (kept in the original { decision, note, ts } shape so existing clients keep working).
+ * Rules:   a single REJECTED vote rejects the item; APPROVED needs `approvers` distinct approvers;
+ *          platforms listed in `autoApprove` are approved on submit. Edits wipe votes and re-open.
+ */
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+
+export const policies = Object.freeze({
+  generic:        { approvers:1, autoApprove:[], notes:'One approver per item' },
+  two_approvers:  { approvers:2, autoApprove:[], notes:'Two distinct approvers per item' },
+  auto_messaging: { approvers:1, autoApprove:['discord','telegram'], notes:'Discord/Telegram auto-approve; others need one approver' },
+})
+
+const policyOf = (name)=> policies[name] || err(`unknown_policy:${name}`)
+const now = ()=> new Date().toISOString()
+
+function derive(r){
+  const p = policyOf(r.policy)
+  r.decisions = r.items.map((_,i)=>{
+    const votes = r.votes[i] || []
+    const rejected = votes.find(v=> v.decision==='REJECTED')
+    if(rejected) return { decision:'REJECTED', note:rejected.note, ts:rejected.ts }
+    const yes = votes.filter(v=> v.decision==='APPROVED')
+    if(yes.length >= p.approvers) return { decision:'APPROVED', note:yes.at(-1).note, ts:yes.at(-1).ts }
+    return null
+  })
+  r.status = r.decisions.every(Boolean) ? 'DECIDED' : 'PENDING'
+  return r
+}
+
+function autoVotes(r){
+  const p = policyOf(r.policy)
+  r.votes = r.items.map(it=> p.autoApprove.includes(it.platform.toLowerCase())
+    ? Array.from({ length:p.approvers }, (_,n)=> ({ approver:`policy:${r.policy}#${n+1}`, decision:'APPROVED', note:'auto_approved', ts:now() }))
+    : [])
+}
+
+export function createApproval(id, { items, policy, workspace = 'default' }){
+  const r = { id, workspace, status:'PENDING', policy, items, votes:[], decisions:[], revision:1, createdAt:now() }
+  autoVotes(r)
+  return derive(r)
+}
+
+export function decide(r, { index, decision, note, approver }){
+  if(index >= r.items.length) err('index_out_of_range')
+  if(policyOf(r.policy).approvers > 1 && !approver) err('approver_required')
+  const who = approver || 'anonymous'
+  const votes = (r.votes[index] || []).filter(v=> v.approver!==who)
+  r.votes[index] = [...votes, { approver:who, decision, note, ts:now() }]
+  return derive(r)
+}
+
+export function editApproval(r, items){
+  r.items = items
+  r.revision = (r.revision||1) + 1
+  r.editedAt = now()
+  autoVotes(r)
+  return derive(r)
+}
+
+// The item a platform publishes from: first 'post' item for it, else the first item at all.
+export function itemFor(r, platform){
+  const p = platform.toLowerCase()
+  const idx = r.items.map((it,i)=> [it,i]).filter(([it])=> it.platform.toLowerCase()===p)
+  const hit = idx.find(([it])=> it.kind==='post') || idx[0]
+  return hit ? { item:hit[0], index:hit[1] } : null
+}
+
+/**
+ * Split a job's platforms by the linked record's item-level outcome. Content always comes from
+ * the record's current items, so an edit (which re-opens voting) can't slip unapproved copy out.
+ * -> { allowed:[{platform,item}], blocked:[{platform,reason}], waiting:[platform] }
+ */
+export function gate(r, platforms){
+  const out = { allowed:[], blocked:[], waiting:[] }
+  for(const platform of platforms){
+    const hit = itemFor(r, platform)
+    if(!hit){ out.blocked.push({ platform, reason:'not_in_approval' }); continue }
+    const d = r.decisions[hit.index]
+    if(!d) out.waiting.push(platform)
+    else if(d.decision==='REJECTED') out.blocked.push({ platform, reason:'rejected' })
+    else out.allowed.push({ platform, item:hit.item })
+  }
+  return out
+}
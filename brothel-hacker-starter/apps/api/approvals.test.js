@@ -0,0 +1,70 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createApproval, decide, editApproval, gate } from './approvals.js'
+
+const items = (...platforms)=> platforms.map(platform=> ({ platform, kind:'post', text:`for ${platform}` }))
+
+test('one approval decides an item under the generic policy', ()=> {
+  const r = createApproval('a1', { items:items('twitter', 'reddit'), policy:'generic' })
+  assert.equal(r.status, 'PENDING')
+  decide(r, { index:0, decision:'APPROVED', note:'ok' })
+  assert.equal(r.decisions[0].decision, 'APPROVED')
+  assert.equal(r.decisions[1], null)
+  decide(r, { index:1, decision:'APPROVED' })
+  assert.equal(r.status, 'DECIDED')
+})
+
+test('two_approvers needs two distinct names; a re-vote replaces the earlier one', ()=> {
+  const r = createApproval('a2', { items:items('twitter'), policy:'two_approvers' })
+  assert.throws(()=> decide(r, { index:0, decision:'APPROVED' }), { message:'approver_required' })
+  decide(r, { index:0, decision:'APPROVED', approver:'ann' })
+  decide(r, { index:0, decision:'APPROVED', approver:'ann' })
+  assert.equal(r.votes[0].length, 1)
+  assert.equal(r.decisions[0], null)
+  decide(r, { index:0, decision:'APPROVED', approver:'bob' })
+  assert.equal(r.decisions[0].decision, 'APPROVED')
+})
+
+test('a single rejection wins over approvals', ()=> {
+  const r = createApproval('a3', { items:items('twitter'), policy:'two_approvers' })
+  decide(r, { index:0, decision:'APPROVED', approver:'ann' })
+  decide(r, { index:0, decision:'REJECTED', approver:'bob', note:'typo' })
+  decide(r, { index:0, decision:'APPROVED', approver:'cat' })
+  assert.deepEqual([r.decisions[0].decision, r.decisions[0].note], ['REJECTED', 'typo'])
+})
+
+test('auto_messaging approves Discord/Telegram on submit; an edit re-opens the rest', ()=> {
+  const r = createApproval('a4', { items:items('telegram', 'twitter'), policy:'auto_messaging' })
+  assert.equal(r.decisions[0].decision, 'APPROVED')
+  decide(r, { index:1, decision:'APPROVED' })
+  assert.equal(r.status, 'DECIDED')
+  editApproval(r, items('telegram', 'twitter'))
+  assert.equal(r.revision, 2)
+  assert.equal(r.decisions[0].decision, 'APPROVED')
+  assert.equal(r.decisions[1], null)
+  assert.equal(r.status, 'PENDING')
+})
+
+test('unknown policies and indexes are rejected', ()=> {
+  assert.throws(()=> createApproval('a5', { items:items('twitter'), policy:'nobody' }), { message:'unknown_policy:nobody', status:400 })
+  const r = createApproval('a6', { items:items('twitter'), policy:'generic' })
+  assert.throws(()=> decide(r, { index:3, decision:'APPROVED' }), { message:'index_out_of_range' })
+})
+
+test('gate splits platforms into allowed, waiting and blocked', ()=> {
+  const r = createApproval('a7', { items:[...items('twitter', 'reddit', 'linkedin'), { platform:'Twitter', kind:'reply', text:'later' }], policy:'generic' })
+  decide(r, { index:0, decision:'APPROVED' })
+  decide(r, { index:1, decision:'REJECTED' })
+  assert.deepEqual(gate(r, ['twitter', 'reddit', 'linkedin', 'medium']), {
+    allowed:[{ platform:'twitter', item:r.items[0] }],
+    blocked:[{ platform:'reddit', reason:'rejected' }, { platform:'medium', reason:'not_in_approval' }],
+    waiting:['linkedin'],
+  })
+})
+
+test('gate publishes the current items, so an edit holds a platform again', ()=> {
+  const r = createApproval('a8', { items:items('twitter'), policy:'generic' })
+  decide(r, { index:0, decision:'APPROVED' })
+  editApproval(r, [{ platform:'twitter', kind:'post', text:'changed' }])
+  assert.deepEqual(gate(r, ['twitter']), { allowed:[], blocked:[], waiting:['twitter'] })
+})
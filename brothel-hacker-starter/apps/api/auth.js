@@ -0,0 +1,178 @@
+/**
+ * Brothel Hacker — Users, Roles & Audit
+ *
+ * Purpose: Who is calling and what they may do in which workspace, plus an append-only audit trail.
+ * Roles:   admin (everything: members, API keys, credentials, settings, audit) · editor (read + write content,
+ *          jobs, schedules) · approver (read + decide approvals) · viewer (read). Per workspace, on the user record.
+ * Tokens:  sessions `bhs_…` (POST /api/auth/login; Bearer header or the bh_session cookie) and API keys `bhk_…`
+ *          (one workspace, scopes ⊆ the creator's permissions there). Only SHA-256 digests are stored.
+ * Audit:   collection 'audit'; entries are only ever appended, numbered (`seq`) and hash-chained to the one
+ *          before, so an edited or deleted entry shows up in verify(). Retention cuts the chain from the oldest
+ *          end only, leaving the last cut entry's seq + hash ('audit_anchor') for verify() to start from.
+ */
+
+import crypto from 'node:crypto'
+import { promisify } from 'node:util'
+import { newId } from './store.js'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const iso = (ms = Date.now())=> new Date(ms).toISOString()
+const digest = (s)=> crypto.createHash('sha256').update(s).digest('hex')
+const scrypt = promisify(crypto.scrypt)
+
+export const PERMISSIONS = Object.freeze(['read','write','approve','admin'])
+export const roles = Object.freeze({
+  admin:    ['read','write','approve','admin'],
+  editor:   ['read','write'],
+  approver: ['read','approve'],
+  viewer:   ['read'],
+})
+
+// Open mode (REQUIRE_AUTH=false): one caller allowed everything
+export const anonymous = Object.freeze({ type:'anonymous', id:'anonymous', actor:'anonymous', superuser:true })
+
+export function can(principal, perm, workspace){
+  if(!principal) return false
+  if(principal.superuser) return true
+  if(principal.type==='key') return principal.workspace===workspace && principal.scopes.includes(perm)
+  return !!roles[principal.workspaces?.[workspace]]?.includes(perm)
+}
+export const permissionsIn = (principal, workspace)=> PERMISSIONS.filter(p=> can(principal, p, workspace))
+
+export async function hashPassword(password){
+  const salt = crypto.randomBytes(16)
+  return `scrypt$${salt.toString('base64')}$${(await scrypt(password, salt, 64)).toString('base64')}`
+}
+export async function verifyPassword(password, stored){
+  const [scheme, salt, hash] = String(stored || '').split('$')
+  if(scheme!=='scrypt' || !salt || !hash) return false
+  const want = Buffer.from(hash, 'base64')
+  const got = await scrypt(password, Buffer.from(salt, 'base64'), want.length)
+  return crypto.timingSafeEqual(got, want)
+}
+
+export const publicUser = ({ password:_p, ...u })=> u
+export const publicKey = ({ hash:_h, ...k })=> k
+const token = (prefix)=> `${prefix}_${crypto.randomBytes(24).toString('base64url')}`
+
+// ----------------------------- accounts + tokens -----------------------------
+export function createAuth({ store, sessionTtlMs = 7*864e5 }){
+  const userByEmail = async (email)=> (await store.list('users', { where:u=> u.email===email.toLowerCase(), limit:1 }))[0] || null
+
+  async function createUser({ email, name = '', password, workspaces = {} }){
+    if(await userByEmail(email)) err('email_taken', 409)
+    return store.put('users', { id:newId('usr'), email:email.toLowerCase(), name, password:await hashPassword(password), workspaces, createdAt:iso() })
+  }
+
+  async function login(email, password){
+    const u = await userByEmail(email)
+    // same answer (and roughly the same time) for unknown emails and wrong passwords
+    const good = await verifyPassword(password, u?.password || 'scrypt$AAAAAAAAAAAAAAAAAAAAAA==$' + 'A'.repeat(86) + '==')
+    if(!u || !good || u.disabled) err('invalid_credentials', 401)
+    const t = token('bhs')
+    const session = await store.put('sessions', { id:digest(t), userId:u.id, createdAt:iso(), expiresAt:iso(Date.now() + sessionTtlMs) })
+    return { token:t, expiresAt:session.expiresAt, user:publicUser(u) }
+  }
+  const logout = (t)=> store.del('sessions', digest(t))
+
+  // Also ends every session of the user (a stolen one stops working)
+  async function setPassword(userId, password){
+    const u = await store.get('users', userId) || err('not_found', 404)
+    await store.put('users', { ...u, password:await hashPassword(password), passwordChangedAt:iso() })
+    for(const s of await store.list('sessions', { where:s=> s.userId===userId })) await store.del('sessions', s.id)
+  }
+
+  // scopes must be permissions the creator holds in that workspace
+  async function createKey(creator, { workspace, name, scopes }){
+    const held = permissionsIn(creator, workspace)
+    const extra = scopes.filter(s=> !held.includes(s))
+    if(extra.length) err('scope_not_held:'+extra.join(','), 403)
+    const t = token('bhk')
+    const key = await store.put('api_keys', { id:newId('key'), workspace, name, scopes, hash:digest(t), prefix:t.slice(0, 8), createdBy:creator.actor, createdAt:iso() })
+    return { key:publicKey(key), token:t }
+  }
+
+  // Bearer token -> principal | null
+  async function authenticate(t){
+    if(!t) return null
+    if(t.startsWith('bhs_')){
+      const s = await store.get('sessions', digest(t))
+      if(!s) return null
+      if(Date.parse(s.expiresAt) <= Date.now()){ await store.del('sessions', s.id); return null }
+      const u = await store.get('users', s.userId)
+      if(!u || u.disabled) return null
+      return { type:'user', id:u.id, email:u.email, name:u.name, actor:u.email, workspaces:u.workspaces }
+    }
+    if(t.startsWith('bhk_')){
+      const h = digest(t)
+      const k = (await store.list('api_keys', { where:k=> k.hash===h, limit:1 }))[0]
+      if(!k || k.revokedAt) return null
+      if(Date.now() - Date.parse(k.lastUsedAt || 0) > 60000) await store.put('api_keys', { ...k, lastUsedAt:iso() })
+      return { type:'key', id:k.id, name:k.name, actor:`key:${k.id}`, workspace:k.workspace, scopes:k.scopes }
+    }
+    return null
+  }
+
+  return { createUser, userByEmail, login, logout, setPassword, createKey, authenticate, hasUsers: async ()=> (await store.list('users', { limit:1 })).length > 0 }
+}
+
+// ----------------------------- audit -----------------------------
+const chain = (prev, e)=> digest(prev + JSON.stringify([e.seq, e.ts, e.workspace, e.actor, e.action, e.target, e.detail]))
+
+export function createAudit({ store }){
+  let tail = null, last = null
+
+  const anchor = async ()=> (await store.get('audit_anchor', 'audit')) || { seq:0, hash:'' }
+  async function head(){
+    if(last===null) last = (await store.list('audit', { sort:(a,b)=> b.seq - a.seq, limit:1 }))[0] || await anchor()
+    return last
+  }
+
+  // Drop entries older than `before` (ISO), oldest first and queued behind appends -> number removed
+  function prune(before){
+    const run = async ()=> {
+      const [cut] = await store.list('audit', { where:e=> e.ts < before, sort:(a,b)=> b.seq - a.seq, limit:1 })
+      if(!cut) return 0
+      await store.put('audit_anchor', { id:'audit', seq:cut.seq, hash:cut.hash, ts:cut.ts })
+      return store.prune('audit', e=> e.seq <= cut.seq)
+    }
+    tail = (tail || Promise.resolve()).then(run, run)
+    return tail
+  }
+
+  // { workspace, actor, action, target?:{ type, id }, detail?, ip? } -> entry; appends run one at a time
+  function record({ workspace = 'default', actor, action, target = null, detail = null, ip = null }){
+    const run = async ()=> {
+      const prev = await head()
+      const e = { id:newId('aud'), seq:prev.seq + 1, ts:iso(), workspace, actor, action, target, detail, ip }
+      e.hash = chain(prev.hash, e)
+      last = await store.put('audit', e)
+      return e
+    }
+    tail = (tail || Promise.resolve()).then(run, run)
+    return tail
+  }
+
+  // Newest first. `action` matches exactly or as a prefix ending in '.' ('approval.' = every approval action)
+  async function query({ workspace, actor, action, targetId, from, to, limit = 100 } = {}){
+    return store.list('audit', {
+      where:e=> (!workspace || e.workspace===workspace) && (!actor || e.actor===actor) && (!targetId || e.target?.id===targetId)
+        && (!action || (action.endsWith('.') ? e.action.startsWith(action) : e.action===action))
+        && (!from || e.ts >= from) && (!to || e.ts <= to),
+      sort:(a,b)=> b.seq - a.seq, limit,
+    })
+  }
+
+  // Walk the whole chain: -> { ok, entries, brokenAt? (first seq that doesn't follow from the one before) }
+  async function verify(){
+    const all = await store.list('audit', { sort:(a,b)=> a.seq - b.seq })
+    let prev = await anchor()
+    for(const e of all){
+      if(e.seq!==prev.seq + 1 || e.hash!==chain(prev.hash, e)) return { ok:false, entries:all.length, brokenAt:e.seq }
+      prev = e
+    }
+    return { ok:true, entries:all.length }
+  }
+
+  return { record, query, verify, prune }
+}
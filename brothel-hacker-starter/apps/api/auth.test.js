@@ -0,0 +1,91 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { can, createAudit, createAuth, hashPassword, permissionsIn, verifyPassword } from './auth.js'
+import { createStore } from './store.js'
+
+test('hashPassword salts each hash and verifyPassword checks it', async ()=> {
+  const [a, b] = [await hashPassword('correct horse'), await hashPassword('correct horse')]
+  assert.notEqual(a, b)
+  assert.equal(await verifyPassword('correct horse', a), true)
+  assert.equal(await verifyPassword('wrong horse', a), false)
+  assert.equal(await verifyPassword('correct horse', 'plain'), false)
+  assert.equal(await verifyPassword('correct horse', undefined), false)
+})
+
+test('can: roles per workspace for users, scopes in one workspace for keys', ()=> {
+  const user = { type:'user', workspaces:{ a:'editor', b:'viewer' } }
+  assert.deepEqual(permissionsIn(user, 'a'), ['read', 'write'])
+  assert.deepEqual(permissionsIn(user, 'b'), ['read'])
+  assert.deepEqual(permissionsIn(user, 'c'), [])
+  const key = { type:'key', workspace:'a', scopes:['read'] }
+  assert.equal(can(key, 'read', 'a'), true)
+  assert.equal(can(key, 'write', 'a'), false)
+  assert.equal(can(key, 'read', 'b'), false)
+  assert.equal(can(null, 'read', 'a'), false)
+})
+
+test('login answers the same for an unknown email and a wrong password; sessions authenticate', async ()=> {
+  const auth = createAuth({ store:createStore('memory') })
+  await auth.createUser({ email:'Ed@Example.com', password:'battery staple', workspaces:{ a:'admin' } })
+  await assert.rejects(auth.createUser({ email:'ed@example.com', password:'x' }), { message:'email_taken', status:409 })
+  await assert.rejects(auth.login('ed@example.com', 'nope'), { message:'invalid_credentials', status:401 })
+  await assert.rejects(auth.login('who@example.com', 'nope'), { message:'invalid_credentials', status:401 })
+  const s = await auth.login('ED@example.com', 'battery staple')
+  assert.ok(s.token.startsWith('bhs_'))
+  assert.equal(s.user.password, undefined)
+  assert.deepEqual((await auth.authenticate(s.token)).workspaces, { a:'admin' })
+  await auth.logout(s.token)
+  assert.equal(await auth.authenticate(s.token), null)
+})
+
+test('setPassword ends every session of the user', async ()=> {
+  const auth = createAuth({ store:createStore('memory') })
+  const u = await auth.createUser({ email:'ed@example.com', password:'battery staple' })
+  const s = await auth.login('ed@example.com', 'battery staple')
+  await auth.setPassword(u.id, 'another one!')
+  assert.equal(await auth.authenticate(s.token), null)
+  assert.ok(await auth.login('ed@example.com', 'another one!'))
+})
+
+test('expired sessions are refused', async ()=> {
+  const auth = createAuth({ store:createStore('memory'), sessionTtlMs:-1 })
+  await auth.createUser({ email:'ed@example.com', password:'battery staple' })
+  assert.equal(await auth.authenticate((await auth.login('ed@example.com', 'battery staple')).token), null)
+})
+
+test('keys carry only scopes their creator holds there, and stop working once revoked', async ()=> {
+  const store = createStore('memory'), auth = createAuth({ store })
+  const editor = { type:'user', actor:'ed@example.com', workspaces:{ a:'editor' } }
+  await assert.rejects(auth.createKey(editor, { workspace:'a', name:'ci', scopes:['read', 'admin'] }), { message:'scope_not_held:admin', status:403 })
+  await assert.rejects(auth.createKey(editor, { workspace:'b', name:'ci', scopes:['read'] }), { message:'scope_not_held:read' })
+  const { key, token } = await auth.createKey(editor, { workspace:'a', name:'ci', scopes:['read', 'write'] })
+  assert.equal(key.hash, undefined)
+  assert.ok(token.startsWith(key.prefix))
+  assert.deepEqual(await auth.authenticate(token), { type:'key', id:key.id, name:'ci', actor:`key:${key.id}`, workspace:'a', scopes:['read', 'write'] })
+  await store.put('api_keys', { ...await store.get('api_keys', key.id), revokedAt:new Date().toISOString() })
+  assert.equal(await auth.authenticate(token), null)
+  assert.equal(await auth.authenticate('bhk_unknown'), null)
+})
+
+test('audit entries chain; an edited entry breaks verify at its seq', async ()=> {
+  const store = createStore('memory'), audit = createAudit({ store })
+  for(const action of ['job.scheduled', 'approval.submitted', 'approval.decided']) await audit.record({ workspace:'a', actor:'ed', action })
+  assert.deepEqual(await audit.verify(), { ok:true, entries:3 })
+  assert.deepEqual((await audit.query({ action:'approval.' })).map(e=> e.seq), [3, 2])
+  assert.deepEqual((await audit.query({ workspace:'b' })), [])
+  const [second] = await audit.query({ action:'approval.submitted' })
+  await store.put('audit', { ...second, actor:'someone else' })
+  assert.deepEqual(await audit.verify(), { ok:false, entries:3, brokenAt:2 })
+})
+
+test('audit prune cuts from the oldest end and verify starts after it', async ()=> {
+  const store = createStore('memory'), audit = createAudit({ store })
+  await audit.record({ actor:'ed', action:'old' })
+  await new Promise(r=> setTimeout(r, 5))
+  const kept = await audit.record({ actor:'ed', action:'new' })
+  assert.equal(await audit.prune(kept.ts), 1)
+  assert.equal(await audit.prune(kept.ts), 0)
+  await audit.record({ actor:'ed', action:'newer' })
+  assert.deepEqual(await audit.verify(), { ok:true, entries:2 })
+  assert.deepEqual((await audit.query()).map(e=> e.seq), [3, 2])
+})
@@ -0,0 +1,87 @@
+/**
+ * Brothel Hacker — Compliance Rules
+ *
+ * Purpose: Evaluate copy against a workspace's rule set before it is approved, queued or published.
+ * Rules:   { id, type, severity:'info'|'warn'|'violation', message?, platforms?:[], kinds?:[], ...params }
+ *          keywords   { terms:[] }            whole-word / phrase match, case-insensitive
+ *          regex      { pattern, flags? }     flags default 'iu'
+ *          disclosure { markers?:[] }         kinds default ['ad']; fires when no marker is present
+ *          links      { allow?:[], deny?:[] } domains (subdomains included) for text URLs + linkUrl
+ * Finding: { ruleId, type, severity, message, match? }
+ * `violation` findings block preflight/publish and are mirrored into the monitor alert stream.
+ */
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+
+export const SEVERITIES = ['info','warn','violation']
+
+// Used until a workspace saves its own set; mirrors the calendar's original three checks
+export const defaultRules = Object.freeze([
+  { id:'banned-terms', type:'keywords', severity:'violation', terms:[], message:'no banned words' },
+  { id:'ad-disclosure', type:'disclosure', severity:'violation', kinds:['ad'], message:'disclose #ad if needed' },
+  { id:'targeted-attributes', type:'regex', severity:'warn', message:'no targeted attributes',
+    pattern:'\\b(are|r) (you|u) (gay|lesbian|straight|black|white|asian|latin[oa]|muslim|christian|jewish|hindu|pregnant|disabled|depressed|overweight|diabetic|in debt)\\b' },
+])
+
+const DISCLOSURE_MARKERS = ['#ad','#advert','#sponsored','#paidpartnership','#partner','paid partnership','sponsored']
+const escapeRe = (s)=> s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const URL_RE = /\bhttps?:\/\/[^\s<>"')]+/gi
+
+// Validate + normalise a rule list from the API; throws with the offending rule id
+export function compileRules(rules){
+  const ids = new Set()
+  return rules.map((r, i)=> {
+    const id = r.id || `rule-${i+1}`
+    if(ids.has(id)) err(`duplicate_rule_id:${id}`)
+    ids.add(id)
+    if(!SEVERITIES.includes(r.severity || 'warn')) err(`invalid_severity:${id}`)
+    const rule = { ...r, id, severity: r.severity || 'warn' }
+    if(r.type==='keywords' && !Array.isArray(r.terms)) err(`terms_required:${id}`)
+    if(r.type==='regex'){ try { new RegExp(r.pattern, r.flags ?? 'iu') } catch { err(`invalid_pattern:${id}`) } }
+    if(r.type==='links' && !r.allow?.length && !r.deny?.length) err(`allow_or_deny_required:${id}`)
+    if(!['keywords','regex','disclosure','links'].includes(r.type)) err(`unknown_rule_type:${id}`)
+    return rule
+  })
+}
+
+const hostOf = (u)=> { try { return new URL(u).hostname.toLowerCase() } catch { return null } }
+const inDomains = (host, list)=> list.some(d=> host===d.toLowerCase() || host.endsWith('.'+d.toLowerCase()))
+
+function check(rule, { text, kind, linkUrl }){
+  const hit = (match)=> ({ ruleId:rule.id, type:rule.type, severity:rule.severity, message:rule.message || rule.id, ...(match && { match }) })
+  switch(rule.type){
+    case 'keywords': {
+      const found = rule.terms.filter(t=> new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(t)}(?![\\p{L}\\p{N}])`, 'iu').test(text))
+      return found.map(hit)
+    }
+    case 'regex': {
+      const m = text.match(new RegExp(rule.pattern, rule.flags ?? 'iu'))
+      return m ? [hit(m[0])] : []
+    }
+    case 'disclosure': {
+      if(!(rule.kinds || ['ad']).includes(kind)) return []
+      const lower = text.toLowerCase()
+      return (rule.markers || DISCLOSURE_MARKERS).some(m=> lower.includes(m.toLowerCase())) ? [] : [hit()]
+    }
+    case 'links': {
+      const hosts = [...(text.match(URL_RE) || []), ...(linkUrl ? [linkUrl] : [])].map(hostOf).filter(Boolean)
+      return hosts.filter(h=> (rule.deny?.length && inDomains(h, rule.deny)) || (rule.allow?.length && !inDomains(h, rule.allow))).map(hit)
+    }
+  }
+  return []
+}
+
+const onPlatform = (rule, platform)=> !rule.platforms?.length || rule.platforms.some(x=> x.toLowerCase()===platform?.toLowerCase())
+
+/**
+ * Evaluate one piece of copy. ctx = { platform, kind='post', text, linkUrl? }
+ * `kinds` scopes a rule to content kinds, except on disclosure rules where it is the trigger.
+ */
+export function evaluate(rules, { platform, kind = 'post', text = '', linkUrl }){
+  return rules
+    .filter(r=> onPlatform(r, platform) && (r.type==='disclosure' || !r.kinds?.length || r.kinds.includes(kind)))
+    .flatMap(r=> check(r, { text, kind, linkUrl }))
+}
+
+// Labels for the rules that apply to a platform — what the calendar lists as "checks"
+export const checksFor = (rules, platform)=> rules.filter(r=> onPlatform(r, platform)).map(r=> r.message || r.id)
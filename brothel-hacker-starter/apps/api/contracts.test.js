@@ -0,0 +1,238 @@
+// Adapter contracts, offline through the sandbox recorder: request shape per network (method, URL, auth,
+// body fields), ids read back from the answers, reqd()/err() failures before any request, and 429/5xx/network
+// faults classified the way the job engine retries them.
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { postToPlatform, credentials } from './adapters.js'
+import { createRecorder } from './sandbox.js'
+import { classify } from './jobs.js'
+
+const IMG = { url:'https://cdn.example.com/a.jpg', mime:'image/jpeg' }
+const IMG2 = { url:'https://cdn.example.com/b.png', mime:'image/png' }
+const VID = { url:'https://cdn.example.com/c.mp4', mime:'video/mp4' }
+const tokens = Object.fromEntries(Object.values(credentials).flatMap(c=> c.tokens).map(t=> [t, t==='DISCORD_WEBHOOK' ? 'https://discord.com/api/webhooks/1/abc' : t==='TELEGRAM_BOT_TOKEN' ? '123:ABC' : `tok_${t}`]))
+const account = { ig_user_id:'1784', page_id:'111', author_urn:'urn:li:person:9', board_id:'55', subreddit:'test', phone_number_id:'777', user_id:'u1', chat_id:'-100', advertiser_id:'adv1' }
+
+// One adapter call against a fresh recorder -> { out?, error?, requests }
+async function run(platform, input = {}, faults){
+  const rec = createRecorder({ faults, redact:false })
+  try { return { out:await postToPlatform(platform, { tokens, account, ...input }, { sandbox:rec }), requests:rec.requests } }
+  catch(error){ return { error, requests:rec.requests } }
+}
+const fails = (r, message, status)=> {
+  assert.ok(r.error, 'expected an error')
+  assert.equal(r.error.message, message)
+  if(status) assert.equal(r.error.status, status)
+}
+
+// ----------------------------- request shape -----------------------------
+const shape = {
+  'instagram: image = container + publish': async ()=> {
+    const { out, requests:[c, p] } = await run('instagram', { text:'hi', media:[IMG] })
+    assert.equal(c.url, 'https://graph.facebook.com/v19.0/1784/media')
+    assert.deepEqual(c.body, { image_url:IMG.url, caption:'hi' })
+    assert.equal(c.params.access_token, 'tok_IG_TOKEN')
+    assert.equal(p.url, 'https://graph.facebook.com/v19.0/1784/media_publish')
+    assert.equal(p.body.creation_id, c.response.id)
+    assert.equal(out.id, p.response.id)
+  },
+  'instagram: carousel + first comment': async ()=> {
+    const { requests } = await run('instagram', { text:'hi', media:[IMG, IMG2], firstComment:'#tags' })
+    const [a, b, parent, , comment] = requests
+    assert.ok(a.body.is_carousel_item && b.body.is_carousel_item)
+    assert.deepEqual(parent.body, { media_type:'CAROUSEL', caption:'hi', children:`${a.response.id},${b.response.id}` })
+    assert.match(comment.url, /\/comments$/)
+    assert.equal(comment.params.message, '#tags')
+  },
+  'instagram: video waits for FINISHED': async ()=> {
+    const { requests:[c, status] } = await run('instagram', { media:[VID] })
+    assert.equal(c.body.media_type, 'REELS')
+    assert.equal(status.method, 'GET')
+    assert.equal(status.params.fields, 'status_code')
+  },
+  'facebook: text goes to /feed': async ()=> {
+    const { out, requests:[r] } = await run('facebook', { text:'hello' })
+    assert.equal(r.url, 'https://graph.facebook.com/v19.0/111/feed')
+    assert.equal(r.params.message, 'hello')
+    assert.equal(out.id, r.response.id)
+  },
+  'facebook: multi-photo = unpublished photos + one feed post': async ()=> {
+    const { out, requests } = await run('facebook', { text:'x', media:[IMG, IMG2] })
+    assert.equal(requests.length, 3)
+    assert.ok(requests.slice(0, 2).every(r=> r.params.published===false))
+    assert.deepEqual(requests[2].body.attached_media, requests.slice(0, 2).map(r=> ({ media_fbid:r.response.id })))
+    assert.equal(out.id, requests[2].response.id)
+  },
+  'facebook: single photo reports the post id': async ()=> {
+    const { out, requests:[r] } = await run('facebook', { text:'x', media:[IMG] })
+    assert.equal(r.params.caption, 'x')
+    assert.equal(out.id, r.response.post_id)
+  },
+  'twitter: thread replies to the previous tweet': async ()=> {
+    const { out, requests:[a, b] } = await run('twitter', { thread:['one', 'two'] })
+    assert.equal(a.headers.Authorization, 'Bearer tok_X_BEARER')
+    assert.deepEqual(a.body, { text:'one' })
+    assert.deepEqual(b.body, { text:'two', reply:{ in_reply_to_tweet_id:a.response.data.id } })
+    assert.deepEqual(out, { id:a.response.data.id, thread:[a.response.data.id, b.response.data.id] })
+  },
+  'tiktok: upload by URL': async ()=> {
+    const { out, requests:[r] } = await run('tiktok', { mediaUrl:VID.url })
+    assert.equal(r.headers['Access-Token'], 'tok_TT_ACCESS_TOKEN')
+    assert.deepEqual(r.body, { advertiser_id:'adv1', video_url:VID.url })
+    assert.equal(out.upload_id, r.response.data.id)
+  },
+  'linkedin: UGC post, id from x-restli-id': async ()=> {
+    const { out, requests:[r] } = await run('linkedin', { text:'hi', media:[IMG] })
+    assert.equal(r.body.author, 'urn:li:person:9')
+    const share = r.body.specificContent['com.linkedin.ugc.ShareContent']
+    assert.equal(share.shareCommentary.text, 'hi')
+    assert.equal(share.shareMediaCategory, 'IMAGE')
+    assert.match(out.id, /^urn:li:share:/)
+  },
+  'pinterest: pin on the board': async ()=> {
+    const { out, requests:[r] } = await run('pinterest', { text:'pin', mediaUrl:IMG.url })
+    assert.equal(r.body.board_id, '55')
+    assert.deepEqual(r.body.media_source, { source_type:'image_url', url:IMG.url })
+    assert.equal(r.body.description, 'pin')
+    assert.equal(r.body.title, undefined)
+    assert.equal(out.id, r.response.id)
+  },
+  'reddit: form-encoded self post': async ()=> {
+    const { requests:[r] } = await run('reddit', { text:'title and body' })
+    assert.equal(r.headers['Content-Type'], 'application/x-www-form-urlencoded')
+    assert.equal(r.body.sr, 'test')
+    assert.equal(r.body.kind, 'self')
+    assert.equal(r.body.title, 'title and body')
+  },
+  'reddit: an explicit title is sent whole': async ()=> {
+    const title = 'T'.repeat(300)
+    const { requests:[r] } = await run('reddit', { text:'body', title })
+    assert.equal(r.body.title, title)
+    assert.equal(r.body.text, 'body')
+  },
+  'whatsapp: text message to a number': async ()=> {
+    const { out, requests:[r] } = await run('whatsapp', { text:'hey', to:'15550001111' })
+    assert.equal(r.url, 'https://graph.facebook.com/v19.0/777/messages')
+    assert.deepEqual(r.body, { messaging_product:'whatsapp', to:'15550001111', type:'text', text:{ body:'hey' } })
+    assert.match(out.id, /^wamid\./)
+  },
+  'discord: webhook with embeds': async ()=> {
+    const { requests:[r] } = await run('discord', { text:'yo', media:[IMG] })
+    assert.equal(r.url, 'https://discord.com/api/webhooks/1/abc')
+    assert.deepEqual(r.body, { content:'yo', embeds:[{ image:{ url:IMG.url } }] })
+  },
+  'medium: markdown post for the user': async ()=> {
+    const { out, requests:[r] } = await run('medium', { title:'T', text:'# body' })
+    assert.equal(r.url, 'https://api.medium.com/v1/users/u1/posts')
+    assert.equal(r.body.contentFormat, 'markdown')
+    assert.equal(out.id, r.response.data.id)
+  },
+  'telegram: text -> sendMessage, album -> sendMediaGroup': async ()=> {
+    const text = await run('telegram', { text:'hi' })
+    assert.match(text.requests[0].url, /\/bot123:ABC\/sendMessage$/)
+    assert.deepEqual(text.requests[0].body, { chat_id:'-100', text:'hi' })
+    assert.equal(text.out.id, text.requests[0].response.result.message_id)
+    const album = await run('telegram', { text:'cap', media:[IMG, VID] })
+    const media = album.requests[0].body.media
+    assert.deepEqual(media.map(m=> m.type), ['photo', 'video'])
+    assert.equal(media[0].caption, 'cap')
+  },
+  'line: push to the recipient': async ()=> {
+    const { requests:[r] } = await run('line', { text:'hi', to:'U1' })
+    assert.deepEqual(r.body, { to:'U1', messages:[{ type:'text', text:'hi' }] })
+  },
+  'viber: broadcast, id = message_token': async ()=> {
+    const { out, requests:[r] } = await run('viber', { text:'hi', recipients:['a', 'b'] })
+    assert.equal(r.headers['X-Viber-Auth-Token'], 'tok_VIBER_TOKEN')
+    assert.deepEqual(r.body.broadcast_list, ['a', 'b'])
+    assert.equal(out.id, r.response.message_token)
+  },
+}
+
+// ----------------------------- reqd() / err() -----------------------------
+const STUBS = ['snapchat','tumblr','youtube','twitch','clubhouse','vimeo','quora','onlyfans','pornhub','wechat']
+const errors = {
+  'unknown platform -> unsupported_platform 404': async ()=> fails(await run('myspace'), 'unsupported_platform', 404),
+  'partner-only networks -> 501, nothing sent': async ()=> {
+    for(const p of STUBS){
+      const r = await run(p, { text:'x' })
+      assert.equal(r.error?.status, 501, p)
+      assert.equal(r.requests.length, 0, p)
+    }
+  },
+  'missing token -> missing_<TOKEN> 400, nothing sent': async ()=> {
+    for(const [p, c] of Object.entries(credentials)){
+      if(STUBS.includes(p) || !c.tokens.length) continue
+      const rec = createRecorder()
+      const e = await postToPlatform(p, { text:'x', tokens:{}, account }, { sandbox:rec }).catch(e=> e)
+      assert.equal(e?.message, `missing_${c.tokens[0]}`, p)
+      assert.equal(e.status, 400, p)
+      assert.equal(rec.requests.length, 0, p)
+    }
+  },
+  'missing account config -> missing_<field>': async ()=> fails(await run('facebook', { text:'x', account:{} }), 'missing_page_id', 400),
+  'instagram without media': async ()=> fails(await run('instagram', { text:'x' }), 'instagram_requires_mediaUrl', 400),
+  'pinterest without mediaUrl': async ()=> fails(await run('pinterest', { text:'x' }), 'missing_mediaUrl', 400),
+  'whatsapp/line need a recipient': async ()=> {
+    fails(await run('whatsapp', { text:'x' }), 'missing_to', 400)
+    fails(await run('line', { text:'x' }), 'missing_to', 400)
+  },
+  'tweet over 280 chars': async ()=> {
+    const r = await run('twitter', { text:'x'.repeat(281) })
+    fails(r, 'text_too_long_use_thread', 400)
+    assert.equal(r.requests.length, 0)
+  },
+}
+
+// ----------------------------- faults -----------------------------
+const faults = {
+  '429 with Retry-After -> transient, waits as told': async ()=> {
+    const r = await run('twitter', { text:'x' }, [{ match:'api.twitter.com', status:429, retryAfter:30 }])
+    assert.equal(r.error.response.status, 429)
+    assert.deepEqual(classify(r.error), { transient:true, status:429, retryAfterMs:30000 })
+  },
+  '5xx -> transient': async ()=> {
+    const r = await run('facebook', { text:'x' }, [{ status:503 }])
+    assert.equal(classify(r.error).transient, true)
+    assert.equal(r.requests[0].fault, '*')
+  },
+  'network error -> transient, no status': async ()=> {
+    const r = await run('telegram', { text:'x' }, [{ error:'ECONNRESET' }])
+    assert.equal(r.error.code, 'ECONNRESET')
+    assert.deepEqual(classify(r.error), { transient:true, status:undefined, retryAfterMs:null })
+  },
+  '4xx -> permanent': async ()=> {
+    const r = await run('linkedin', { text:'x' }, [{ status:403, body:{ message:'forbidden' } }])
+    assert.equal(classify(r.error).transient, false)
+    assert.deepEqual(r.error.response.data, { message:'forbidden' })
+  },
+  'fault mid-flow stops the flow (instagram publish)': async ()=> {
+    const r = await run('instagram', { media:[IMG] }, [{ match:'media_publish', status:500 }])
+    assert.equal(r.requests.length, 2)
+    assert.equal(r.error.response.status, 500)
+  },
+  '`times` runs out, then the fake answers again': async ()=> {
+    const rec = createRecorder({ faults:[{ status:500, times:1 }] })
+    const input = { text:'x', tokens, account }
+    await assert.rejects(postToPlatform('medium', input, { sandbox:rec }))
+    assert.ok((await postToPlatform('medium', input, { sandbox:rec })).id)
+    assert.deepEqual(rec.faults(), [])
+  },
+  'records mask secrets by default': async ()=> {
+    const rec = createRecorder()
+    await postToPlatform('telegram', { text:'x', tokens, account }, { sandbox:rec })
+    await postToPlatform('facebook', { text:'x', tokens, account }, { sandbox:rec })
+    assert.doesNotMatch(rec.requests[0].url, /ABC/)
+    assert.doesNotMatch(rec.requests[1].params.access_token, /FB_PAGE_TOKEN/)
+  },
+  'records go to onRecord instead of memory when it is given': async ()=> {
+    const seen = []
+    const rec = createRecorder({ onRecord:(r)=> seen.push(r) })
+    await postToPlatform('telegram', { text:'x', tokens, account }, { sandbox:rec.with({ jobId:'j1' }) })
+    assert.equal(seen.length, 1)
+    assert.equal(seen[0].jobId, 'j1')
+    assert.deepEqual(rec.requests, [])
+  },
+}
+
+for(const [name, fn] of Object.entries({ ...shape, ...errors, ...faults })) test(name, fn)
@@ -0,0 +1,163 @@
+/**
+ * Brothel Hacker — Events & Webhooks
+ *
+ * Purpose:  One event stream per workspace (approval.submitted, approval.decided, job.posted, job.failed,
+ *           alert.created), fanned out to live SSE subscribers and to outbound webhooks.
+ * Events:   { id, seq, type, workspace, ts, data } kept in 'events' for retentionMs so a reconnecting
+ *           stream can replay from Last-Event-ID.
+ * Webhooks: { id, workspace, url, events:[type | '*'], active, secret (sealed) } in 'webhooks'. Every match
+ *           becomes a durable delivery ('deliveries') POSTed as the event JSON with
+ *             X-BH-Event, X-BH-Delivery, X-BH-Signature: t=<unix>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+ *           and retried like job sends (jobs.js classify/backoff): 408/429/5xx/network back off up to
+ *           maxAttempts, other 4xx fail at once. Receivers check the signature with verifySignature().
+ */
+
+import axios from 'axios'
+import crypto from 'node:crypto'
+import { newId } from './store.js'
+import { classify, backoff } from './jobs.js'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const iso = (ms = Date.now())=> new Date(ms).toISOString()
+const HOUR = 3600000
+
+export const EVENT_TYPES = Object.freeze(['approval.submitted','approval.decided','job.posted','job.failed','alert.created'])
+
+export function sign(secret, body, t = Math.floor(Date.now()/1000)){
+  return `t=${t},v1=${crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex')}`
+}
+// Receiver side: raw body + X-BH-Signature; rejects stale timestamps (replays)
+export function verifySignature(secret, header, body, toleranceSec = 300){
+  const parts = Object.fromEntries(String(header || '').split(',').map(p=> p.split('=')))
+  const t = Number(parts.t)
+  if(!t || !parts.v1 || Math.abs(Date.now()/1000 - t) > toleranceSec) return false
+  const want = Buffer.from(sign(secret, body, t).split('v1=')[1], 'hex'), got = Buffer.from(parts.v1, 'hex')
+  return got.length===want.length && crypto.timingSafeEqual(got, want)
+}
+
+export const publicWebhook = ({ secret:_s, ...w })=> w
+const wants = (w, type)=> w.active && (w.events.includes('*') || w.events.includes(type))
+
+/**
+ * vault: { seal(id, obj), open(id, sealed) } for webhook secrets.
+ */
+export function createEvents({ store, vault, maxAttempts = 8, baseDelayMs = 10000, maxDelayMs = 6*HOUR, retentionMs = 24*HOUR, timeoutMs = 10000, log = console }){
+  const listeners = new Set()
+  let seq = 0, loaded = null, timer = null, busy = false, again = false, prunedAt = 0
+  const load = ()=> loaded ||= store.list('events', { sort:(a,b)=> b.seq - a.seq, limit:1 }).then(r=> { seq = r[0]?.seq || 0 })
+
+  // ----------------------------- stream -----------------------------
+  async function emit(type, workspace = 'default', data = {}){
+    await load()
+    const e = await store.put('events', { id:newId('evt'), seq:++seq, type, workspace, ts:iso(), data })
+    for(const l of listeners) if(l.workspace===workspace && (!l.types || l.types.includes(type))) l.fn(e)
+    const hooks = await store.list('webhooks', { where:w=> w.workspace===workspace && wants(w, type) })
+    for(const w of hooks) await enqueue(w, e)
+    if(hooks.length) poke()
+    if(Date.now() - prunedAt > HOUR) prune().catch(x=> log.error('events_prune_failed', x.message))
+    return e
+  }
+
+  // fn(event) for every new event of the workspace (optionally only `types`) -> unsubscribe()
+  function subscribe({ workspace, types }, fn){
+    const l = { workspace, types: types?.length ? types : null, fn }
+    listeners.add(l)
+    return ()=> listeners.delete(l)
+  }
+
+  // Stored events after `lastId` (stream resume / polling), else the latest `limit`; oldest first.
+  // Unknown or expired ids replay nothing.
+  async function since({ workspace, lastId, types, limit = 500 }){
+    const from = lastId ? (await store.get('events', lastId))?.seq : null
+    if(lastId && from==null) return []
+    const where = (e)=> e.workspace===workspace && (from==null || e.seq > from) && (!types?.length || types.includes(e.type))
+    if(from!=null) return store.list('events', { where, sort:(a,b)=> a.seq - b.seq, limit })
+    return (await store.list('events', { where, sort:(a,b)=> b.seq - a.seq, limit })).reverse()
+  }
+
+  async function prune(){
+    prunedAt = Date.now()
+    const cutoff = iso(Date.now() - retentionMs), old = iso(Date.now() - 7*24*HOUR)
+    return {
+      events: await store.prune('events', e=> e.ts < cutoff),
+      deliveries: await store.prune('deliveries', d=> d.status!=='PENDING' && d.createdAt < old),
+    }
+  }
+
+  // ----------------------------- webhooks -----------------------------
+  async function createWebhook({ workspace, url, events, description = '' }){
+    const id = newId('hook'), secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`
+    const w = await store.put('webhooks', { id, workspace, url, events, description, active:true, secret:vault.seal(id, { secret }), createdAt:iso() })
+    return { webhook:publicWebhook(w), secret }
+  }
+  async function rotateSecret(w){
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`
+    await store.put('webhooks', { ...w, secret:vault.seal(w.id, { secret }), rotatedAt:iso() })
+    return secret
+  }
+
+  // The payload is frozen at enqueue time, so retries send the same bytes (and a fresh signature)
+  const delivery = (w, e)=> ({
+    id:newId('dlv'), webhookId:w.id, workspace:w.workspace, eventId:e.id, type:e.type,
+    body:JSON.stringify({ id:e.id, type:e.type, workspace:e.workspace, ts:e.ts, data:e.data }),
+    status:'PENDING', attempts:0, nextAttemptAt:iso(), createdAt:iso(),
+  })
+  const enqueue = (w, e)=> store.put('deliveries', delivery(w, e))
+
+  async function attempt(d){
+    const w = await store.get('webhooks', d.webhookId)
+    if(!w){ Object.assign(d, { status:'FAILED', lastError:'webhook_deleted' }); return store.put('deliveries', d) }
+    d.attempts += 1; d.lastAttemptAt = iso()
+    try {
+      const { secret } = vault.open(w.id, w.secret)
+      const r = await axios.post(w.url, d.body, {
+        timeout:timeoutMs, maxRedirects:0, validateStatus:s=> s>=200 && s<300,
+        headers:{ 'Content-Type':'application/json', 'User-Agent':'BrothelHacker-Webhooks/1.0', 'X-BH-Event':d.type, 'X-BH-Delivery':d.id, 'X-BH-Signature':sign(secret, d.body) },
+      })
+      Object.assign(d, { status:'DELIVERED', lastStatus:r.status, deliveredAt:iso() })
+      delete d.lastError; delete d.nextAttemptAt
+    } catch(e){
+      const c = classify(e)
+      Object.assign(d, { lastStatus:c.status ?? null, lastError:e.message })
+      if(c.transient && d.attempts < maxAttempts) d.nextAttemptAt = iso(Date.now() + Math.max(c.retryAfterMs || 0, backoff(d.attempts, baseDelayMs, maxDelayMs)))
+      else { d.status = 'FAILED'; delete d.nextAttemptAt }
+    }
+    await store.put('deliveries', d)
+    await store.put('webhooks', { ...await store.get('webhooks', w.id), lastDeliveryAt:d.lastAttemptAt, lastDeliveryStatus:d.status==='DELIVERED' ? 'ok' : d.lastStatus || d.lastError })
+  }
+
+  async function deliverDue(){
+    if(busy){ again = true; return }
+    busy = true
+    try {
+      const now = iso()
+      const due = await store.list('deliveries', { where:d=> d.status==='PENDING' && d.nextAttemptAt <= now, sort:(a,b)=> a.createdAt.localeCompare(b.createdAt), limit:50 })
+      await Promise.allSettled(due.map(attempt))
+    } catch(e){ log.error('webhook_delivery_failed', e.message) }
+    finally { busy = false }
+    if(again){ again = false; return deliverDue() }
+  }
+  const poke = ()=> setImmediate(deliverDue)
+
+  // Manual redrive of one delivery (any status): fresh attempt budget, due now
+  async function redeliver(id){
+    const d = await store.get('deliveries', id) || err('not_found', 404)
+    await store.put('deliveries', { ...d, status:'PENDING', attempts:0, nextAttemptAt:iso() })
+    poke()
+  }
+
+  // A ping to one hook only (not part of the workspace stream)
+  async function ping(w){
+    const e = { id:newId('evt'), type:'ping', workspace:w.workspace, ts:iso(), data:{ webhookId:w.id } }
+    const d = delivery(w, e)
+    await attempt(d)
+    return d
+  }
+
+  return {
+    emit, subscribe, since, prune,
+    createWebhook, rotateSecret, redeliver, ping,
+    start(everyMs = 5000){ timer = setInterval(deliverDue, everyMs); timer.unref?.(); poke() },
+    stop(){ clearInterval(timer) },
+  }
+}
@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createEvents, sign, verifySignature } from './events.js'
+import { createStore } from './store.js'
+import { createVault } from './vault.js'
+
+test('verifySignature accepts what sign() made with the same secret and body', ()=> {
+  const body = '{"type":"job.posted"}'
+  assert.equal(verifySignature('whsec_a', sign('whsec_a', body), body), true)
+  assert.equal(verifySignature('whsec_b', sign('whsec_a', body), body), false)
+  assert.equal(verifySignature('whsec_a', sign('whsec_a', body), body + ' '), false)
+  assert.equal(verifySignature('whsec_a', 'garbage', body), false)
+  assert.equal(verifySignature('whsec_a', undefined, body), false)
+})
+
+test('verifySignature rejects a timestamp outside the tolerance (replays)', ()=> {
+  const body = '{}', old = Math.floor(Date.now()/1000) - 600
+  assert.equal(verifySignature('whsec_a', sign('whsec_a', body, old), body), false)
+  assert.equal(verifySignature('whsec_a', sign('whsec_a', body, old), body, 900), true)
+})
+
+test('emit reaches subscribers of the workspace and type; since() replays after an id', async ()=> {
+  const events = createEvents({ store:createStore('memory'), vault:createVault('test-master-key') })
+  const got = []
+  const off = events.subscribe({ workspace:'a', types:['job.posted'] }, (e)=> got.push(e.type))
+  const first = await events.emit('job.posted', 'a', { jobId:'j1' })
+  await events.emit('approval.submitted', 'a')
+  await events.emit('job.posted', 'b')
+  off()
+  await events.emit('job.posted', 'a', { jobId:'j2' })
+  assert.deepEqual(got, ['job.posted'])
+  assert.deepEqual((await events.since({ workspace:'a', lastId:first.id })).map(e=> e.type), ['approval.submitted', 'job.posted'])
+  assert.deepEqual((await events.since({ workspace:'a', lastId:first.id, types:['job.posted'] })).map(e=> e.data.jobId), ['j2'])
+  assert.deepEqual(await events.since({ workspace:'a', lastId:'evt_gone' }), [])
+})
+
+test('webhooks get the event signed with their own secret; a 4xx fails without a retry', async (t)=> {
+  const received = [], statuses = [204, 400]
+  const server = http.createServer((req, res)=> {
+    let body = ''
+    req.on('data', (c)=> body += c).on('end', ()=> { received.push({ headers:req.headers, body }); res.writeHead(statuses.shift()).end() })
+  })
+  await new Promise(r=> server.listen(0, '127.0.0.1', r))
+  t.after(()=> server.close())
+  const store = createStore('memory'), events = createEvents({ store, vault:createVault('test-master-key') })
+  const { webhook, secret } = await events.createWebhook({ workspace:'a', url:`http://127.0.0.1:${server.address().port}/hook`, events:['job.posted'] })
+  assert.equal(webhook.secret, undefined)
+
+  const ok = await events.ping(webhook)
+  assert.deepEqual([ok.status, ok.attempts, ok.lastStatus], ['DELIVERED', 1, 204])
+  const [{ headers, body }] = received
+  assert.equal(headers['x-bh-event'], 'ping')
+  assert.equal(headers['x-bh-delivery'], ok.id)
+  assert.equal(verifySignature(secret, headers['x-bh-signature'], body), true)
+  assert.equal(JSON.parse(body).workspace, 'a')
+
+  const failed = await events.ping(webhook)
+  assert.deepEqual([failed.status, failed.lastStatus, failed.nextAttemptAt], ['FAILED', 400, undefined])
+  assert.equal((await store.get('webhooks', webhook.id)).lastDeliveryStatus, 400)
+})
@@ -0,0 +1,90 @@
+/**
+ * Brothel Hacker — Article Extraction
+ *
+ * Purpose:  Readability-style extraction of an article page: main content, title, author, publish date,
+ *           canonical URL, lead image and site name.
+ * Metadata: JSON-LD (Article / NewsArticle / BlogPosting ...) first, then OpenGraph / article:* / meta
+ *           tags, then markup (rel=author, <time datetime>, <h1>).
+ * Content:  page chrome is dropped (nav/aside/footer/forms/scripts and "unlikely" class/id names), paragraph
+ *           containers are scored by text length and commas, discounted by link density, and the best
+ *           one's blocks are kept. JSON-LD articleBody wins when the markup yields next to nothing.
+ */
+
+import * as cheerio from 'cheerio'
+
+const UNLIKELY = /comment|sidebar|footer|masthead|menu|\bnav|promo|share|social|related|sponsor|advert|\bads?\b|cookie|subscribe|newsletter|popup|modal|breadcrumb|pagination/i
+const LIKELY = /article|body|content|entry|main|post|story|text/i
+const ARTICLE_TYPES = /Article|BlogPosting|Report|NewsArticle/
+
+const clean = (s)=> (s || '').replace(/\s+/g, ' ').trim()
+const abs = (u, base)=> { if(!u) return null; try { return new URL(u, base).href } catch { return null } }
+const toISO = (s)=> { const t = Date.parse(s); return s && !isNaN(t) ? new Date(t).toISOString() : null }
+const first = (v)=> Array.isArray(v) ? v[0] : v
+const nameOf = (a)=> { a = first(a); return typeof a==='string' ? a : a?.name || null }
+const imageOf = (i)=> { i = first(i); return typeof i==='string' ? i : i?.url || null }
+const classId = (el)=> `${el.attribs?.class || ''} ${el.attribs?.id || ''}`.trim()
+
+function jsonLd($){
+  const nodes = []
+  $('script[type="application/ld+json"]').each((_, el)=> {
+    try {
+      const walk = (n)=> { if(Array.isArray(n)) n.forEach(walk); else if(n && typeof n==='object'){ nodes.push(n); if(n['@graph']) walk(n['@graph']) } }
+      walk(JSON.parse($(el).contents().text()))
+    } catch {}
+  })
+  return nodes.find(n=> [].concat(n['@type'] || []).some(t=> ARTICLE_TYPES.test(t))) || {}
+}
+
+function mainContent($){
+  $('script,style,noscript,iframe,form,nav,aside,footer,svg,button,select,input,template').remove()
+  $('*').each((_, el)=> {
+    const s = classId(el)
+    if(s && !['html','body','article','main'].includes(el.tagName) && UNLIKELY.test(s) && !LIKELY.test(s)) $(el).remove()
+  })
+  const scores = new Map()
+  $('p, pre, td, blockquote').each((_, el)=> {
+    const text = clean($(el).text())
+    if(text.length < 25) return
+    const score = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100))
+    const parent = el.parent, grand = parent?.parent
+    if(parent) scores.set(parent, (scores.get(parent) || 0) + score)
+    if(grand?.tagName) scores.set(grand, (scores.get(grand) || 0) + score / 2)
+  })
+  let best = null, top = 0
+  for(const [el, s] of scores){
+    const len = $(el).text().length || 1
+    const links = $(el).find('a').text().length
+    const bonus = ['article','main'].includes(el.tagName) ? 5 : LIKELY.test(classId(el)) ? 3 : 0
+    const score = (s + bonus) * (1 - links / len)
+    if(score > top){ best = el; top = score }
+  }
+  const root = best ? $(best) : $('article').first().length ? $('article').first() : $('body')
+  const blocks = root.find('h2,h3,h4,p,li,pre,blockquote')
+    .filter((_, el)=> !$(el).parents('p,li,pre,blockquote').length)
+    .map((_, el)=> clean($(el).text())).get().filter(Boolean)
+  return blocks.length ? blocks.join('\n\n') : clean(root.text())
+}
+
+/**
+ * -> { title, author, publishedAt, canonicalUrl, leadImage, siteName, excerpt, text, wordCount }
+ */
+export function extractArticle(html, url){
+  const $ = cheerio.load(String(html))
+  const ld = jsonLd($)
+  const meta = (sel)=> clean($(sel).attr('content')) || null
+  const authorMeta = meta('meta[name="author"]') || meta('meta[property="article:author"]')
+  const author = nameOf(ld.author) || (authorMeta && !/^https?:/.test(authorMeta) ? authorMeta : null)
+    || clean($('[rel="author"], [itemprop="author"], .byline, .author').first().text()) || null
+  const out = {
+    title: clean(ld.headline) || meta('meta[property="og:title"]') || clean($('h1').first().text()) || clean($('title').text()),
+    author,
+    publishedAt: toISO(ld.datePublished || meta('meta[property="article:published_time"]') || meta('meta[name="date"]') || meta('meta[itemprop="datePublished"]') || $('time[datetime]').first().attr('datetime')),
+    canonicalUrl: abs($('link[rel="canonical"]').attr('href') || meta('meta[property="og:url"]') || ld.url, url) || url,
+    leadImage: abs(imageOf(ld.image) || meta('meta[property="og:image"]') || meta('meta[name="twitter:image"]'), url),
+    siteName: meta('meta[property="og:site_name"]') || nameOf(ld.publisher),
+  }
+  const description = meta('meta[name="description"]') || meta('meta[property="og:description"]') || clean(ld.description) || null
+  let text = mainContent($)
+  if(text.length < 200 && ld.articleBody?.length > text.length) text = clean(ld.articleBody)
+  return { ...out, excerpt: description || text.slice(0, 280), text, wordCount: text ? text.split(/\s+/).length : 0 }
+}
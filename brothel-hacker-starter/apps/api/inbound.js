@@ -0,0 +1,158 @@
+/**
+ * Brothel Hacker — Inbound Platform Webhooks
+ *
+ * Purpose: Platform callbacks (Meta: Instagram/Facebook/WhatsApp, Telegram, LINE, Viber) → monitoring alerts.
+ * Routing: one public URL per connected account, /api/inbound/:platform/:accountId. The account gives the
+ *          workspace and, next to its posting tokens in the vault, the secrets in `inboundSecrets`.
+ * Verify:  meta      GET hub.mode=subscribe + hub.verify_token → hub.challenge;
+ *                    POST X-Hub-Signature-256: sha256=<hex HMAC-SHA256(app secret, raw body)>
+ *          telegram  X-Telegram-Bot-Api-Secret-Token equals the secret_token given to setWebhook
+ *          line      X-Line-Signature: <base64 HMAC-SHA256(channel secret, raw body)>
+ *          viber     X-Viber-Content-Signature: <hex HMAC-SHA256(auth token, raw body)>
+ * Output:  normalize(platform, body) -> [{ key, kind, level, code, message, remoteId?, author?, text?, at? }]
+ *          kind: comment | mention | message | delivery | policy. `remoteId` is the id of our published
+ *          post/message the event is about (what the job engine kept as results[*].remoteId); `key` is
+ *          stable per event so platform retries don't raise the same alert twice.
+ */
+
+import crypto from 'node:crypto'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const hmac = (secret, body, enc)=> crypto.createHmac('sha256', secret).update(body).digest(enc)
+const same = (a, b)=> { const x = Buffer.from(String(a || '')), y = Buffer.from(String(b || '')); return x.length===y.length && crypto.timingSafeEqual(x, y) }
+const at = (ms)=> ms ? new Date(ms).toISOString() : null
+const clip = (s, n = 280)=> !s ? '' : s.length > n ? s.slice(0, n-1) + '…' : s
+
+const META = ['META_APP_SECRET','META_VERIFY_TOKEN']
+export const inboundSecrets = Object.freeze({
+  instagram:META, facebook:META, whatsapp:META,
+  telegram:['TELEGRAM_WEBHOOK_SECRET'],
+  line:['LINE_CHANNEL_SECRET'],
+  viber:['VIBER_TOKEN'],
+})
+export const inboundPlatforms = Object.keys(inboundSecrets)
+
+const need = (platform, secrets)=> {
+  const missing = (inboundSecrets[platform] || err('inbound_unsupported', 404)).filter(k=> !secrets[k])
+  if(missing.length) err('inbound_not_configured:'+missing.join(','), 403)
+}
+
+// Meta's subscription handshake -> the challenge to echo back
+export function handshake(platform, query, secrets){
+  if(inboundSecrets[platform]!==META) err('inbound_unsupported', 404)
+  need(platform, secrets)
+  if(query['hub.mode']!=='subscribe' || !same(query['hub.verify_token'], secrets.META_VERIFY_TOKEN)) err('verify_token_mismatch', 403)
+  return String(query['hub.challenge'] ?? '')
+}
+
+// Throws unless the request was signed with the account's secret; raw = the exact request bytes
+export function verify(platform, headers, raw, secrets){
+  need(platform, secrets)
+  const body = raw || Buffer.alloc(0)
+  const good = {
+    telegram: ()=> same(headers['x-telegram-bot-api-secret-token'], secrets.TELEGRAM_WEBHOOK_SECRET),
+    line: ()=> same(headers['x-line-signature'], hmac(secrets.LINE_CHANNEL_SECRET, body, 'base64')),
+    viber: ()=> same(headers['x-viber-content-signature'], hmac(secrets.VIBER_TOKEN, body, 'hex')),
+  }[platform] || (()=> same(headers['x-hub-signature-256'], 'sha256=' + hmac(secrets.META_APP_SECRET, body, 'hex')))
+  if(!good()) err('invalid_signature', 401)
+}
+
+// ----------------------------- meta -----------------------------
+// WhatsApp account/template/quality notices: anything naming a ban or violation is one
+const policyLevel = (event = '')=> /BAN|VIOLATION|DISABLE|REJECT/i.test(event) ? 'violation' : 'warn'
+
+function metaChange(platform, entry, { field, value = {} }){
+  if(platform==='instagram'){
+    if(field==='comments') return [{ key:`comment:${value.id}`, kind:'comment', remoteId:value.media?.id, author:value.from?.username, text:value.text }]
+    if(field==='mentions') return [{ key:`mention:${value.comment_id || value.media_id}`, kind:'mention', remoteId:value.media_id, text:value.text }]
+    return []
+  }
+  if(platform==='facebook'){
+    if(field==='feed' && value.item==='comment' && value.verb==='add') return [{ key:`comment:${value.comment_id}`, kind:'comment', remoteId:value.post_id, author:value.from?.name, text:value.message, at:at(value.created_time*1000) }]
+    if(field==='mention') return [{ key:`mention:${value.comment_id || value.post_id}`, kind:'mention', remoteId:value.post_id, text:value.message }]
+    return []
+  }
+  // whatsapp
+  if(field==='messages') return [
+    ...(value.statuses || []).map(s=> ({
+      key:`status:${s.id}:${s.status}`, kind:'delivery', remoteId:s.id, status:s.status, recipient:s.recipient_id, at:at(s.timestamp*1000),
+      ...(s.status==='failed' && { level:'warn', code:`whatsapp:delivery:failed${s.errors?.[0]?.code ? ':'+s.errors[0].code : ''}`, message:`Delivery to ${s.recipient_id} failed: ${s.errors?.[0]?.title || 'unknown error'}` }),
+    })),
+    ...(value.messages || []).map(m=> ({ key:`message:${m.id}`, kind:'message', remoteId:m.context?.id, author:m.from, text:m.text?.body || `[${m.type}]`, at:at(m.timestamp*1000) })),
+  ]
+  if(['account_update','message_template_status_update','phone_number_quality_update'].includes(field)){
+    const event = value.event || value.ban_info?.waba_ban_state || 'UPDATE'
+    const what = value.message_template_name ? `template "${value.message_template_name}"` : value.display_phone_number || entry.id
+    const why = value.reason || value.violation_info?.violation_type || value.current_limit || ''
+    return [{ key:`${field}:${entry.id}:${event}:${entry.time || ''}`, kind:'policy', level:policyLevel(event), code:`whatsapp:policy:${field}:${event}`, message:`${field.replace(/_/g, ' ')}: ${event} for ${what}${why ? ` (${why})` : ''}` }]
+  }
+  return []
+}
+
+function meta(platform, body){
+  return (body.entry || []).flatMap(entry=> [
+    ...(entry.changes || []).flatMap(c=> metaChange(platform, entry, c)),
+    // Messenger / Instagram Direct
+    ...(entry.messaging || []).filter(m=> m.message && !m.message.is_echo).map(m=> ({ key:`message:${m.message.mid}`, kind:'message', author:m.sender?.id, text:m.message.text || '[attachment]', at:at(m.timestamp) })),
+  ])
+}
+
+// ----------------------------- telegram -----------------------------
+function telegram(u){
+  const key = `update:${u.update_id}`
+  const m = u.message || u.channel_post
+  if(m){
+    // comments on a channel post arrive in its discussion group as replies to the automatic forward
+    const parent = m.reply_to_message
+    const remoteId = parent ? (parent.is_automatic_forward ? parent.forward_from_message_id : parent.message_id) : null
+    const author = m.from?.username || [m.from?.first_name, m.from?.last_name].filter(Boolean).join(' ') || m.sender_chat?.title
+    return [{ key, kind: parent ? 'comment' : 'message', remoteId, author, text:m.text || m.caption || '[media]', at:at(m.date*1000) }]
+  }
+  const cm = u.my_chat_member
+  if(cm){
+    const status = cm.new_chat_member?.status
+    if(['kicked','left'].includes(status)) return [{ key, kind:'policy', level:'violation', code:`telegram:policy:${status}`, message:`Bot ${status==='kicked' ? 'was removed from' : 'left'} ${cm.chat?.title || cm.chat?.id}; posts there will fail` }]
+    if(status==='restricted' || (status==='administrator' && cm.new_chat_member.can_post_messages===false)) return [{ key, kind:'policy', level:'warn', code:'telegram:policy:restricted', message:`Bot can no longer post freely in ${cm.chat?.title || cm.chat?.id}` }]
+  }
+  return []
+}
+
+// ----------------------------- line -----------------------------
+function line(body){
+  return (body.events || []).map(e=> {
+    const key = `event:${e.webhookEventId || `${e.type}:${e.timestamp}:${e.source?.userId || ''}`}`
+    const who = e.source?.userId || e.source?.groupId || e.source?.roomId
+    if(e.type==='message') return { key, kind:'message', author:who, text:e.message?.text || `[${e.message?.type}]`, at:at(e.timestamp) }
+    if(e.type==='unfollow' || e.type==='leave') return { key, kind:'policy', level:'warn', code:`line:policy:${e.type}`, message: e.type==='unfollow' ? `${who} blocked the account` : `Bot removed from ${who}`, at:at(e.timestamp) }
+    if(e.type==='follow' || e.type==='join') return { key, kind:'message', code:`line:${e.type}`, author:who, text: e.type==='follow' ? 'followed the account' : 'added the bot', at:at(e.timestamp) }
+    return null
+  }).filter(Boolean)
+}
+
+// ----------------------------- viber -----------------------------
+function viber(b){
+  const key = `${b.event}:${b.message_token}:${b.user_id || b.sender?.id || ''}`
+  if(['delivered','seen'].includes(b.event)) return [{ key, kind:'delivery', remoteId:b.message_token, status:b.event, recipient:b.user_id, at:at(b.timestamp) }]
+  if(b.event==='failed') return [{ key, kind:'delivery', remoteId:b.message_token, status:'failed', recipient:b.user_id, level:'warn', code:'viber:delivery:failed', message:`Delivery to ${b.user_id} failed: ${b.desc || 'unknown error'}`, at:at(b.timestamp) }]
+  if(b.event==='unsubscribed') return [{ key, kind:'policy', level:'warn', code:'viber:policy:unsubscribed', message:`${b.user_id} unsubscribed`, at:at(b.timestamp) }]
+  if(b.event==='message') return [{ key, kind:'message', author:b.sender?.name || b.sender?.id, text:b.message?.text || `[${b.message?.type}]`, at:at(b.timestamp) }]
+  return []
+}
+
+// Defaults for whatever the per-platform mapping left open
+const summary = {
+  comment: (e)=> `New comment${e.author ? ` from ${e.author}` : ''}: ${clip(e.text)}`,
+  mention: (e)=> `Mentioned${e.author ? ` by ${e.author}` : ''}${e.text ? `: ${clip(e.text)}` : ''}`,
+  message: (e)=> `Message${e.author ? ` from ${e.author}` : ''}: ${clip(e.text)}`,
+  delivery: (e)=> `Message ${e.status}${e.recipient ? ` (${e.recipient})` : ''}`,
+  policy: (e)=> e.code,
+}
+
+export function normalize(platform, body = {}){
+  const raw = platform==='telegram' ? telegram(body) : platform==='line' ? line(body) : platform==='viber' ? viber(body) : meta(platform, body)
+  return raw.map(e=> ({
+    ...e, level:e.level || 'info', remoteId:e.remoteId != null ? String(e.remoteId) : null,
+    code:e.code || `${platform}:${e.kind}${e.kind==='delivery' ? ':'+e.status : ''}`,
+    message:e.message || summary[e.kind](e),
+  }))
+}
@@ -0,0 +1,49 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { handshake, normalize, verify } from './inbound.js'
+
+const raw = Buffer.from('{"entry":[]}')
+const hmac = (secret, enc)=> crypto.createHmac('sha256', secret).update(raw).digest(enc)
+const meta = { META_APP_SECRET:'app-secret', META_VERIFY_TOKEN:'verify-me' }
+
+test('verify: Meta signs the raw body with the app secret', ()=> {
+  assert.doesNotThrow(()=> verify('instagram', { 'x-hub-signature-256':`sha256=${hmac('app-secret', 'hex')}` }, raw, meta))
+  assert.throws(()=> verify('instagram', { 'x-hub-signature-256':`sha256=${hmac('other', 'hex')}` }, raw, meta), { message:'invalid_signature', status:401 })
+  assert.throws(()=> verify('facebook', {}, raw, meta), { message:'invalid_signature', status:401 })
+  // the signature covers the exact bytes, not a re-serialized body
+  assert.throws(()=> verify('whatsapp', { 'x-hub-signature-256':`sha256=${hmac('app-secret', 'hex')}` }, Buffer.from('{"entry": []}'), meta), { message:'invalid_signature' })
+})
+
+test('verify: Telegram secret token, LINE base64 and Viber hex signatures', ()=> {
+  assert.doesNotThrow(()=> verify('telegram', { 'x-telegram-bot-api-secret-token':'tg' }, raw, { TELEGRAM_WEBHOOK_SECRET:'tg' }))
+  assert.throws(()=> verify('telegram', { 'x-telegram-bot-api-secret-token':'tgx' }, raw, { TELEGRAM_WEBHOOK_SECRET:'tg' }), { message:'invalid_signature' })
+  assert.doesNotThrow(()=> verify('line', { 'x-line-signature':hmac('line-secret', 'base64') }, raw, { LINE_CHANNEL_SECRET:'line-secret' }))
+  assert.throws(()=> verify('line', { 'x-line-signature':hmac('line-secret', 'hex') }, raw, { LINE_CHANNEL_SECRET:'line-secret' }), { message:'invalid_signature' })
+  assert.doesNotThrow(()=> verify('viber', { 'x-viber-content-signature':hmac('viber-token', 'hex') }, raw, { VIBER_TOKEN:'viber-token' }))
+  assert.throws(()=> verify('viber', { 'x-viber-content-signature':hmac('viber-token', 'base64') }, raw, { VIBER_TOKEN:'viber-token' }), { message:'invalid_signature' })
+})
+
+test('verify refuses unknown platforms and accounts without their secrets', ()=> {
+  assert.throws(()=> verify('myspace', {}, raw, {}), { message:'inbound_unsupported', status:404 })
+  assert.throws(()=> verify('instagram', {}, raw, { META_VERIFY_TOKEN:'v' }), { message:'inbound_not_configured:META_APP_SECRET', status:403 })
+})
+
+test('handshake echoes the challenge only for the right verify token', ()=> {
+  assert.equal(handshake('facebook', { 'hub.mode':'subscribe', 'hub.verify_token':'verify-me', 'hub.challenge':'42' }, meta), '42')
+  assert.throws(()=> handshake('facebook', { 'hub.mode':'subscribe', 'hub.verify_token':'nope', 'hub.challenge':'42' }, meta), { message:'verify_token_mismatch', status:403 })
+  assert.throws(()=> handshake('telegram', {}, { TELEGRAM_WEBHOOK_SECRET:'tg' }), { message:'inbound_unsupported' })
+})
+
+test('normalize: a comment on our post carries its remoteId and a stable key', ()=> {
+  const body = { entry:[{ id:'1', changes:[{ field:'comments', value:{ id:'c1', media:{ id:17841 }, from:{ username:'ana' }, text:'nice' } }] }] }
+  assert.deepEqual(normalize('instagram', body), [{ key:'comment:c1', kind:'comment', remoteId:'17841', author:'ana', text:'nice', level:'info', code:'instagram:comment', message:'New comment from ana: nice' }])
+})
+
+test('normalize: policy events are alerts with their own level and code', ()=> {
+  const [kicked] = normalize('telegram', { update_id:7, my_chat_member:{ chat:{ title:'News' }, new_chat_member:{ status:'kicked' } } })
+  assert.deepEqual([kicked.key, kicked.level, kicked.code], ['update:7', 'violation', 'telegram:policy:kicked'])
+  const [failed] = normalize('viber', { event:'failed', message_token:5, user_id:'u1', desc:'blocked' })
+  assert.deepEqual([failed.level, failed.code, failed.remoteId], ['warn', 'viber:delivery:failed', '5'])
+  assert.deepEqual(normalize('line', { events:[{ type:'beacon' }] }), [])
+})
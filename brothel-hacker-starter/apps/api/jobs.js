@@ -0,0 +1,229 @@
+/**
+ * Brothel Hacker — Job Engine
+ *
+ * Purpose: Publish queued jobs target by target (account, or bare platform) with durable results.
+ * Results: job.results[key] = { platform, accountId?, status, attempts, remoteId?, response?, error?, nextAttemptAt?, hold? }
+ *          QUEUED → SENDING → POSTED | RETRY (429/5xx/network, exponential backoff) | FAILED (4xx, 501 stubs,
+ *          or attempts exhausted). BLOCKED/CANCELLED never send. SENDING at boot becomes UNCERTAIN:
+ *          the call may have landed, so it is never re-sent automatically.
+ * Jobs:    QUEUED | POSTING (some work done, more pending) | POSTED | PARTIAL | FAILED | BLOCKED | CANCELLED.
+ *          Finished jobs with FAILED/UNCERTAIN targets carry deadLetter:true.
+ * Timing:  a single timer sleeps until the earliest nextRunAt (capped at maxSleepMs); poke() wakes it early.
+ *
+ * Hooks:   prepare(job) -> { hold, until? } | { fail, detail? } | { targets:[{key, platform, ...}], blocked:[{key, reason}], held?:[{key, reason, until}] }
+ *          a hold is re-checked after holdRecheckMs, or at `until` (ms) when the hook knows the end;
+ *          a held target waits (hold = reason, nextAttemptAt = until) while the job's other targets go out
+ *          publish(target, job) -> adapter response
+ *          onResult(job, key, result) — a target reached POSTED or FAILED (notifications, audit)
+ */
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const iso = (ms)=> new Date(ms).toISOString()
+
+export const TERMINAL = Object.freeze(['POSTED','PARTIAL','FAILED','BLOCKED','CANCELLED'])
+const PENDING = ['QUEUED','RETRY','SENDING']
+
+// Transient (retry) vs permanent failure, from the adapter `err` status or the HTTP response
+export function classify(e){
+  const status = e.status || e.response?.status
+  const retryAfter = Number(e.response?.headers?.['retry-after'])
+  const transient = !status || status===408 || status===429 || (status>=500 && status!==501)
+  return { transient, status, retryAfterMs: retryAfter > 0 ? retryAfter*1000 : null }
+}
+
+// Publish time: whenISO, else createdAt for immediate posts
+export const whenOf = (j)=> Date.parse(j.whenISO || j.createdAt)
+// from/to (ISO) bound the publish time, half-open [from, to) so adjacent windows never share a job
+export const inWindow = ({ from, to })=> {
+  const [f, t] = [from, to].map(x=> x && Date.parse(x))
+  return (j)=> (!f || whenOf(j) >= f) && (!t || whenOf(j) < t)
+}
+
+/**
+ * A workspace's jobs (GET /api/jobs). A from/to window is read in publish order, so a full page is the
+ * window's first `limit` jobs — a calendar misses only its last days, never random ones in the middle.
+ * Without a window: newest created first.
+ */
+export function listJobs(store, { workspace, status, from, to, limit = 100 }){
+  const within = inWindow({ from, to })
+  const sort = from || to ? (a,b)=> whenOf(a) - whenOf(b) : (a,b)=> b.createdAt.localeCompare(a.createdAt)
+  return store.list('jobs', { where:j=> j.workspace===workspace && (!status || j.status===status) && within(j), sort, limit })
+}
+
+export function backoff(attempt, baseMs, maxMs){
+  const d = Math.min(maxMs, baseMs * 2**(attempt-1))
+  return Math.round(d * (0.8 + Math.random()*0.4))
+}
+
+export function initResults(job){
+  job.targets ||= job.platforms.map(p=> ({ key:p, platform:p.toLowerCase() }))
+  job.results ||= Object.fromEntries(job.targets.map(t=> [t.key, { platform:t.platform, ...(t.accountId && { accountId:t.accountId }), status:'QUEUED', attempts:0 }]))
+  return job
+}
+
+// Derive job status / nextRunAt / deadLetter from its target results
+export function settle(job, now=Date.now()){
+  const rs = Object.values(job.results)
+  const pending = rs.filter(r=> PENDING.includes(r.status))
+  if(pending.length){
+    job.status = rs.some(r=> r.attempts) ? 'POSTING' : 'QUEUED'
+    const dueAt = pending.map(r=> r.nextAttemptAt ? Date.parse(r.nextAttemptAt) : Date.parse(job.whenISO || job.createdAt))
+    job.nextRunAt = iso(Math.min(...dueAt))
+    job.deadLetter = false
+    return job
+  }
+  const posted = rs.filter(r=> r.status==='POSTED').length
+  job.status = posted===rs.length ? 'POSTED' : posted ? 'PARTIAL' : rs.every(r=> r.status==='BLOCKED') ? 'BLOCKED' : rs.every(r=> r.status==='BLOCKED' || r.status==='CANCELLED') ? 'CANCELLED' : 'FAILED'
+  job.nextRunAt = null
+  job.deadLetter = rs.some(r=> r.status==='FAILED' || r.status==='UNCERTAIN')
+  if(posted) job.postedAt ||= iso(now)
+  return job
+}
+
+export function createJobEngine({ store, prepare, publish, maxAttempts = 5, baseDelayMs = 30000, maxDelayMs = 3600000, holdRecheckMs = 30000, maxSleepMs = 60000, onResult = ()=> {}, log = console }){
+  const running = new Set()
+  let timer = null, ticking = false, again = false
+  const save = (job)=> store.put('jobs', job)
+
+  async function sendOne(job, target){
+    const r = job.results[target.key]
+    r.status = 'SENDING'; r.attempts += 1; r.lastAttemptAt = iso(Date.now()); delete r.hold
+    await save(job)
+    try {
+      const data = await publish(target, job)
+      Object.assign(r, { status:'POSTED', remoteId: data?.id ?? data?.upload_id ?? null, response: data ?? null, postedAt: iso(Date.now()) })
+      delete r.error; delete r.errorStatus; delete r.nextAttemptAt
+    } catch(e){
+      const c = classify(e)
+      Object.assign(r, { error: e.message, errorStatus: c.status ?? null })
+      if(c.transient && r.attempts < maxAttempts){
+        r.status = 'RETRY'
+        r.nextAttemptAt = iso(Date.now() + Math.max(c.retryAfterMs || 0, backoff(r.attempts, baseDelayMs, maxDelayMs)))
+      } else {
+        r.status = 'FAILED'; delete r.nextAttemptAt
+      }
+    }
+    await save(job)
+    if(r.status!=='RETRY') await notify(job, target.key, r)
+  }
+  const notify = (job, key, r)=> Promise.resolve().then(()=> onResult(job, key, r)).catch(e=> log.error('job_result_hook_failed', job.id, e.message))
+
+  async function runJob(job){
+    running.add(job.id)
+    try {
+      initResults(job)
+      const now = Date.now()
+      const prep = await prepare(job)
+      if(prep.hold){
+        job.hold = prep.hold; job.nextRunAt = iso(prep.until || now + holdRecheckMs)
+        return await save(job)
+      }
+      delete job.hold
+      if(prep.fail){
+        job.error = prep.fail; if(prep.detail) job.errorDetail = prep.detail
+        const failed = Object.entries(job.results).filter(([, r])=> PENDING.includes(r.status))
+        for(const [, r] of failed) Object.assign(r, { status:'FAILED', error:prep.fail })
+        await save(settle(job))
+        for(const [key, r] of failed) await notify(job, key, r)
+        return
+      }
+      for(const b of prep.blocked || []){
+        const r = job.results[b.key]
+        if(r && PENDING.includes(r.status)) Object.assign(r, { status:'BLOCKED', error:b.reason })
+      }
+      for(const h of prep.held || []){
+        const r = job.results[h.key]
+        if(r && PENDING.includes(r.status)) Object.assign(r, { hold:h.reason, nextAttemptAt:iso(h.until) })
+      }
+      const due = prep.targets.filter(t=> {
+        const r = job.results[t.key]
+        return r && (r.status==='QUEUED' || r.status==='RETRY') && !(Date.parse(r.nextAttemptAt) > now)
+      })
+      await Promise.allSettled(due.map(t=> sendOne(job, t)))
+      await save(settle(job))
+    } catch(e){
+      log.error('job_run_failed', job.id, e)
+    } finally { running.delete(job.id) }
+  }
+
+  const open = (j)=> (j.status==='QUEUED' || j.status==='POSTING') && !running.has(j.id)
+  const dueAt = (j)=> Date.parse(j.nextRunAt || j.whenISO || 0)
+
+  async function runDue(){
+    const now = Date.now()
+    const due = await store.list('jobs', { where:j=> open(j) && dueAt(j) <= now })
+    await Promise.allSettled(due.map(runJob))
+  }
+
+  // only the earliest open job is read back, not every queued one
+  async function nextDueAt(){
+    const [next] = await store.list('jobs', { where:open, sort:(a,b)=> dueAt(a) - dueAt(b), limit:1 })
+    return next ? dueAt(next) : Infinity
+  }
+
+  async function tick(){
+    if(ticking){ again = true; return }
+    ticking = true; clearTimeout(timer)
+    try { await runDue() } catch(e){ log.error('job_tick_failed', e) }
+    finally { ticking = false }
+    if(again){ again = false; return tick() }
+    const wait = Math.max(50, Math.min((await nextDueAt()) - Date.now(), maxSleepMs))
+    timer = setTimeout(tick, wait)
+  }
+
+  // Targets caught mid-send by a crash/redeploy are parked as UNCERTAIN instead of re-sent
+  async function recover(){
+    for(const job of await store.list('jobs', { where:j=> j.results && Object.values(j.results).some(r=> r.status==='SENDING') })){
+      for(const r of Object.values(job.results)) if(r.status==='SENDING') Object.assign(r, { status:'UNCERTAIN', error:'interrupted_during_send' })
+      await save(settle(job))
+    }
+  }
+
+  async function load(id){
+    const job = await store.get('jobs', id)
+    if(!job) err('not_found', 404)
+    if(running.has(id)) err('job_running', 409)
+    return initResults(job)
+  }
+
+  return {
+    async start(){ await recover(); await tick() },
+    poke(){ setImmediate(tick) },
+    stop(){ clearTimeout(timer) },
+    // Only what has not been sent is cancelled; a job with targets already out settles to PARTIAL
+    async cancel(id){
+      const job = await load(id)
+      if(TERMINAL.includes(job.status)) err('job_finished', 409)
+      for(const r of Object.values(job.results)) if(PENDING.includes(r.status)){ r.status = 'CANCELLED'; delete r.nextAttemptAt; delete r.hold }
+      delete job.hold
+      job.cancelledAt = iso(Date.now())
+      return save(settle(job))
+    },
+    async reschedule(id, whenISO){
+      const job = await load(id)
+      if(TERMINAL.includes(job.status)) err('job_finished', 409)
+      job.whenISO = whenISO
+      // retries and held targets move with the job; holds are re-checked at the new time
+      for(const r of Object.values(job.results)){
+        if(r.status==='RETRY') r.nextAttemptAt = whenISO
+        else if(r.hold) delete r.nextAttemptAt
+        delete r.hold
+      }
+      delete job.hold
+      await save(settle(job))
+      this.poke()
+      return job
+    },
+    // Dead-letter redrive: FAILED/UNCERTAIN targets become due now with a fresh attempt budget
+    async retry(id){
+      const job = await load(id)
+      if(!job.deadLetter) err('not_dead_lettered', 409)
+      const now = iso(Date.now())
+      for(const r of Object.values(job.results)) if(r.status==='FAILED' || r.status==='UNCERTAIN') Object.assign(r, { status:'RETRY', attempts:0, nextAttemptAt:now })
+      delete job.error; delete job.errorDetail
+      await save(settle(job))
+      this.poke()
+      return job
+    },
+  }
+}
@@ -0,0 +1,105 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { classify, createJobEngine, initResults, listJobs, settle } from './jobs.js'
+import { createStore } from './store.js'
+
+test('classify: network errors, 408, 429 and 5xx retry; other 4xx and 501 do not', ()=> {
+  assert.equal(classify(new Error('ECONNRESET')).transient, true)
+  for(const status of [408, 429, 500, 502, 503]) assert.equal(classify({ status }).transient, true, String(status))
+  for(const status of [400, 401, 403, 404, 422, 501]) assert.equal(classify({ status }).transient, false, String(status))
+  assert.deepEqual(classify({ response:{ status:503 } }), { transient:true, status:503, retryAfterMs:null })
+})
+
+test('classify reads Retry-After seconds, ignoring junk', ()=> {
+  assert.equal(classify({ response:{ status:429, headers:{ 'retry-after':'12' } } }).retryAfterMs, 12000)
+  assert.equal(classify({ response:{ status:429, headers:{ 'retry-after':'soon' } } }).retryAfterMs, null)
+  assert.equal(classify({ response:{ status:429, headers:{ 'retry-after':'0' } } }).retryAfterMs, null)
+})
+
+const job = (statuses, extra = {})=> {
+  const j = initResults({ platforms:Object.keys(statuses), whenISO:'2030-01-01T10:00:00.000Z', ...extra })
+  for(const [k, s] of Object.entries(statuses)) Object.assign(j.results[k], typeof s==='string' ? { status:s } : s)
+  return j
+}
+
+test('settle: pending targets keep the job open, due at the earliest of them', ()=> {
+  const j = settle(job({ twitter:'QUEUED', reddit:{ status:'RETRY', attempts:1, nextAttemptAt:'2029-12-31T00:00:00.000Z' } }))
+  assert.equal(j.status, 'POSTING')
+  assert.equal(j.nextRunAt, '2029-12-31T00:00:00.000Z')
+  assert.equal(j.deadLetter, false)
+  assert.equal(settle(job({ twitter:'QUEUED' })).status, 'QUEUED')
+  assert.equal(settle(job({ twitter:'QUEUED' })).nextRunAt, '2030-01-01T10:00:00.000Z')
+})
+
+test('settle: finished outcomes', ()=> {
+  const now = Date.parse('2030-01-01T10:05:00Z')
+  const posted = settle(job({ twitter:'POSTED', reddit:'POSTED' }), now)
+  assert.equal(posted.status, 'POSTED')
+  assert.equal(posted.postedAt, '2030-01-01T10:05:00.000Z')
+  assert.equal(posted.nextRunAt, null)
+  assert.equal(settle(job({ twitter:'POSTED', reddit:'FAILED' })).status, 'PARTIAL')
+  assert.equal(settle(job({ twitter:'BLOCKED', reddit:'BLOCKED' })).status, 'BLOCKED')
+  assert.equal(settle(job({ twitter:'CANCELLED' })).status, 'CANCELLED')
+  assert.equal(settle(job({ twitter:'BLOCKED', reddit:'CANCELLED' })).status, 'CANCELLED')
+  assert.equal(settle(job({ twitter:'FAILED', reddit:'CANCELLED' })).status, 'FAILED')
+})
+
+test('settle: FAILED or UNCERTAIN targets dead-letter a finished job', ()=> {
+  assert.equal(settle(job({ twitter:'POSTED', reddit:'FAILED' })).deadLetter, true)
+  assert.equal(settle(job({ twitter:'UNCERTAIN' })).deadLetter, true)
+  assert.equal(settle(job({ twitter:'POSTED', reddit:'BLOCKED' })).deadLetter, false)
+})
+
+test('settle keeps the first postedAt', ()=> {
+  const j = settle(job({ twitter:'POSTED' }, { postedAt:'2030-01-01T10:00:00.000Z' }), Date.parse('2030-02-01'))
+  assert.equal(j.postedAt, '2030-01-01T10:00:00.000Z')
+})
+
+test('listJobs reads a window in publish order, so a full page is its earliest jobs', async ()=> {
+  const store = createStore('memory')
+  const at = (d)=> `2030-01-${d}T10:00:00.000Z`
+  // created newest-last in reverse publish order, plus one outside the window and one in another workspace
+  for(const [id, day, workspace = 'w'] of [['j5', '05'], ['j3', '03'], ['j4', '04'], ['j1', '01'], ['j2', '02', 'other'], ['j9', '09']])
+    await store.put('jobs', { id, workspace, whenISO:at(day), createdAt:`2026-10-19T00:00:0${id[1]}.000Z`, status:'QUEUED' })
+  const window = { workspace:'w', from:at('01'), to:at('09') }
+  assert.deepEqual((await listJobs(store, { ...window, limit:2 })).map(j=> j.id), ['j1', 'j3'])
+  assert.deepEqual((await listJobs(store, { ...window, limit:10 })).map(j=> j.id), ['j1', 'j3', 'j4', 'j5'])
+  assert.deepEqual((await listJobs(store, { workspace:'w', limit:2 })).map(j=> j.id), ['j9', 'j5'])
+})
+
+test('cancel stops only unsent targets; a job with posts already out ends PARTIAL', async ()=> {
+  const store = createStore('memory')
+  const engine = createJobEngine({ store, prepare:async ()=> ({ hold:'test' }), publish:async ()=> ({}) })
+  await store.put('jobs', settle(job({ twitter:'POSTED', reddit:{ status:'RETRY', attempts:1, nextAttemptAt:'2030-01-01T10:01:00.000Z' } }, { id:'j1' })))
+  await store.put('jobs', settle(job({ twitter:'QUEUED' }, { id:'j2' })))
+  const partial = await engine.cancel('j1')
+  assert.equal(partial.status, 'PARTIAL')
+  assert.deepEqual([partial.results.twitter.status, partial.results.reddit.status], ['POSTED', 'CANCELLED'])
+  assert.equal(partial.nextRunAt, null)
+  assert.ok(partial.cancelledAt)
+  assert.equal((await engine.cancel('j2')).status, 'CANCELLED')
+  await assert.rejects(engine.cancel('j2'), { message:'job_finished', status:409 })
+})
+
+test('a held target waits for its window to end while the rest of the job goes out', async ()=> {
+  const store = createStore('memory'), sent = []
+  const until = Date.now() + 3600000
+  const engine = createJobEngine({
+    store, publish:async (t)=> { sent.push(t.key); return { id:`r_${t.key}` } },
+    prepare:async (j)=> ({ targets:j.targets.filter(t=> t.key!=='reddit'), blocked:[], held:[{ key:'reddit', reason:'blackout:b1', until }] }),
+  })
+  await store.put('jobs', settle(job({ twitter:'QUEUED', reddit:'QUEUED' }, { id:'j1', whenISO:new Date(Date.now() - 1000).toISOString() })))
+  await engine.start(); engine.stop()
+  const j = await store.get('jobs', 'j1')
+  assert.deepEqual(sent, ['twitter'])
+  assert.equal(j.status, 'POSTING')
+  assert.equal(j.results.twitter.status, 'POSTED')
+  assert.deepEqual([j.results.reddit.status, j.results.reddit.hold], ['QUEUED', 'blackout:b1'])
+  assert.equal(j.nextRunAt, new Date(until).toISOString())
+  // rescheduling drops the hold so it is checked again at the new time (and the poke holds it again)
+  const moved = await engine.reschedule('j1', j.whenISO)
+  assert.equal(moved.results.reddit.hold, undefined)
+  assert.equal(moved.nextRunAt, j.whenISO)
+  await new Promise(r=> setTimeout(r, 50)); engine.stop()
+  assert.equal((await store.get('jobs', 'j1')).results.reddit.hold, 'blackout:b1')
+})
@@ -0,0 +1,195 @@
+/**
+ * Brothel Hacker — LLM Providers
+ *
+ * Purpose:   One writer (captions, per-platform variants, articles) over pluggable chat-completion providers.
+ * Providers: 'openai' (api.openai.com), 'openai-compatible' (any /v1/chat/completions endpoint: vLLM, Ollama,
+ *            LM Studio...; baseUrl required) and 'stub' (offline + deterministic, same input → same output).
+ *            Each implements complete({ task, vars, system, user, json, temperature }) -> { text, usage, model }.
+ *            Add more with registerProvider().
+ * Config:    per workspace via configFor(workspace) -> { provider, model?, baseUrl?, apiKey?, jsonMode?, temperature?,
+ *            pricing?:{ input, output } (USD / 1M tokens), templates?:{ [key]: string }, voice? }.
+ * Templates: `{{name}}` placeholders; keys in `templates` below, overridable per workspace.
+ * Usage:     every provider call is recorded in 'llm_usage' with tokens and cost.
+ */
+
+import axios from 'axios'
+import crypto from 'node:crypto'
+import { limits } from './preflight.js'
+import { newId } from './store.js'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const len = (s='')=> [...s].length
+const estimate = (s='')=> Math.ceil(len(s) / 4)
+
+// USD per 1M tokens; local/compatible endpoints cost nothing unless the workspace sets `pricing`
+export const prices = Object.freeze({
+  'gpt-4o-mini':{ input:0.15, output:0.60 },
+  'gpt-4o':{ input:2.50, output:10.00 },
+  'gpt-4.1-mini':{ input:0.40, output:1.60 },
+  'gpt-4.1':{ input:2.00, output:8.00 },
+})
+
+export const templates = Object.freeze({
+  'caption.system': 'You are a social media copywriter. Keep under {{maxChars}} chars, add a single CTA.{{voice}}',
+  'caption.user': 'Tone: {{tone}}. Prompt: {{prompt}}',
+  'variants.system': 'You are a social media copywriter writing platform-native copy. Reply with JSON only: an object whose keys are the platform names and whose values are arrays of exactly {{n}} distinct variants (strings). Respect every character limit.{{voice}}',
+  'variants.user': 'Tone: {{tone}}\nBrief: {{prompt}}\n\nPlatforms:\n{{platforms}}',
+  'shorten.system': 'You tighten social copy without losing the hook or the CTA. Reply with the rewritten text only.',
+  'shorten.user': 'Rewrite in at most {{maxChars}} characters:\n\n{{text}}',
+  'article.system': 'You are a senior content strategist. Create original, non-plagiarized articles. Cite sources generically, avoid copying phrasing. Markdown output.{{voice}}',
+  'article.user': 'Topic: {{topic}}\nTone: {{tone}}\nTarget length: {{words}} words\nSource summary (optional): {{sourceSummary}}',
+})
+
+export const render = (tpl, vars)=> tpl.replace(/\{\{(\w+)\}\}/g, (_, k)=> vars[k] ?? '')
+
+// How each network reads best; `ideal` is what we aim for, the preflight limit is the hard ceiling
+const style = {
+  twitter:{ ideal:260, note:'punchy, one idea, at most 2 hashtags' },
+  instagram:{ ideal:400, note:'hook in the first line, short lines, up to 5 hashtags at the end' },
+  facebook:{ ideal:500, note:'conversational, a question invites comments' },
+  linkedin:{ ideal:1200, note:'professional, short paragraphs, no hashtag walls' },
+  tiktok:{ ideal:300, note:'casual, hook first, 3-5 hashtags' },
+  pinterest:{ ideal:450, note:'keyword-rich description of what the pin shows' },
+  reddit:{ ideal:1000, note:'no hashtags or marketing tone; first line reads as a title' },
+  medium:{ ideal:1500, note:'an intro paragraph for a longer article' },
+}
+export function sizing(platform, { withMedia = false } = {}){
+  const lim = limits[platform] || {}
+  const max = (withMedia && lim.caption) || lim.text || 2200
+  return { max, target:Math.min(max, style[platform]?.ideal || 1000), note:style[platform]?.note || 'short and direct, reads like a message' }
+}
+
+export function voicePrompt(v){
+  if(!v) return ''
+  const lines = [`Brand voice "${v.name}"${v.description ? `: ${v.description}` : ''}`]
+  if(v.dos?.length) lines.push(`Do: ${v.dos.join('; ')}`)
+  if(v.donts?.length) lines.push(`Don't: ${v.donts.join('; ')}`)
+  if(v.emoji) lines.push(`Emoji: ${v.emoji}`)
+  if(v.examples?.length) lines.push('On-brand examples:', ...v.examples.map(e=> `- ${e}`))
+  return '\n\n' + lines.join('\n')
+}
+
+// ----------------------------- providers -----------------------------
+function chatProvider({ name, baseUrl, apiKey, model, jsonMode = true, timeoutMs = 60000 }){
+  if(!baseUrl) err('llm_base_url_required')
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+  return {
+    name, model,
+    async complete({ system, user, json, temperature = 0.8 }){
+      const r = await axios.post(url, {
+        model, temperature,
+        messages:[{ role:'system', content:system }, { role:'user', content:user }],
+        ...(json && jsonMode && { response_format:{ type:'json_object' } }),
+      }, { timeout:timeoutMs, headers: apiKey ? { Authorization:`Bearer ${apiKey}` } : {} })
+      const text = r.data.choices?.[0]?.message?.content?.trim() || ''
+      const u = r.data.usage || {}
+      return { text, model:r.data.model || model, usage:{ promptTokens:u.prompt_tokens ?? estimate(system + user), completionTokens:u.completion_tokens ?? estimate(text) } }
+    },
+  }
+}
+
+const HOOKS = ['Real talk:', 'Quick one:', 'Heads up —', 'New:', 'Worth it:', 'Here\'s the thing:', 'No fluff:']
+const fit = (s, max)=> { if(len(s) <= max) return s; const cut = [...s].slice(0, max - 1).join(''); return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length) + '…' }
+
+// Offline: output is a pure function of the inputs (tests, CI, demos without keys)
+function stubProvider({ model = 'stub-1' } = {}){
+  const outputs = {
+    caption: (v)=> `${v.prompt}\n\n— Neon grind, golden results. ✨ (LOCAL)`,
+    article: (v)=> `# ${v.topic}\n\n(Developer mode) Provide your OPENAI_API_KEY to generate full copy.`,
+    shorten: (v)=> fit(v.text, Number(v.maxChars)),
+    variants: (v)=> {
+      const seed = parseInt(crypto.createHash('sha1').update(v.prompt).digest('hex').slice(0, 8), 16)
+      return JSON.stringify(Object.fromEntries(v.targets.map(t=> [t.platform, Array.from({ length:v.n }, (_, i)=> fit(`${HOOKS[(seed + i) % HOOKS.length]} ${v.prompt}`, t.target))])))
+    },
+  }
+  return {
+    name:'stub', model,
+    async complete({ task, vars, system, user }){
+      const text = (outputs[task] || ((x)=> x.prompt || ''))(vars)
+      return { text, model, usage:{ promptTokens:estimate(system + user), completionTokens:estimate(text) } }
+    },
+  }
+}
+
+const providers = {
+  openai: (c)=> chatProvider({ name:'openai', baseUrl:c.baseUrl || 'https://api.openai.com/v1', apiKey:c.apiKey || err('llm_api_key_required'), model:c.model || 'gpt-4o-mini', jsonMode:c.jsonMode ?? true }),
+  'openai-compatible': (c)=> chatProvider({ name:'openai-compatible', baseUrl:c.baseUrl, apiKey:c.apiKey, model:c.model || 'default', jsonMode:c.jsonMode ?? false }),
+  stub: (c)=> stubProvider({ model:c.model || 'stub-1' }),
+}
+export function registerProvider(name, factory){ providers[name] = factory }
+export const providerNames = ()=> Object.keys(providers)
+export function createProvider(config){
+  const factory = providers[config.provider]
+  if(!factory) err(`unknown_llm_provider:${config.provider}`)
+  return factory(config)
+}
+
+export function costOf(model, usage, pricing){
+  const p = pricing || prices[model] || prices[model?.replace(/-\d{4}-\d{2}-\d{2}$/, '')]
+  if(!p) return 0
+  return Math.round((usage.promptTokens * p.input + usage.completionTokens * p.output) / 1e6 * 1e6) / 1e6
+}
+
+// Models wrap JSON in prose or fences more often than not; take the outermost object
+export function parseVariants(text, platforms, n){
+  let obj = {}
+  try { obj = JSON.parse(text) } catch {
+    const m = text.match(/\{[\s\S]*\}/)
+    try { obj = m ? JSON.parse(m[0]) : {} } catch { obj = {} }
+  }
+  return Object.fromEntries(platforms.map(p=> [p, [].concat(obj[p] ?? []).map(v=> typeof v==='string' ? v : v?.text).filter(Boolean).slice(0, n)]))
+}
+
+// ----------------------------- writer -----------------------------
+export function createWriter({ store, configFor }){
+  // One provider call, rendered from the workspace's templates and recorded with its cost
+  async function call(workspace, task, vars, { json, temperature, ledger } = {}){
+    const cfg = await configFor(workspace)
+    const provider = createProvider(cfg)
+    const tpl = (k)=> cfg.templates?.[k] || templates[k]
+    const v = { voice: voicePrompt(cfg.voice), ...vars }
+    const system = render(tpl(`${task}.system`), v), user = render(tpl(`${task}.user`), v)
+    const out = await provider.complete({ task, vars:v, system, user, json, temperature: temperature ?? cfg.temperature })
+    const costUsd = costOf(out.model, out.usage, cfg.pricing)
+    await store.put('llm_usage', { id:newId('use'), workspace, provider:provider.name, model:out.model, task, ...out.usage, costUsd, ts:new Date().toISOString() })
+    ledger?.push({ task, model:out.model, ...out.usage, costUsd })
+    return out.text
+  }
+  const total = (ledger)=> ledger.reduce((t, u)=> ({ calls:t.calls + 1, promptTokens:t.promptTokens + u.promptTokens, completionTokens:t.completionTokens + u.completionTokens, costUsd:Math.round((t.costUsd + u.costUsd) * 1e6) / 1e6 }), { calls:0, promptTokens:0, completionTokens:0, costUsd:0 })
+
+  return {
+    async caption({ workspace = 'default', prompt, tone = 'direct', maxChars = 2200 }){
+      const ledger = []
+      const caption = await call(workspace, 'caption', { prompt, tone, maxChars }, { ledger })
+      return { caption: caption || 'Caption.', usage: total(ledger) }
+    },
+
+    async article({ workspace = 'default', topic, sourceSummary = '', tone = 'direct', words = 900 }){
+      const ledger = []
+      const article = await call(workspace, 'article', { topic, sourceSummary, tone, words }, { ledger })
+      return { article, usage: total(ledger) }
+    },
+
+    /**
+     * N variants per platform in one provider call, sized to each platform (sizing()); anything
+     * over the hard limit gets one shorten pass, and every variant reports whether it fits.
+     * -> { variants:{ [platform]: [{ text, length, limit, fits }] }, usage }
+     */
+    async variants({ workspace = 'default', prompt, tone = 'direct', platforms, n = 3, withMedia = false }){
+      const ledger = []
+      const targets = platforms.map(p=> ({ platform:p, ...sizing(p, { withMedia }) }))
+      const list = targets.map(t=> `- ${t.platform}: aim for ~${t.target} characters, never more than ${t.max}; ${t.note}`).join('\n')
+      const raw = await call(workspace, 'variants', { prompt, tone, n, platforms:list, targets }, { json:true, ledger })
+      const parsed = parseVariants(raw, platforms, n)
+      const variants = {}
+      for(const t of targets){
+        variants[t.platform] = []
+        for(let text of parsed[t.platform]){
+          if(len(text) > t.max) text = (await call(workspace, 'shorten', { text, maxChars:t.max }, { temperature:0.2, ledger })).trim() || text
+          variants[t.platform].push({ text, length:len(text), limit:t.max, fits:len(text) <= t.max })
+        }
+      }
+      return { variants, usage: total(ledger) }
+    },
+  }
+}
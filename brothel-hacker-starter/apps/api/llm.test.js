@@ -0,0 +1,68 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { costOf, createProvider, createWriter, parseVariants, registerProvider, render, sizing, voicePrompt } from './llm.js'
+import { createStore } from './store.js'
+
+test('render fills {{placeholders}} and blanks unknown ones', ()=> {
+  assert.equal(render('Tone: {{tone}}. {{missing}}Go', { tone:'dry' }), 'Tone: dry. Go')
+  assert.equal(render('{{n}} variants', { n:0 }), '0 variants')
+})
+
+test('costOf: list price per 1M tokens, dated model names, workspace pricing first', ()=> {
+  assert.equal(costOf('gpt-4o-mini', { promptTokens:1e6, completionTokens:1e6 }), 0.75)
+  assert.equal(costOf('gpt-4o-2024-08-06', { promptTokens:1000, completionTokens:0 }), 0.0025)
+  assert.equal(costOf('llama3', { promptTokens:1000, completionTokens:1000 }), 0)
+  assert.equal(costOf('llama3', { promptTokens:1e6, completionTokens:0 }, { input:1, output:2 }), 1)
+})
+
+test('parseVariants takes the JSON out of prose or fences and caps each platform at n', ()=> {
+  const text = 'Sure! ```json\n{"twitter":["a","b","c","d"],"reddit":[{"text":"r1"},null]}\n``` Enjoy'
+  assert.deepEqual(parseVariants(text, ['twitter', 'reddit', 'linkedin'], 3), { twitter:['a', 'b', 'c'], reddit:['r1'], linkedin:[] })
+  assert.deepEqual(parseVariants('not json', ['twitter'], 2), { twitter:[] })
+})
+
+test('sizing aims below the hard limit; voicePrompt lists only what the voice sets', ()=> {
+  assert.deepEqual(sizing('twitter'), { max:280, target:260, note:'punchy, one idea, at most 2 hashtags' })
+  assert.equal(sizing('unknown').max, 2200)
+  assert.equal(voicePrompt(null), '')
+  assert.equal(voicePrompt({ name:'Gold', dos:['be brief'], donts:[] }), '\n\nBrand voice "Gold"\nDo: be brief')
+})
+
+test('createProvider: unknown names and missing settings fail up front', ()=> {
+  assert.throws(()=> createProvider({ provider:'nope' }), { message:'unknown_llm_provider:nope', status:400 })
+  assert.throws(()=> createProvider({ provider:'openai' }), { message:'llm_api_key_required' })
+  assert.throws(()=> createProvider({ provider:'openai-compatible' }), { message:'llm_base_url_required' })
+  assert.equal(createProvider({ provider:'stub' }).name, 'stub')
+})
+
+test('the writer renders workspace templates and records every call in llm_usage', async ()=> {
+  const store = createStore('memory'), seen = []
+  registerProvider('echo', ()=> ({ name:'echo', async complete({ system, user }){ seen.push({ system, user }); return { text:'ok', model:'echo-1', usage:{ promptTokens:10, completionTokens:5 } } } }))
+  const configFor = async (ws)=> ({ provider:'echo', pricing:{ input:1e6, output:1e6 }, ...(ws==='b' && { templates:{ 'caption.user':'B: {{prompt}}' } }) })
+  const w = createWriter({ store, configFor })
+  assert.deepEqual(await w.caption({ workspace:'a', prompt:'launch' }), { caption:'ok', usage:{ calls:1, promptTokens:10, completionTokens:5, costUsd:15 } })
+  await w.caption({ workspace:'b', prompt:'launch' })
+  assert.deepEqual(seen.map(s=> s.user), ['Tone: direct. Prompt: launch', 'B: launch'])
+  const usage = await store.list('llm_usage', { sort:(x,y)=> x.workspace.localeCompare(y.workspace) })
+  assert.deepEqual(usage.map(u=> [u.workspace, u.provider, u.model, u.task, u.costUsd]), [['a', 'echo', 'echo-1', 'caption', 15], ['b', 'echo', 'echo-1', 'caption', 15]])
+})
+
+test('variants over the limit get one shorten pass and report whether they fit', async ()=> {
+  const long = 'x'.repeat(400)
+  registerProvider('wordy', ()=> ({ name:'wordy', async complete({ task, vars }){
+    const text = task==='variants' ? JSON.stringify({ twitter:[long, 'short one'] }) : task==='shorten' ? vars.text.slice(0, vars.maxChars) : ''
+    return { text, model:'wordy', usage:{ promptTokens:1, completionTokens:1 } }
+  } }))
+  const w = createWriter({ store:createStore('memory'), configFor:async ()=> ({ provider:'wordy' }) })
+  const { variants, usage } = await w.variants({ prompt:'launch', platforms:['twitter'], n:2 })
+  assert.deepEqual(variants.twitter.map(v=> [v.length, v.limit, v.fits]), [[280, 280, true], [9, 280, true]])
+  assert.equal(usage.calls, 2)
+})
+
+test('the stub provider is deterministic', async ()=> {
+  const w = createWriter({ store:createStore('memory'), configFor:async ()=> ({ provider:'stub' }) })
+  const a = await w.variants({ prompt:'gold drop friday', platforms:['twitter', 'linkedin'], n:2 })
+  const b = await w.variants({ prompt:'gold drop friday', platforms:['twitter', 'linkedin'], n:2 })
+  assert.deepEqual(a.variants, b.variants)
+  assert.equal(a.variants.linkedin.length, 2)
+})
@@ -0,0 +1,131 @@
+/**
+ * Brothel Hacker — Media Library
+ *
+ * Purpose: Store uploads once (sha256 content hash), probe what they are, and hand adapters
+ *          public, expiring URLs for them.
+ * Storage: pluggable; each backend implements put(key, buffer) / open(key) -> stream / read(key) -> buffer / has(key) / del(key).
+ *          'disk' (default) writes under MEDIA_DIR. Select with MEDIA_STORAGE, add with registerStorage().
+ * Probe:   MIME from magic bytes (never the client's claim), pixel size for JPEG/PNG/GIF/WebP,
+ *          size + duration for MP4/MOV.
+ * Signing: /media/:id[/:rendition]?exp=<unix>&sig=<hmac> — HMAC-SHA256 over `${path}.${exp}` with MEDIA_SIGNING_KEY.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+
+// ----------------------------- storage -----------------------------
+function diskStorage({ dir = process.env.MEDIA_DIR || './data/media' } = {}){
+  fs.mkdirSync(dir, { recursive: true })
+  // shard by key prefix so one directory never holds every asset
+  const file = (key)=> path.join(dir, key.slice(0,2), key)
+  return {
+    async put(key, buf){
+      if(fs.existsSync(file(key))) return
+      fs.mkdirSync(path.dirname(file(key)), { recursive: true })
+      const tmp = file(key)+'.tmp'
+      await fs.promises.writeFile(tmp, buf)
+      await fs.promises.rename(tmp, file(key))
+    },
+    async has(key){ return fs.existsSync(file(key)) },
+    async open(key){ return fs.createReadStream(file(key)) },
+    async read(key){ return fs.promises.readFile(file(key)) },
+    async del(key){ await fs.promises.rm(file(key), { force: true }) },
+  }
+}
+
+const storages = { disk: diskStorage }
+export function registerStorage(name, factory){ storages[name] = factory }
+export function createStorage(name = process.env.MEDIA_STORAGE || 'disk', opts){
+  const factory = storages[name]
+  if(!factory) throw new Error(`unknown_media_storage:${name}`)
+  return factory(opts)
+}
+
+export const contentHash = (buf)=> crypto.createHash('sha256').update(buf).digest('hex')
+
+// ----------------------------- probe -----------------------------
+// Each reader only touches bytes it has checked are there: uploads are untrusted and often truncated.
+// Image readers return null when the header is cut short of its size fields.
+function jpegSize(b){
+  for(let i = 2; i + 9 < b.length; ){
+    if(b[i]!==0xFF){ i++; continue }
+    const marker = b[i+1], len = b.readUInt16BE(i+2)
+    if(marker>=0xC0 && marker<=0xCF && ![0xC4,0xC8,0xCC].includes(marker)) return { height:b.readUInt16BE(i+5), width:b.readUInt16BE(i+7) }
+    i += 2 + len
+  }
+  return {}
+}
+
+function webpSize(b){
+  const chunk = b.toString('ascii', 12, 16)
+  if(b.length < { 'VP8 ':30, VP8L:25, VP8X:30 }[chunk]) return null
+  if(chunk==='VP8 ') return { width:b.readUInt16LE(26) & 0x3fff, height:b.readUInt16LE(28) & 0x3fff }
+  if(chunk==='VP8L'){ const n = b.readUInt32LE(21); return { width:(n & 0x3fff)+1, height:((n>>14) & 0x3fff)+1 } }
+  if(chunk==='VP8X') return { width:b.readUIntLE(24,3)+1, height:b.readUIntLE(27,3)+1 }
+  return {}
+}
+
+// ISO-BMFF: duration from moov/mvhd, frame size from the first tkhd with a non-zero size.
+// Boxes that run past the buffer end the walk; a cut-short file just reports less.
+function mp4Info(b){
+  const out = {}
+  const walk = (start, end)=> {
+    for(let i = start; i + 8 <= end; ){
+      let size = b.readUInt32BE(i), head = 8
+      const type = b.toString('ascii', i+4, i+8)
+      if(size===1){ if(i + 16 > end) break; size = Number(b.readBigUInt64BE(i+8)); head = 16 }
+      if(size===0) size = end - i
+      if(size < head || i + size > end) break
+      if(type==='moov' || type==='trak') walk(i+head, i+size)
+      const v1 = b[i+head]===1, o = i + head + 4 + (v1 ? 16 : 8)
+      if(type==='mvhd' && o + (v1 ? 12 : 8) <= i + size){
+        const timescale = b.readUInt32BE(o), dur = v1 ? Number(b.readBigUInt64BE(o+4)) : b.readUInt32BE(o+4)
+        if(timescale) out.duration = Math.round(dur / timescale * 1000) / 1000
+      }
+      if(type==='tkhd' && !out.width && size >= head + 8){
+        const w = b.readUInt32BE(i+size-8) >>> 16, h = b.readUInt32BE(i+size-4) >>> 16
+        if(w && h){ out.width = w; out.height = h }
+      }
+      i += size
+    }
+  }
+  walk(0, b.length)
+  return out
+}
+
+const UNKNOWN = Object.freeze({ mime:'application/octet-stream' })
+const image = (mime, size)=> size ? { mime, ...size } : UNKNOWN
+
+export function probe(b){
+  const ascii = (s,e)=> b.toString('ascii', s, e)
+  if(b.length < 16) return UNKNOWN
+  if(b[0]===0xFF && b[1]===0xD8 && b[2]===0xFF) return { mime:'image/jpeg', ...jpegSize(b) }
+  if(b.readUInt32BE(0)===0x89504E47) return image('image/png', b.length >= 24 && { width:b.readUInt32BE(16), height:b.readUInt32BE(20) })
+  if(ascii(0,4)==='GIF8') return { mime:'image/gif', width:b.readUInt16LE(6), height:b.readUInt16LE(8) }
+  if(ascii(0,4)==='RIFF' && ascii(8,12)==='WEBP') return image('image/webp', webpSize(b))
+  if(ascii(4,8)==='ftyp') return { mime: ascii(8,12)==='qt  ' ? 'video/quicktime' : 'video/mp4', ...mp4Info(b) }
+  if(b.readUInt32BE(0)===0x1A45DFA3) return { mime:'video/webm' }
+  return UNKNOWN
+}
+
+// ----------------------------- signed URLs -----------------------------
+export function createSigner(secret = process.env.MEDIA_SIGNING_KEY){
+  if(!secret){
+    secret = crypto.randomBytes(32).toString('hex')
+    console.warn('MEDIA_SIGNING_KEY not set; signed media URLs will not survive a restart')
+  }
+  const mac = (id, exp)=> crypto.createHmac('sha256', secret).update(`${id}.${exp}`).digest('base64url')
+  return {
+    sign(id, ttlSec = 24*3600){ const exp = Math.floor(Date.now()/1000) + ttlSec; return { exp, sig: mac(id, exp) } },
+    verify(id, exp, sig){
+      if(!sig || !(Number(exp) > Date.now()/1000)) return false
+      const a = Buffer.from(mac(id, exp)), b = Buffer.from(String(sig))
+      return a.length===b.length && crypto.timingSafeEqual(a, b)
+    },
+  }
+}
+
+export function assertMedia(mime){ if(!/^(image|video)\//.test(mime)) err('unsupported_media_type', 415) }
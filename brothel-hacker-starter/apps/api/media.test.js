@@ -0,0 +1,51 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { probe } from './media.js'
+
+const box = (type, body)=> { const b = Buffer.alloc(8 + body.length); b.writeUInt32BE(b.length); b.write(type, 4, 'ascii'); body.copy(b, 8); return b }
+
+function png(w, h){
+  const b = Buffer.alloc(33)
+  Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]).copy(b)
+  b.writeUInt32BE(13, 8); b.write('IHDR', 12, 'ascii'); b.writeUInt32BE(w, 16); b.writeUInt32BE(h, 20)
+  return b
+}
+function webp(w, h){
+  const b = Buffer.alloc(30)
+  b.write('RIFF', 0, 'ascii'); b.writeUInt32LE(22, 4); b.write('WEBPVP8 ', 8, 'ascii')
+  b.writeUInt16LE(w, 26); b.writeUInt16LE(h, 28)
+  return b
+}
+function mp4({ timescale = 1000, duration = 12500, width = 1080, height = 1920 } = {}){
+  const mvhd = Buffer.alloc(100); mvhd.writeUInt32BE(timescale, 12); mvhd.writeUInt32BE(duration, 16)
+  const tkhd = Buffer.alloc(84); tkhd.writeUInt32BE(width << 16, 76); tkhd.writeUInt32BE(height << 16, 80)
+  return Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0isomiso2', 'ascii')), box('moov', Buffer.concat([box('mvhd', mvhd), box('trak', box('tkhd', tkhd))]))])
+}
+
+test('reads sizes from complete headers', ()=> {
+  assert.deepEqual(probe(png(640, 480)), { mime:'image/png', width:640, height:480 })
+  assert.deepEqual(probe(webp(320, 200)), { mime:'image/webp', width:320, height:200 })
+  assert.deepEqual(probe(mp4()), { mime:'video/mp4', duration:12.5, width:1080, height:1920 })
+})
+
+test('truncated image headers are unknown, not a crash', ()=> {
+  assert.equal(probe(png(640, 480).subarray(0, 16)).mime, 'application/octet-stream')
+  assert.equal(probe(png(640, 480).subarray(0, 23)).mime, 'application/octet-stream')
+  assert.equal(probe(webp(320, 200).subarray(0, 20)).mime, 'application/octet-stream')
+  assert.equal(probe(Buffer.alloc(8)).mime, 'application/octet-stream')
+})
+
+test('a cut-short MP4 never reads past the buffer', ()=> {
+  const full = mp4()
+  for(let n = 16; n < full.length; n++) assert.equal(probe(full.subarray(0, n)).mime, 'video/mp4')
+  // box sizes that lie about what follows: 64-bit size with no room for it, an mvhd too small for its fields
+  const lying = Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0', 'ascii')), Buffer.from([0,0,0,1,0x6d,0x6f,0x6f,0x76,0,0])])
+  assert.deepEqual(probe(lying), { mime:'video/mp4' })
+  const tiny = Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0', 'ascii')), box('moov', box('mvhd', Buffer.alloc(4)))])
+  assert.deepEqual(probe(tiny), { mime:'video/mp4' })
+})
+
+test('every prefix of every format probes without throwing', ()=> {
+  for(const full of [png(1, 1), webp(1, 1), mp4()])
+    for(let n = 0; n <= full.length; n++) assert.doesNotThrow(()=> probe(full.subarray(0, n)))
+})
@@ -0,0 +1,152 @@
+/**
+ * Brothel Hacker — Preflight
+ *
+ * Purpose: Check a draft against each target platform before it is queued, and offer adapted
+ *          variants (threads, first-comment hashtags) instead of letting adapters trim at publish.
+ * Draft:   { text, title?, kind?, mediaUrls?:[], media?:[{url, id?, mime?, width?, height?, duration?}], linkUrl? }
+ * Report:  { ok, errors:[{code,...}], warnings:[{code,...}], variants:[{kind, fixes:[code], input}] }
+ *          `input` is merged over the adapter input when the variant is chosen.
+ * Rules:   opts.rules (compliance.js) adds `compliance:<ruleId>` findings — violations as errors
+ *          (no variant fixes them), warn/info as warnings.
+ */
+
+import { adapters, capabilities } from './adapters.js'
+import { presets, assess } from './renditions.js'
+import { evaluate } from './compliance.js'
+
+// Hard limits enforced by each network (characters = code points); maxMedia defaults to 1
+export const limits = Object.freeze({
+  instagram:{ text:2200, hashtags:30, mediaRequired:true, maxMedia:10 },
+  facebook:{ text:63206, maxMedia:10 },
+  twitter:{ text:280 },
+  tiktok:{ text:2200, mediaRequired:true },
+  linkedin:{ text:3000, maxMedia:9 },
+  pinterest:{ text:500, title:100, mediaRequired:true },
+  reddit:{ text:40000, title:300 },
+  whatsapp:{ text:4096 },
+  discord:{ text:2000, maxMedia:10 },
+  medium:{ text:100000 },
+  telegram:{ text:4096, caption:1024, maxMedia:10 },
+  line:{ text:5000 },
+  viber:{ text:7000 },
+})
+
+const len = (s='')=> [...s].length
+const HASHTAG = /#[\p{L}\p{N}_]+/gu
+
+// First line, cut at a word boundary with an ellipsis when it's still over `max`
+export function shortTitle(text, max){
+  const line = text.trim().split('\n')[0].trim()
+  if(len(line) <= max) return line
+  const cp = [...line], head = cp.slice(0, max - 1).join('')
+  // only drop the last word when the cut went through it
+  return `${(/\S/.test(cp[max - 1]) && head.replace(/\s+\S*$/, '')) || head.trimEnd()}…`
+}
+
+// Greedy word split into numbered parts that each fit `max` including the " (i/n)" suffix
+export function splitThread(text, max=280){
+  let n = 1
+  for(;;){
+    const reserve = len(` (${n}/${n})`)
+    const parts = []
+    let cur = ''
+    for(const word of text.split(/\s+/).filter(Boolean)){
+      for(let w = word; w; ){
+        const room = max - reserve - (cur ? len(cur)+1 : 0)
+        if(len(w) <= room){ cur = cur ? `${cur} ${w}` : w; w = '' }
+        else if(!cur){ const cp = [...w]; parts.push(cp.slice(0, max-reserve).join('')); w = cp.slice(max-reserve).join('') }
+        else { parts.push(cur); cur = '' }
+      }
+    }
+    if(cur) parts.push(cur)
+    if(parts.length <= 1) return parts
+    if(len(String(parts.length)) <= len(String(n))) return parts.map((p,i)=> `${p} (${i+1}/${parts.length})`)
+    n = parts.length
+  }
+}
+
+export function moveHashtags(text=''){
+  const tags = text.match(HASHTAG) || []
+  return { text: text.replace(HASHTAG, '').replace(/[ \t]+\n/g, '\n').replace(/[ \t]{2,}/g, ' ').trim(), firstComment: tags.join(' ') }
+}
+
+export function preflight(platform, draft, opts = {}){
+  const p = platform.toLowerCase()
+  const out = { ok:true, errors:[], warnings:[], variants:[] }
+  const fail = (code, extra)=> out.errors.push({ code, ...extra })
+  const warn = (code, extra)=> out.warnings.push({ code, ...extra })
+  if(!adapters[p]){ fail('unsupported_platform'); out.ok = false; return out }
+  const cap = capabilities[p]
+  if(!cap.post){ fail('platform_stub', { status:501, notes:cap.notes }); out.ok = false; return out }
+
+  const lim = limits[p] || {}
+  const text = draft.text || ''
+  const hasMedia = !!draft.mediaUrls?.length
+  const tags = text.match(HASHTAG) || []
+
+  if(lim.mediaRequired && !hasMedia) fail('missing_media')
+  if(hasMedia && !cap.media) warn('media_ignored')
+  if(hasMedia && draft.mediaUrls.length > (lim.maxMedia || 1)) warn('extra_media_ignored', { used:lim.maxMedia || 1, given:draft.mediaUrls.length })
+  if(!text.trim() && p!=='pinterest') warn('empty_text')
+
+  const max = hasMedia && lim.caption ? lim.caption : lim.text
+  if(max && len(text) > max) fail(hasMedia && lim.caption ? 'caption_too_long' : 'text_too_long', { limit:max, length:len(text) })
+  if(lim.hashtags && tags.length > lim.hashtags) fail('too_many_hashtags', { limit:lim.hashtags, count:tags.length })
+
+  // Library media: images get a platform rendition (report what it will do), videos are checked only
+  const preset = presets[p]
+  for(const [index, m] of (preset ? draft.media || [] : []).entries()){
+    if(m.mime?.startsWith('video/') && preset.video && m.duration!=null){
+      if(m.duration < preset.video.minDuration) fail('video_too_short', { index, duration:m.duration, min:preset.video.minDuration })
+      if(m.duration > preset.video.maxDuration) fail('video_too_long', { index, duration:m.duration, max:preset.video.maxDuration })
+    }
+    if(!m.id || !m.mime?.startsWith('image/')) continue
+    const { crop, below } = assess(preset, m)
+    if(crop) warn('media_will_be_cropped', { index, ...crop })
+    if(below) warn('media_below_minimum', { index, ...below })
+    if(!preset.formats.includes(m.mime)) warn('media_will_be_converted', { index, from:m.mime, to:`image/${preset.format}` })
+  }
+
+  // Reddit falls back to the text for its (required) title; Pinterest only sends one when given
+  const title = p==='reddit' ? draft.title || text : draft.title
+  if(lim.title && title && len(title) > lim.title){
+    fail('title_too_long', { limit:lim.title, length:len(title) })
+    out.variants.push({ kind:'short_title', fixes:['title_too_long'], input:{ title:shortTitle(title, lim.title) } })
+  }
+
+  if(p==='twitter' && len(text) > lim.text){
+    out.variants.push({ kind:'thread', fixes:['text_too_long'], input:{ thread: splitThread(text, lim.text) } })
+  }
+  if((p==='instagram' || p==='facebook') && tags.length){
+    const moved = moveHashtags(text)
+    const fixes = out.errors.map(e=> e.code).filter(c=> c==='too_many_hashtags' || (c==='text_too_long' && len(moved.text) <= max))
+    out.variants.push({ kind:'hashtags_first_comment', fixes, input:moved })
+  }
+  for(const f of opts.rules ? evaluate(opts.rules, { platform:p, kind:draft.kind, text, linkUrl:draft.linkUrl }) : []){
+    const { ruleId, ...rest } = f
+    if(f.severity==='violation') fail(`compliance:${ruleId}`, rest)
+    else warn(`compliance:${ruleId}`, rest)
+  }
+  out.ok = !out.errors.length
+  return out
+}
+
+export function preflightAll(drafts, opts){
+  const platforms = Object.fromEntries(Object.entries(drafts).map(([p,d])=> [p, preflight(p, d, opts)]))
+  return { ok: Object.values(platforms).every(r=> r.ok), platforms }
+}
+
+/**
+ * Resolve a variant choice for one report: a variant kind, or `true` to take the first variant
+ * that fixes every error. -> { input } (null input = publish as drafted) or { error }
+ */
+export function choose(report, choice){
+  const codes = report.errors.map(e=> e.code)
+  const fixesAll = (v)=> codes.every(c=> v.fixes.includes(c))
+  const v = choice===true ? report.variants.find(fixesAll)
+    : typeof choice==='string' ? report.variants.find(x=> x.kind===choice) : null
+  if(typeof choice==='string' && !v) return { error:`variant_unavailable:${choice}` }
+  if(v && fixesAll(v)) return { input:v.input, kind:v.kind }
+  if(!codes.length) return { input:null }
+  return { error: codes.join(',') }
+}
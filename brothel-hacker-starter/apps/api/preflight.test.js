@@ -0,0 +1,81 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { choose, preflight, shortTitle, splitThread } from './preflight.js'
+
+const len = (s)=> [...s].length
+const words = (n, w = 'word')=> Array.from({ length:n }, (_, i)=> `${w}${i}`).join(' ')
+
+test('splitThread leaves short text alone', ()=> {
+  assert.deepEqual(splitThread('hello world'), ['hello world'])
+  assert.deepEqual(splitThread(''), [])
+})
+
+test('splitThread numbers parts that each fit, keeping every word in order', ()=> {
+  const text = words(120)
+  const parts = splitThread(text)
+  assert.ok(parts.length > 1)
+  parts.forEach((p, i)=> {
+    assert.ok(len(p) <= 280, `part ${i + 1} is ${len(p)}`)
+    assert.ok(p.endsWith(` (${i + 1}/${parts.length})`))
+  })
+  assert.equal(parts.map(p=> p.replace(/ \(\d+\/\d+\)$/, '')).join(' '), text)
+})
+
+test('splitThread makes room for a wider counter once there are 10+ parts', ()=> {
+  const parts = splitThread(words(60), 30)
+  assert.ok(parts.length >= 10)
+  for(const p of parts) assert.ok(len(p) <= 30, p)
+})
+
+test('splitThread hard-splits a word longer than a part, by code point', ()=> {
+  const parts = splitThread('😀'.repeat(300), 100)
+  for(const p of parts) assert.ok(len(p) <= 100)
+  assert.equal(parts.map(p=> p.replace(/ \(\d+\/\d+\)$/, '')).join(''), '😀'.repeat(300))
+})
+
+test('shortTitle takes the first line and cuts at a word', ()=> {
+  assert.equal(shortTitle('Short\nsecond line', 10), 'Short')
+  assert.equal(shortTitle('aaaa bbbb cccc', 10), 'aaaa bbbb…')
+  assert.equal(shortTitle('aaaa bbbbbbbb', 10), 'aaaa…')
+  assert.equal(shortTitle('a'.repeat(20), 10), `${'a'.repeat(9)}…`)
+  assert.equal(shortTitle('😀'.repeat(5), 3), '😀😀…')
+})
+
+const report = (codes, variants = [])=> ({ errors:codes.map(code=> ({ code })), variants })
+
+test('choose(true) takes the first variant that fixes every error', ()=> {
+  const r = report(['text_too_long', 'too_many_hashtags'], [
+    { kind:'thread', fixes:['text_too_long'], input:{ thread:[] } },
+    { kind:'hashtags_first_comment', fixes:['text_too_long', 'too_many_hashtags'], input:{ text:'t' } },
+  ])
+  assert.deepEqual(choose(r, true), { input:{ text:'t' }, kind:'hashtags_first_comment' })
+})
+
+test('choose by kind fails when the variant is missing or does not fix everything', ()=> {
+  const r = report(['text_too_long', 'missing_media'], [{ kind:'thread', fixes:['text_too_long'], input:{ thread:[] } }])
+  assert.deepEqual(choose(r, 'short_title'), { error:'variant_unavailable:short_title' })
+  assert.deepEqual(choose(r, 'thread'), { error:'text_too_long,missing_media' })
+  assert.deepEqual(choose(r, true), { error:'text_too_long,missing_media' })
+})
+
+test('choose without errors publishes as drafted', ()=> {
+  assert.deepEqual(choose(report([]), undefined), { input:null })
+  assert.deepEqual(choose(report([], [{ kind:'thread', fixes:[], input:{ thread:['x'] } }]), 'thread'), { input:{ thread:['x'] }, kind:'thread' })
+})
+
+test('an over-long tweet offers a thread that choose(true) picks', ()=> {
+  const r = preflight('twitter', { text:words(80) })
+  assert.equal(r.ok, false)
+  assert.deepEqual(r.errors.map(e=> e.code), ['text_too_long'])
+  const pick = choose(r, true)
+  assert.equal(pick.kind, 'thread')
+  assert.deepEqual(pick.input.thread, splitThread(words(80)))
+})
+
+test('a Reddit title over 300 fails with a short_title variant', ()=> {
+  const r = preflight('reddit', { text:'x'.repeat(400) })
+  assert.deepEqual(r.errors, [{ code:'title_too_long', limit:300, length:400 }])
+  const pick = choose(r, true)
+  assert.equal(pick.kind, 'short_title')
+  assert.ok(len(pick.input.title) <= 300)
+})
@@ -0,0 +1,83 @@
+/**
+ * Brothel Hacker — Media Renditions
+ *
+ * Purpose: Per-platform derivatives of library images (resize/crop to the network's aspect window,
+ *          format conversion, metadata stripping, optional watermark), cached next to the original.
+ * Presets: aspect = [min, max] width/height the network accepts; sources inside the window are only
+ *          downscaled, sources outside are cropped (attention-weighted) to the nearest bound.
+ *          minWidth is what the network wants before it upscales or rejects; video only gets checks.
+ * Privacy: sharp drops EXIF/XMP/ICC (incl. GPS) unless told to keep it; we auto-orient first.
+ * sharp is imported lazily so the API still boots (and serves originals) where it isn't installed.
+ */
+
+import crypto from 'node:crypto'
+
+export const presets = Object.freeze({
+  instagram:{ aspect:[4/5, 1.91], maxWidth:1080, minWidth:320, formats:['image/jpeg'], format:'jpeg', video:{ minDuration:3, maxDuration:90 } },
+  facebook:{ aspect:[0.5, 2], maxWidth:2048, minWidth:600, formats:['image/jpeg','image/png'], format:'jpeg', video:{ minDuration:1, maxDuration:14400 } },
+  tiktok:{ aspect:[9/16, 9/16], maxWidth:1080, minWidth:540, formats:['image/jpeg','image/webp'], format:'jpeg', video:{ minDuration:3, maxDuration:600 } },
+  linkedin:{ aspect:[0.75, 1.91], maxWidth:1200, minWidth:552, formats:['image/jpeg','image/png'], format:'jpeg', video:{ minDuration:3, maxDuration:600 } },
+  pinterest:{ aspect:[0.5, 1], maxWidth:1000, minWidth:600, formats:['image/jpeg','image/png'], format:'jpeg' },
+  telegram:{ aspect:[0.05, 20], maxWidth:2560, minWidth:1, formats:['image/jpeg','image/png','image/webp'], format:'jpeg', video:{ minDuration:0, maxDuration:Infinity } },
+})
+
+export const WATERMARK_GRAVITY = ['north','northeast','east','southeast','south','southwest','west','northwest','center']
+
+const escapeXml = (s)=> s.replace(/[<>&'"]/g, c=> ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', "'":'&apos;', '"':'&quot;' }[c]))
+
+// Stable cache key: same platform + options → same rendition
+export function renditionKey(platform, opts = {}){
+  const h = crypto.createHash('sha1').update(JSON.stringify([platform, opts.watermark || null])).digest('hex').slice(0,10)
+  return `${platform}_${h}`
+}
+
+// What the preset will do to a source of this size: { crop?, below? } for preflight to report
+export function assess(preset, { width, height }){
+  if(!width || !height) return {}
+  const a = width / height
+  const [min, max] = preset.aspect
+  const crop = a < min - 1e-3 || a > max + 1e-3 ? { from:+a.toFixed(3), to:+(a < min ? min : max).toFixed(3) } : null
+  // a too-wide source loses width to the crop; that's the width the network gets
+  const w = crop && crop.to < a ? Math.round(height * crop.to) : width
+  return { crop, below: w < preset.minWidth ? { width:w, minWidth:preset.minWidth } : null }
+}
+
+function textOverlay(text, width, height, { gravity = 'southeast', opacity = 0.6 }){
+  const size = Math.max(14, Math.round(width / 28)), pad = Math.round(size * 0.8)
+  const x = gravity.includes('west') ? pad : gravity.includes('east') ? width - pad : width / 2
+  const y = gravity.startsWith('north') ? pad + size : gravity.startsWith('south') ? height - pad : height / 2
+  const anchor = gravity.includes('west') ? 'start' : gravity.includes('east') ? 'end' : 'middle'
+  return Buffer.from(`<svg width="${width}" height="${height}"><text x="${x}" y="${y}" text-anchor="${anchor}" font-family="sans-serif" font-weight="700" font-size="${size}" fill="#fff" fill-opacity="${opacity}" stroke="#000" stroke-opacity="${opacity/2}" stroke-width="1">${escapeXml(text)}</text></svg>`)
+}
+
+/**
+ * Render one source buffer for a preset. opts.watermark = { text?, logo?:Buffer, gravity?, opacity? }
+ * -> { buffer, mime, width, height, size }
+ */
+export async function render(buf, preset, opts = {}){
+  const sharp = (await import('sharp')).default
+  const meta = await sharp(buf).metadata()
+  const rotated = (meta.orientation || 1) >= 5
+  const w = rotated ? meta.height : meta.width, h = rotated ? meta.width : meta.height
+  const { crop } = assess(preset, { width:w, height:h })
+
+  let img = sharp(buf, { animated:false }).rotate()
+  if(crop){
+    const width = Math.min(preset.maxWidth, crop.to < w/h ? Math.round(h * crop.to) : w)
+    img = img.resize(width, Math.round(width / crop.to), { fit:'cover', position: sharp.strategy.attention })
+  } else {
+    img = img.resize({ width:preset.maxWidth, fit:'inside', withoutEnlargement:true })
+  }
+  img = preset.format==='png' ? img.png() : img.flatten({ background:'#fff' }).jpeg({ quality:85, mozjpeg:true })
+  let out = await img.toBuffer({ resolveWithObject:true })
+
+  const wm = opts.watermark
+  if(wm?.text || wm?.logo){
+    const { width, height } = out.info
+    const layers = []
+    if(wm.text) layers.push({ input: textOverlay(wm.text, width, height, wm), top:0, left:0 })
+    if(wm.logo) layers.push({ input: await sharp(wm.logo).resize({ width: Math.round(width/5), withoutEnlargement:true }).png().toBuffer(), gravity: wm.gravity || 'southeast' })
+    out = await sharp(out.data).composite(layers).toFormat(out.info.format).toBuffer({ resolveWithObject:true })
+  }
+  return { buffer:out.data, mime:`image/${out.info.format}`, width:out.info.width, height:out.info.height, size:out.info.size }
+}
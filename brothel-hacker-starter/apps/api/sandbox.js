@@ -0,0 +1,113 @@
+/**
+ * Brothel Hacker — Adapter Sandbox
+ *
+ * Purpose:  Run the real adapters (same code path, same outbound requests) without anything leaving the
+ *           box: a recorder stands in for the network, keeps each request and answers the way the
+ *           platform would. postToPlatform(platform, input, { sandbox:recorder }) — see adapters.js.
+ * Faults:   [{ match?, status?, times?, retryAfter?, error?, body? }] checked in order before the fake answer.
+ *           match = substring of "METHOD url" (all requests when omitted); status = HTTP status to answer
+ *           (429, 500, 503...), or error = a network error code ('ECONNRESET', 'ETIMEDOUT') for no response at
+ *           all; times = how many requests it catches (forever when omitted).
+ * Records:  { id, seq, method, url, params, headers, body, status, response?, error?, fault?, ts, ...context }
+ *           secrets (Authorization, access_token, token headers, bot tokens in URLs) are masked unless redact:false.
+ *           Each goes to onRecord(rec) when given (a long-lived recorder's sink, e.g. the store), else into
+ *           `requests` — so only short-lived recorders keep them in memory.
+ */
+
+import crypto from 'node:crypto'
+import { AxiosError } from 'axios'
+
+const digits = (n)=> Array.from({ length:n }, (_, i)=> i ? crypto.randomInt(10) : crypto.randomInt(1, 10)).join('')
+const SECRET_HEADERS = /^(authorization|access-token|x-viber-auth-token)$/i
+const mask = (v)=> typeof v==='string' && v.length > 8 ? `${v.slice(0, v.startsWith('Bearer ') ? 11 : 4)}…` : '…'
+
+// ----------------------------- fake platform answers -----------------------------
+// [method, url pattern, (req) -> { status?, headers?, data }]; first match wins, then 200 {}
+const answers = [
+  ['POST', /graph\.facebook\.com\/v[\d.]+\/\d+\/photos$/, (r)=> { const id = digits(16); return { data: r.params?.published===false ? { id } : { id, post_id:`${r.path[2]}_${digits(16)}` } } }],
+  ['POST', /graph\.facebook\.com\/v[\d.]+\/\d+\/feed$/, (r)=> ({ data:{ id:`${r.path[2]}_${digits(16)}` } })],
+  ['POST', /graph\.facebook\.com\/v[\d.]+\/[^/]+\/comments$/, ()=> ({ data:{ id:digits(17) } })],
+  ['POST', /graph\.facebook\.com\/v[\d.]+\/\d+\/media(_publish)?$/, ()=> ({ data:{ id:digits(17) } })],
+  ['GET', /graph\.facebook\.com\/v[\d.]+\/\d+$/, (r)=> ({ data:{ id:r.path[2], status_code:'FINISHED' } })],
+  ['POST', /graph\.facebook\.com\/v[\d.]+\/\d+\/messages$/, (r)=> ({ data:{ messaging_product:'whatsapp', contacts:[{ input:r.body?.to, wa_id:r.body?.to }], messages:[{ id:`wamid.${crypto.randomBytes(24).toString('base64url')}` }] } })],
+  ['POST', /api\.twitter\.com\/2\/tweets$/, (r)=> ({ status:201, data:{ data:{ id:digits(19), text:r.body?.text, edit_history_tweet_ids:[] } } })],
+  ['POST', /business-api\.tiktok\.com\//, ()=> ({ data:{ code:0, message:'OK', request_id:digits(20), data:{ id:`v10033g50000${crypto.randomBytes(10).toString('hex')}` } } })],
+  ['POST', /api\.linkedin\.com\/v2\/ugcPosts$/, ()=> ({ status:201, headers:{ 'x-restli-id':`urn:li:share:${digits(19)}` }, data:{} })],
+  ['POST', /api\.pinterest\.com\/v5\/pins$/, (r)=> ({ status:201, data:{ id:digits(18), board_id:r.body?.board_id, title:r.body?.title, created_at:new Date().toISOString() } })],
+  ['POST', /oauth\.reddit\.com\/api\/submit$/, (r)=> { const id = crypto.randomBytes(4).toString('hex').slice(0, 7); return { data:{ json:{ errors:[], data:{ id, name:`t3_${id}`, url:`https://www.reddit.com/r/${r.body?.sr}/comments/${id}/` } } } } }],
+  ['POST', /api\.medium\.com\/v1\/users\/[^/]+\/posts$/, (r)=> ({ status:201, data:{ data:{ id:crypto.randomBytes(6).toString('hex'), title:r.body?.title, publishStatus:r.body?.publishStatus, url:`https://medium.com/p/${crypto.randomBytes(6).toString('hex')}` } } })],
+  ['POST', /api\.telegram\.org\/bot[^/]+\/sendMediaGroup$/, (r)=> { const first = Number(digits(4)); return { data:{ ok:true, result:(r.body?.media || []).map((_, i)=> ({ message_id:first + i, chat:{ id:r.body?.chat_id }, date:Math.floor(Date.now()/1000) })) } } }],
+  ['POST', /api\.telegram\.org\/bot[^/]+\/send\w+$/, (r)=> ({ data:{ ok:true, result:{ message_id:Number(digits(4)), chat:{ id:r.body?.chat_id }, date:Math.floor(Date.now()/1000) } } })],
+  ['POST', /api\.line\.me\/v2\/bot\/message\/push$/, (r)=> ({ headers:{ 'x-line-request-id':crypto.randomUUID() }, data:{ sentMessages:(r.body?.messages || []).map(()=> ({ id:digits(18), quoteToken:crypto.randomBytes(16).toString('base64url') })) } })],
+  ['POST', /chatapi\.viber\.com\/pa\/broadcast_message$/, ()=> ({ data:{ status:0, status_message:'ok', message_token:Number(digits(15)), failed_list:[] } })],
+  ['POST', /discord(app)?\.com\/api\/webhooks\//, ()=> ({ status:204, data:'' })],
+]
+
+// ----------------------------- recorder -----------------------------
+export function createRecorder({ faults = [], redact = true, onRecord } = {}){
+  const requests = []
+  const pending = faults.map(f=> ({ ...f }))
+  let seq = 0
+
+  const parse = (data, type = '')=> {
+    if(data==null || data==='') return undefined
+    if(typeof data!=='string') return data
+    if(/x-www-form-urlencoded/i.test(type)) return Object.fromEntries(new URLSearchParams(data))
+    try { return JSON.parse(data) } catch { return data }
+  }
+  const headersOf = (config)=> Object.fromEntries(Object.entries(config.headers?.toJSON?.() ?? config.headers ?? {})
+    .filter(([, v])=> v!=null).map(([k, v])=> [k, redact && SECRET_HEADERS.test(k) ? mask(String(v)) : v]))
+  const hide = (url)=> redact ? url.replace(/\/bot(\d+):[\w-]+/, '/bot$1:…').replace(/(api\/webhooks\/\d+\/)[\w-]+/, '$1…') : url
+
+  function take(line){
+    const i = pending.findIndex(f=> !f.match || line.includes(f.match))
+    if(i<0) return null
+    const f = pending[i]
+    if(f.times!=null && --f.times <= 0) pending.splice(i, 1)
+    return f
+  }
+
+  // axios adapter: (config) -> response | throws AxiosError, like the network would
+  async function handle(config, context = {}){
+    const u = new URL(config.url)
+    const params = { ...Object.fromEntries(u.searchParams), ...config.params }
+    const method = (config.method || 'get').toUpperCase(), url = `${u.origin}${u.pathname}`
+    const headers = headersOf(config)
+    const body = parse(config.data, Object.entries(headers).find(([k])=> /^content-type$/i.test(k))?.[1])
+    const rec = {
+      id:`sbx_${crypto.randomBytes(6).toString('hex')}`, seq:++seq, ...context, method, url:hide(url),
+      params: redact && params.access_token ? { ...params, access_token:mask(params.access_token) } : params,
+      headers, body, ts:new Date().toISOString(),
+    }
+    const fault = take(`${method} ${url}`)
+    let res
+    if(fault?.error) rec.error = fault.error
+    else if(fault) res = { status:fault.status || 500, headers:fault.retryAfter ? { 'retry-after':String(fault.retryAfter) } : {}, data:fault.body ?? { error:{ message:`sandbox fault ${fault.status || 500}` } } }
+    else {
+      const a = answers.find(([m, re])=> m===method && re.test(url))
+      res = { status:200, headers:{}, ...(a ? a[2]({ body, params, path:u.pathname.split('/') }) : { data:{} }) }
+    }
+    if(fault) rec.fault = fault.match || '*'
+    if(res) Object.assign(rec, { status:res.status, response:res.data })
+    if(onRecord) await onRecord(rec)
+    else requests.push(rec)
+
+    if(!res){
+      const e = new AxiosError(`sandbox ${fault.error}`, fault.error, config)
+      e.cause = Object.assign(new Error(fault.error), { code:fault.error })
+      throw e
+    }
+    const response = { ...res, statusText:String(res.status), config, request:{ sandbox:true } }
+    if(config.validateStatus && !config.validateStatus(res.status))
+      throw new AxiosError(`Request failed with status code ${res.status}`, res.status>=500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST, config, response.request, response)
+    return response
+  }
+
+  return {
+    handle, requests,
+    // Same recorder, each record tagged with `context` ({ jobId, target }...)
+    with: (context)=> ({ handle:(config)=> handle(config, context) }),
+    faults: ()=> pending.map(f=> ({ ...f })),
+    reset(){ requests.length = 0; seq = 0 },
+  }
+}
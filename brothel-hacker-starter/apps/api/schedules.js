@@ -0,0 +1,177 @@
+/**
+ * Brothel Hacker — Schedules
+ *
+ * Purpose: Turn recurring rules, posting-slot queues and blackout windows into plain instants.
+ *          The job engine never sees a rule: schedules and queues materialize ordinary jobs (whenISO).
+ * Rules:   RRULE subset — FREQ=DAILY|WEEKLY|MONTHLY; INTERVAL; BYDAY (MO..SU, ordinals like 1MO / -1FR
+ *          with MONTHLY); BYMONTHDAY (negative = from month end); BYHOUR; BYMINUTE; COUNT; UNTIL.
+ *          Evaluated on the wall clock of an IANA zone from `start` (local 'YYYY-MM-DDTHH:mm');
+ *          BYHOUR/BYMINUTE default to the start time, WEEKLY BYDAY to the start weekday.
+ * DST:     a wall time skipped by spring-forward runs after the gap (02:30 → 03:30); a wall time that
+ *          happens twice at fall-back runs at the first one (RFC 5545).
+ * Blackout: { startISO, endISO, platforms?:[], accounts?:[] } — absolute windows; no scope = everything.
+ */
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+
+const DAYS = ['SU','MO','TU','WE','TH','FR','SA']
+const FREQS = ['DAILY','WEEKLY','MONTHLY']
+const DAY_MS = 864e5
+
+// ----------------------------- time zones -----------------------------
+const formatters = new Map()
+function formatter(tz){
+  if(!formatters.has(tz)) formatters.set(tz, new Intl.DateTimeFormat('en-US', { timeZone:tz, hourCycle:'h23', year:'numeric', month:'numeric', day:'numeric', hour:'numeric', minute:'numeric', second:'numeric' }))
+  return formatters.get(tz)
+}
+export function isTimeZone(tz){ try { formatter(tz); return true } catch { return false } }
+
+// Wall-clock fields of an instant in `tz`
+export function wallClock(ms, tz){
+  const p = Object.fromEntries(formatter(tz).formatToParts(ms).filter(x=> x.type!=='literal').map(x=> [x.type, +x.value]))
+  return { year:p.year, month:p.month, day:p.day, hour:p.hour, minute:p.minute, second:p.second }
+}
+const offsetAt = (ms, tz)=> { const w = wallClock(ms, tz); return Date.UTC(w.year, w.month-1, w.day, w.hour, w.minute, w.second) - Math.floor(ms/1000)*1000 }
+
+// Instant for a wall-clock time in `tz` (DST rules above). Transitions are months apart, so the
+// offsets a day either side are the only two candidates.
+export function zonedTime({ year, month, day, hour = 0, minute = 0 }, tz){
+  const local = Date.UTC(year, month-1, day, hour, minute)
+  const before = offsetAt(local - DAY_MS, tz), after = offsetAt(local + DAY_MS, tz)
+  const fits = [local - before, local - after].filter(t=> { const w = wallClock(t, tz); return w.day===day && w.hour===hour && w.minute===minute })
+  return fits.length ? Math.min(...fits) : local - before
+}
+
+const pad = (n)=> String(n).padStart(2, '0')
+export const localISO = (ms, tz)=> { const w = wallClock(ms, tz); return `${w.year}-${pad(w.month)}-${pad(w.day)}T${pad(w.hour)}:${pad(w.minute)}` }
+
+export function parseLocal(s){
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/.exec(s || '')
+  if(!m) err('invalid_start')
+  return { year:+m[1], month:+m[2], day:+m[3], hour:+(m[4] || 0), minute:+(m[5] || 0) }
+}
+
+// ----------------------------- rules -----------------------------
+const ints = (v, lo, hi, code)=> v.split(',').map(x=> { const n = Number(x); if(!Number.isInteger(n) || n < lo || n > hi || n===0 && lo < 0) err(code); return n })
+
+export function parseRule(rrule){
+  const r = { interval:1 }
+  for(const part of String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean)){
+    const [k, raw = ''] = part.split('=')
+    const v = raw.toUpperCase()
+    switch(k.toUpperCase()){
+      case 'FREQ': if(!FREQS.includes(v)) err(`unsupported_freq:${v}`); r.freq = v; break
+      case 'INTERVAL': r.interval = ints(v, 1, 1000, 'invalid_interval')[0]; break
+      case 'BYDAY': r.byDay = v.split(',').map(d=> {
+        const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(d)
+        if(!m) err(`invalid_byday:${d}`)
+        return { n: m[1] ? +m[1] : 0, day: DAYS.indexOf(m[2]) }
+      }); break
+      case 'BYMONTHDAY': r.byMonthDay = ints(v, -31, 31, 'invalid_bymonthday'); break
+      case 'BYHOUR': r.byHour = ints(v, 0, 23, 'invalid_byhour'); break
+      case 'BYMINUTE': r.byMinute = ints(v, 0, 59, 'invalid_byminute'); break
+      case 'COUNT': r.count = ints(v, 1, 10000, 'invalid_count')[0]; break
+      case 'UNTIL': {
+        const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(v)
+        r.until = m ? Date.UTC(+m[1], m[2]-1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59)) : Date.parse(raw)
+        if(isNaN(r.until)) err('invalid_until')
+        break
+      }
+      default: err(`unsupported_rrule_part:${k}`)
+    }
+  }
+  if(!r.freq) err('freq_required')
+  if(r.count && r.until) err('count_and_until')
+  if(r.freq!=='MONTHLY' && r.byDay?.some(d=> d.n)) err('ordinal_byday_needs_monthly')
+  return r
+}
+
+function dayMatches(r, cur, start, startDay){
+  const d = new Date(cur), wd = d.getUTCDay(), day = d.getUTCDate()
+  const dim = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth()+1, 0)).getUTCDate()
+  const since = Math.round((cur - startDay) / DAY_MS)
+  if(r.byMonthDay && !r.byMonthDay.some(n=> n > 0 ? n===day : dim + n + 1===day)) return false
+  if(r.freq==='DAILY') return since % r.interval===0 && (!r.byDay || r.byDay.some(b=> b.day===wd))
+  if(r.freq==='WEEKLY'){
+    // weeks start on Monday (WKST=MO)
+    const weeks = Math.floor((since + (new Date(startDay).getUTCDay() + 6) % 7) / 7)
+    return weeks % r.interval===0 && (r.byDay || [{ day:new Date(startDay).getUTCDay() }]).some(b=> b.day===wd)
+  }
+  const months = (d.getUTCFullYear() - start.year) * 12 + d.getUTCMonth() + 1 - start.month
+  if(months % r.interval) return false
+  if(r.byDay) return r.byDay.some(b=> b.day===wd && (!b.n || (b.n > 0 ? Math.ceil(day/7)===b.n : -Math.ceil((dim - day + 1)/7)===b.n)))
+  return !!r.byMonthDay || day===start.day
+}
+
+// First day (UTC midnight of a local date) of the rule's period holding local day `day`: the walk
+// can begin there instead of at `start`, since intervals count whole periods from the start's
+function periodStart(r, s, startDay, day){
+  if(day <= startDay) return startDay
+  if(r.freq==='DAILY') return startDay + Math.floor((day - startDay) / DAY_MS / r.interval) * r.interval * DAY_MS
+  if(r.freq==='WEEKLY'){
+    // weeks start on Monday (WKST=MO)
+    const week0 = startDay - (new Date(startDay).getUTCDay() + 6) % 7 * DAY_MS, span = 7 * r.interval * DAY_MS
+    return Math.max(startDay, week0 + Math.floor((day - week0) / span) * span)
+  }
+  const d = new Date(day), months = (d.getUTCFullYear() - s.year) * 12 + d.getUTCMonth() + 1 - s.month
+  return Math.max(startDay, Date.UTC(s.year, s.month - 1 + months - months % r.interval, 1))
+}
+
+/**
+ * Occurrence instants (ms, ascending) of a parsed rule from `start` in `tz`, skipping any before
+ * `after`. Unbounded rules run forever — consumers stop reading; `between` is the bounded form.
+ */
+export function* occurrences(r, { start, tz, after = -Infinity }){
+  const s = parseLocal(start)
+  const startAt = zonedTime(s, tz)
+  const startDay = Date.UTC(s.year, s.month-1, s.day)
+  const times = (r.byHour || [s.hour]).flatMap(hour=> (r.byMinute || [s.minute]).map(minute=> ({ hour, minute }))).sort((a,b)=> a.hour - b.hour || a.minute - b.minute)
+  // COUNT numbers occurrences from the start, so only uncounted rules can seek; the day before
+  // `after`'s local date covers a fall-back that repeats the last hour of the previous day
+  let from = startDay
+  if(!r.count && after > startAt){ const w = wallClock(after, tz); from = periodStart(r, s, startDay, Date.UTC(w.year, w.month-1, w.day) - DAY_MS) }
+  let n = 0, last = -Infinity
+  // 400 years without a match means the rule can never match
+  for(let cur = from; cur < from + 400*366*DAY_MS; cur += DAY_MS){
+    if(!dayMatches(r, cur, s, startDay)) continue
+    const d = new Date(cur)
+    for(const t of times){
+      const at = zonedTime({ year:d.getUTCFullYear(), month:d.getUTCMonth()+1, day:d.getUTCDate(), ...t }, tz)
+      if(at < startAt || at <= last) continue
+      if(r.until!=null && at > r.until) return
+      last = at
+      if(at >= after) yield at
+      if(r.count && ++n >= r.count) return
+    }
+  }
+}
+
+export function between(r, opts, fromMs, toMs){
+  const out = []
+  for(const at of occurrences(r, { ...opts, after:fromMs })){
+    if(at > toMs) break
+    if(at >= fromMs) out.push(at)
+  }
+  return out
+}
+
+// ----------------------------- slots + blackouts -----------------------------
+const applies = (b, targets)=> (!b.platforms?.length && !b.accounts?.length)
+  || targets.some(t=> b.platforms?.includes(t.platform) || (t.accountId && b.accounts?.includes(t.accountId)))
+
+// The blackout covering `at` for any of the targets (the one ending last), or null
+export function blackoutAt(windows, at, targets){
+  return windows
+    .filter(b=> Date.parse(b.startISO) <= at && at < Date.parse(b.endISO) && applies(b, targets))
+    .sort((a,b)=> Date.parse(b.endISO) - Date.parse(a.endISO))[0] || null
+}
+
+// First slot at/after `after` that is not taken (ms set) and not blacked out for the target
+export function nextFreeSlot(r, { start, tz, after, taken = new Set(), blackouts = [], target, lookahead = 1000 }){
+  let seen = 0
+  for(const at of occurrences(r, { start, tz, after })){
+    if(++seen > lookahead) break
+    if(!taken.has(at) && !blackoutAt(blackouts, at, [target])) return at
+  }
+  return null
+}
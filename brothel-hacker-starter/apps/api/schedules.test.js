@@ -0,0 +1,78 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { between, blackoutAt, localISO, nextFreeSlot, occurrences, parseRule, zonedTime } from './schedules.js'
+
+const first = (rrule, opts, n)=> { const out = []; for(const at of occurrences(parseRule(rrule), opts)){ out.push(at); if(out.length >= n) break } return out }
+const local = (rrule, opts, n)=> first(rrule, opts, n).map(at=> localISO(at, opts.tz))
+const utc = (ms)=> new Date(ms).toISOString()
+
+test('parseRule reads the subset and refuses the rest', ()=> {
+  assert.deepEqual(parseRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;BYHOUR=9,17'), { interval:2, freq:'MONTHLY', byDay:[{ n:-1, day:5 }], byHour:[9, 17] })
+  for(const [rule, code] of [['INTERVAL=2', 'freq_required'], ['FREQ=YEARLY', 'unsupported_freq:YEARLY'], ['FREQ=DAILY;BYSETPOS=1', 'unsupported_rrule_part:BYSETPOS'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'ordinal_byday_needs_monthly'], ['FREQ=DAILY;COUNT=2;UNTIL=20300101', 'count_and_until'], ['FREQ=DAILY;BYHOUR=24', 'invalid_byhour'],
+    ['FREQ=MONTHLY;BYMONTHDAY=0', 'invalid_bymonthday']])
+    assert.throws(()=> parseRule(rule), { message:code }, rule)
+})
+
+test('weekly BYDAY with an interval counts Monday-based weeks from the start', ()=> {
+  // 2030-01-02 is a Wednesday
+  assert.deepEqual(local('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', { start:'2030-01-02T09:00', tz:'UTC' }, 4),
+    ['2030-01-04T09:00', '2030-01-14T09:00', '2030-01-18T09:00', '2030-01-28T09:00'])
+})
+
+test('monthly ordinals and month-end days', ()=> {
+  assert.deepEqual(local('FREQ=MONTHLY;BYDAY=-1FR', { start:'2030-01-01T18:00', tz:'UTC' }, 3), ['2030-01-25T18:00', '2030-02-22T18:00', '2030-03-29T18:00'])
+  assert.deepEqual(local('FREQ=MONTHLY;BYMONTHDAY=-1', { start:'2030-01-01T12:00', tz:'UTC' }, 3), ['2030-01-31T12:00', '2030-02-28T12:00', '2030-03-31T12:00'])
+  // a start on the 31st skips months without one
+  assert.deepEqual(local('FREQ=MONTHLY', { start:'2030-01-31T12:00', tz:'UTC' }, 3), ['2030-01-31T12:00', '2030-03-31T12:00', '2030-05-31T12:00'])
+})
+
+test('COUNT and UNTIL bound the rule', ()=> {
+  assert.equal(first('FREQ=DAILY;COUNT=3', { start:'2030-01-01T09:00', tz:'UTC' }, 10).length, 3)
+  assert.deepEqual(local('FREQ=DAILY;UNTIL=20300103T090000Z', { start:'2030-01-01T09:00', tz:'UTC' }, 10), ['2030-01-01T09:00', '2030-01-02T09:00', '2030-01-03T09:00'])
+})
+
+test('the wall time holds across DST changes', ()=> {
+  const at = first('FREQ=DAILY', { start:'2030-03-30T09:00', tz:'Europe/Berlin' }, 2)
+  assert.deepEqual(at.map(utc), ['2030-03-30T08:00:00.000Z', '2030-03-31T07:00:00.000Z'])
+})
+
+test('a wall time skipped by spring-forward runs after the gap; a repeated one runs the first time', ()=> {
+  // New York: 2030-03-10 02:00 → 03:00, 2030-11-03 02:00 → 01:00
+  assert.equal(utc(zonedTime({ year:2030, month:3, day:10, hour:2, minute:30 }, 'America/New_York')), '2030-03-10T07:30:00.000Z')
+  assert.equal(localISO(zonedTime({ year:2030, month:3, day:10, hour:2, minute:30 }, 'America/New_York'), 'America/New_York'), '2030-03-10T03:30')
+  assert.equal(utc(zonedTime({ year:2030, month:11, day:3, hour:1, minute:30 }, 'America/New_York')), '2030-11-03T05:30:00.000Z')
+  assert.deepEqual(local('FREQ=DAILY', { start:'2030-03-09T02:30', tz:'America/New_York' }, 3), ['2030-03-09T02:30', '2030-03-10T03:30', '2030-03-11T02:30'])
+})
+
+test('seeking to `after` gives the same instants as walking from the start', ()=> {
+  const opts = { start:'2001-01-01T09:00', tz:'Europe/Berlin' }
+  for(const rrule of ['FREQ=DAILY;INTERVAL=3', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,SU', 'FREQ=MONTHLY;INTERVAL=5;BYDAY=2WE', 'FREQ=MONTHLY;INTERVAL=7;BYMONTHDAY=31']){
+    const after = Date.parse('2030-10-27T00:30:00Z')
+    const walked = []
+    for(const at of occurrences(parseRule(rrule), opts)){ if(at >= after) walked.push(at); if(walked.length >= 5) break }
+    assert.deepEqual(first(rrule, { ...opts, after }, 5), walked, rrule)
+  }
+})
+
+test('between is inclusive at both ends', ()=> {
+  const from = Date.parse('2030-01-02T09:00:00Z'), to = Date.parse('2030-01-04T09:00:00Z')
+  assert.deepEqual(between(parseRule('FREQ=DAILY'), { start:'2030-01-01T09:00', tz:'UTC' }, from, to).map(utc),
+    ['2030-01-02T09:00:00.000Z', '2030-01-03T09:00:00.000Z', '2030-01-04T09:00:00.000Z'])
+})
+
+test('nextFreeSlot skips taken slots and blackouts for the target only', ()=> {
+  const r = parseRule('FREQ=DAILY'), opts = { start:'2030-01-01T09:00', tz:'UTC', after:Date.parse('2030-01-01T00:00:00Z') }
+  const taken = new Set([Date.parse('2030-01-01T09:00:00Z')])
+  const blackouts = [{ startISO:'2030-01-02T00:00:00Z', endISO:'2030-01-03T00:00:00Z', platforms:['twitter'] }]
+  assert.equal(utc(nextFreeSlot(r, { ...opts, taken, blackouts, target:{ platform:'twitter' } })), '2030-01-03T09:00:00.000Z')
+  assert.equal(utc(nextFreeSlot(r, { ...opts, taken, blackouts, target:{ platform:'reddit' } })), '2030-01-02T09:00:00.000Z')
+  assert.equal(nextFreeSlot(parseRule('FREQ=DAILY;COUNT=1'), { ...opts, taken, target:{ platform:'reddit' } }), null)
+})
+
+test('blackoutAt returns the covering window that ends last, end exclusive', ()=> {
+  const w = [{ id:'a', startISO:'2030-01-01T00:00:00Z', endISO:'2030-01-02T00:00:00Z' }, { id:'b', startISO:'2030-01-01T12:00:00Z', endISO:'2030-01-05T00:00:00Z', accounts:['acc_1'] }]
+  assert.equal(blackoutAt(w, Date.parse('2030-01-01T13:00:00Z'), [{ platform:'x', accountId:'acc_1' }]).id, 'b')
+  assert.equal(blackoutAt(w, Date.parse('2030-01-01T13:00:00Z'), [{ platform:'x' }]).id, 'a')
+  assert.equal(blackoutAt(w, Date.parse('2030-01-02T00:00:00Z'), [{ platform:'x' }]), null)
+})
@@ -1,6 +1,6 @@
 import 'dotenv/config'
+import crypto from 'node:crypto'
 import express from 'express'
-import axios from 'axios'
 import cors from 'cors'
 import helmet from 'helmet'
 import morgan from 'morgan'
@@ -8,13 +8,37 @@ import cron from 'node-cron'
 import multer from 'multer'
 import { z } from 'zod'
 import { RateLimiterMemory } from 'rate-limiter-flexible'
-import robotsParser from 'robots-parser'
-import * as cheerio from 'cheerio'
 
 import { adapters, postToPlatform, capabilities } from './adapters.js'
+import { createStore, newId } from './store.js'
+import { policies, createApproval, decide, editApproval, itemFor, gate } from './approvals.js'
+import { limits, preflightAll, choose } from './preflight.js'
+import { createVault, missingCredentials, publicAccount } from './vault.js'
+import { createJobEngine, initResults, settle, TERMINAL, whenOf, inWindow, listJobs } from './jobs.js'
+import { createStorage, createSigner, contentHash, probe, assertMedia } from './media.js'
+import { presets, renditionKey, render, WATERMARK_GRAVITY } from './renditions.js'
+import { defaultRules, compileRules, evaluate, checksFor } from './compliance.js'
+import { createAuth, createAudit, can, anonymous, permissionsIn, roles, PERMISSIONS, publicUser, publicKey } from './auth.js'
+import { createEvents, EVENT_TYPES, publicWebhook } from './events.js'
+import { inboundSecrets, inboundPlatforms, handshake, verify, normalize } from './inbound.js'
+import { createRecorder } from './sandbox.js'
+import { FIELDS, parseCsv, mapColumns, readRow, toCsv, toIcs } from './transfer.js'
+import { createAnalytics } from './analytics.js'
+import { extractArticle } from './extract.js'
+import { createFetcher, createFeedPoller } from './sources.js'
+import { providerNames, createProvider, createWriter, templates } from './llm.js'
+import { isTimeZone, parseRule, occurrences, between, localISO, blackoutAt, nextFreeSlot, zonedTime, parseLocal } from './schedules.js'
 
 const app = express()
-app.use(express.json({ limit: '10mb' }))
+// Express 4 ignores a rejected async handler (the request hangs, the process dies on the unhandled rejection):
+// every route handler goes through wrap(), which hands failures to the error handler at the end of this file
+const wrap = (fn)=> fn.length > 3 ? fn : (req,res,next)=> { try { Promise.resolve(fn(req,res,next)).catch(next) } catch(e){ next(e) } }
+for(const m of ['get','post','put','patch','delete']){
+  const route = app[m].bind(app)
+  app[m] = (path, ...handlers)=> handlers.length ? route(path, ...handlers.map(h=> typeof h==='function' ? wrap(h) : h)) : route(path)
+}
+// inbound platform webhooks are signed over the exact bytes received
+app.use(express.json({ limit: '10mb', verify:(req,_res,buf)=> { if(req.url.startsWith('/api/inbound/')) req.rawBody = buf } }))
 app.use(cors())
 app.use(helmet())
 app.use(morgan('tiny'))
@@ -22,173 +46,1488 @@ app.use(morgan('tiny'))
 const limiter = new RateLimiterMemory({ points: 100, duration: 60 })
 app.use(async (req,res,next)=>{ try { await limiter.consume(req.ip); next() } catch { res.status(429).json({ok:false,error:'rate_limited'}) } })
 
-const approvals = new Map()
-const alerts = []
-const schedules = []
+const store = createStore()
+// Jobs must link an approval record unless explicitly switched off (REQUIRE_APPROVAL=false)
+const requireApproval = process.env.REQUIRE_APPROVAL !== 'false'
 
 const ok = (res, data) => res.json({ ok: true, ...data })
-const bad = (res, error, code=400) => res.status(code).json({ ok:false, error })
+const bad = (res, error, code=400, extra) => res.status(code).json({ ok:false, error, ...extra })
 
 app.get('/health', (_req,res)=> ok(res,{ ts: Date.now() }))
 
+// Auth (auth.js): every route needs a session or API key unless REQUIRE_AUTH=false, and names the
+// permission it needs with allow(). First run: POST /api/auth/setup creates the first admin.
+const requireAuth = process.env.REQUIRE_AUTH !== 'false'
+const auth = createAuth({ store, sessionTtlMs: (Number(process.env.SESSION_TTL_HOURS) || 168) * 3600000 })
+const audit = createAudit({ store })
+const PUBLIC = ['/api/auth/login', '/api/auth/setup', '/media/', '/api/inbound/', '/api/calendar/']
+const bearer = (req)=> req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || req.get('cookie')?.match(/(?:^|;\s*)bh_session=([^;]+)/)?.[1]
+app.use(async (req,res,next)=>{
+  if(!requireAuth){ req.principal = anonymous; return next() }
+  try { req.principal = await auth.authenticate(bearer(req)) } catch(e){ return next(e) }
+  if(req.principal || PUBLIC.some(p=> p.endsWith('/') ? req.path.startsWith(p) : req.path===p)) return next()
+  bad(res,'unauthorized',401)
+})
+// Route guard: `perm` in the workspace the request acts on — the :id record's when `scope` names its
+// collection, whatever scope(req) returns (one or many), else ?workspace= / body.workspace / 'default'.
+// Handlers act on req.workspace only; a body and query naming different workspaces is rejected.
+const allow = (perm, scope)=> async (req,res,next)=>{
+  try {
+    const { workspace } = req.body || {}
+    if(workspace && req.query.workspace && String(workspace)!==String(req.query.workspace)) return bad(res,'workspace_mismatch',400)
+    let ws = [String(workspace || req.query.workspace || 'default')]
+    if(typeof scope==='string'){
+      const rec = await store.get(scope, req.params.id)
+      if(!rec) return bad(res,'not_found',404)
+      ws = [rec.workspace || 'default']
+    } else if(scope) ws = [].concat(await scope(req))
+    const denied = ws.find(w=> !can(req.principal, perm, w))
+    if(denied) return bad(res,'forbidden',403,{ need:perm, workspace:denied })
+    req.workspace = ws[0]
+    next()
+  } catch(e){ bad(res, e.message, e.status||500) }
+}
+// Requests that name an approval act in its workspace
+const approvalScope = async (req)=> req.body?.approvalId ? (await store.get('approvals', String(req.body.approvalId)))?.workspace || 'default' : String(req.body?.workspace || req.query.workspace || 'default')
+const audited = (req, action, target, detail)=> audit.record({ workspace:req.workspace, actor:req.principal.actor, action, target, detail, ip:req.ip })
+
+// Sessions
+const Email = z.string().email().transform(s=> s.toLowerCase())
+const Password = z.string().min(10)
+const sessionCookie = (res, s)=> res.cookie('bh_session', s.token, { httpOnly:true, sameSite:'lax', secure:process.env.NODE_ENV==='production', expires:new Date(s.expiresAt) })
+app.post('/api/auth/setup', async (req,res)=>{
+  const body = z.object({ email:Email, password:Password, name:z.string().default(''), workspace:z.string().min(1).default('default') }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  if(await auth.hasUsers()) return bad(res,'already_set_up',409)
+  const { workspace, ...u } = body.data
+  const user = await auth.createUser({ ...u, workspaces:{ [workspace]:'admin' } })
+  await store.put('workspaces', { id:workspace, name:workspace, createdBy:user.email, createdAt:new Date().toISOString() })
+  await audit.record({ workspace, actor:user.email, action:'auth.setup', target:{ type:'user', id:user.id }, ip:req.ip })
+  const s = await auth.login(u.email, u.password)
+  sessionCookie(res, s)
+  ok(res, s)
+})
+app.post('/api/auth/login', async (req,res)=>{
+  const body = z.object({ email:Email, password:z.string() }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  try { const s = await auth.login(body.data.email, body.data.password); sessionCookie(res, s); ok(res, s) }
+  catch(e){ bad(res, e.message, e.status||500) }
+})
+app.post('/api/auth/logout', async (req,res)=>{
+  const t = bearer(req)
+  if(t?.startsWith('bhs_')) await auth.logout(t)
+  res.clearCookie('bh_session')
+  ok(res,{ loggedOut:true })
+})
+app.get('/api/auth/me', async (req,res)=>{
+  const p = req.principal
+  const workspaces = p.type==='user' ? Object.keys(p.workspaces || {}) : p.type==='key' ? [p.workspace] : (await store.list('workspaces')).map(w=> w.id)
+  ok(res,{ principal:p, permissions:Object.fromEntries(workspaces.map(w=> [w, permissionsIn(p, w)])) })
+})
+app.post('/api/auth/password', async (req,res)=>{
+  if(req.principal.type!=='user') return bad(res,'users_only',403)
+  const body = z.object({ current:z.string(), password:Password }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  try { await auth.login(req.principal.email, body.data.current) } catch(e){ return bad(res, e.message, e.status) }
+  await auth.setPassword(req.principal.id, body.data.password)
+  for(const workspace of Object.keys(req.principal.workspaces || {}))
+    await audit.record({ workspace, actor:req.principal.actor, action:'auth.password_changed', target:{ type:'user', id:req.principal.id }, ip:req.ip })
+  const s = await auth.login(req.principal.email, body.data.password)
+  sessionCookie(res, s)
+  ok(res, s)
+})
+
+// Workspaces + members (roles live on the user record: workspaces[id] = role)
+const Role = z.enum(Object.keys(roles))
+app.get('/api/workspaces', async (req,res)=>{
+  const all = await store.list('workspaces', { sort:(a,b)=> a.id.localeCompare(b.id) })
+  ok(res,{ workspaces: all.filter(w=> can(req.principal, 'read', w.id)).map(w=> ({ ...w, permissions:permissionsIn(req.principal, w.id) })) })
+})
+app.post('/api/workspaces', async (req,res)=>{
+  if(req.principal.type==='key') return bad(res,'users_only',403)
+  const body = z.object({ id:z.string().regex(/^[a-z0-9][a-z0-9_-]{1,39}$/, 'invalid_workspace_id'), name:z.string().default('') }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  if(await store.get('workspaces', body.data.id)) return bad(res,'workspace_exists',409)
+  const w = await store.put('workspaces', { ...body.data, name:body.data.name || body.data.id, createdBy:req.principal.actor, createdAt:new Date().toISOString() })
+  if(req.principal.type==='user'){
+    const u = await store.get('users', req.principal.id)
+    await store.put('users', { ...u, workspaces:{ ...u.workspaces, [w.id]:'admin' } })
+  }
+  req.workspace = w.id
+  await audited(req, 'workspace.created', { type:'workspace', id:w.id })
+  ok(res,{ workspace:w })
+})
+const membersOf = (ws)=> store.list('users', { where:u=> u.workspaces?.[ws] })
+const lastAdmin = async (ws, userId)=> !(await membersOf(ws)).some(u=> u.id!==userId && u.workspaces[ws]==='admin')
+app.get('/api/workspaces/:id/members', allow('admin', req=> req.params.id), async (req,res)=>{
+  ok(res,{ members: (await membersOf(req.params.id)).map(u=> ({ ...publicUser(u), role:u.workspaces[req.params.id] })) })
+})
+// Adds (creating the user when the email is new — password required then) or changes a member's role
+app.put('/api/workspaces/:id/members', allow('admin', req=> req.params.id), async (req,res)=>{
+  const body = z.object({ email:Email, role:Role, name:z.string().optional(), password:Password.optional() }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { email, role, name, password } = body.data, ws = req.params.id
+  let u = await auth.userByEmail(email)
+  if(!u){
+    if(!password) return bad(res,'password_required_for_new_user')
+    u = await auth.createUser({ email, name, password })
+  }
+  if(u.workspaces?.[ws]==='admin' && role!=='admin' && await lastAdmin(ws, u.id)) return bad(res,'last_admin',409)
+  u = await store.put('users', { ...u, workspaces:{ ...u.workspaces, [ws]:role } })
+  await audited(req, 'member.updated', { type:'user', id:u.id }, { email, role })
+  ok(res,{ member:{ ...publicUser(u), role } })
+})
+app.delete('/api/workspaces/:id/members/:userId', allow('admin', req=> req.params.id), async (req,res)=>{
+  const u = await store.get('users', req.params.userId), ws = req.params.id
+  if(!u?.workspaces?.[ws]) return bad(res,'not_found',404)
+  if(u.workspaces[ws]==='admin' && await lastAdmin(ws, u.id)) return bad(res,'last_admin',409)
+  const { [ws]:_gone, ...rest } = u.workspaces
+  await store.put('users', { ...u, workspaces:rest })
+  await audited(req, 'member.removed', { type:'user', id:u.id }, { email:u.email })
+  ok(res,{ removed:true })
+})
+
+// API keys: one workspace each, scoped; the token is only ever shown in the create response
+app.get('/api/keys', allow('admin'), async (req,res)=>{
+  ok(res,{ keys: (await store.list('api_keys', { where:k=> k.workspace===req.workspace, sort:byNewest })).map(publicKey) })
+})
+app.post('/api/keys', allow('admin'), async (req,res)=>{
+  const body = z.object({ name:z.string().min(1), scopes:z.array(z.enum(PERMISSIONS)).min(1) }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  try {
+    const out = await auth.createKey(req.principal, { ...body.data, workspace:req.workspace })
+    await audited(req, 'api_key.created', { type:'api_key', id:out.key.id }, { name:out.key.name, scopes:out.key.scopes })
+    ok(res, out)
+  } catch(e){ bad(res, e.message, e.status||500) }
+})
+app.delete('/api/keys/:id', allow('admin', 'api_keys'), async (req,res)=>{
+  const k = await store.get('api_keys', req.params.id)
+  await store.put('api_keys', { ...k, revokedAt:k.revokedAt || new Date().toISOString() })
+  await audited(req, 'api_key.revoked', { type:'api_key', id:k.id }, { name:k.name })
+  ok(res,{ revoked:true })
+})
+
+// Audit log: append-only (no route edits or deletes), hash-chained
+const AuditFilter = z.object({ actor:z.string().optional(), action:z.string().optional(), targetId:z.string().optional(), from:z.string().optional(), to:z.string().optional(), limit:z.coerce.number().int().min(1).max(1000).default(100) })
+app.get('/api/audit', allow('admin'), async (req,res)=>{
+  const q = AuditFilter.safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  ok(res,{ entries: await audit.query({ ...q.data, workspace:req.workspace }) })
+})
+app.get('/api/audit/verify', allow('admin'), async (_req,res)=> ok(res, await audit.verify()))
+
 // Approvals
-const ApprovalItem = z.object({ platform:z.string(), kind:z.enum(['post','story','ad','reel']), text:z.string().min(1), mediaUrls:z.array(z.string().url()).optional() })
-app.post('/api/approval/submit', (req,res)=>{
-  const data = z.object({ items: z.array(ApprovalItem), policy: z.string().default('generic') }).safeParse(req.body)
+const ApprovalItem = z.object({ platform:z.string(), kind:z.enum(['post','story','ad','reel']), text:z.string().min(1), title:z.string().optional(), mediaUrls:z.array(z.string().url()).optional(), mediaIds:z.array(z.string()).optional() })
+app.get('/api/approval/policies', allow('read'), (_req,res)=> ok(res,{ policies }))
+app.get('/api/approval', allow('read'), async (req,res)=>{
+  const q = z.object({ status:z.enum(['PENDING','DECIDED']).optional(), limit:z.coerce.number().int().min(1).max(500).default(100) }).safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  ok(res,{ approvals: await store.list('approvals', { where:r=> (r.workspace || 'default')===req.workspace && (!q.data.status || r.status===q.data.status), sort:byNewest, limit:q.data.limit }) })
+})
+app.post('/api/approval/submit', allow('write'), async (req,res)=>{
+  const data = z.object({ items: z.array(ApprovalItem).min(1), policy: z.string().default('generic') }).safeParse(req.body)
   if(!data.success) return bad(res, data.error.message)
-  const id = 'appr_'+Math.random().toString(36).slice(2)
-  const record = { id, status:'PENDING', policy:data.data.policy, items:data.data.items, decisions:[], createdAt: new Date().toISOString() }
-  approvals.set(id, record)
-  ok(res, { id, status: record.status })
+  if(!policies[data.data.policy]) return bad(res, 'unknown_policy:'+data.data.policy)
+  const record = createApproval(newId('appr'), { ...data.data, workspace:req.workspace })
+  await checkApprovalItems(record)
+  await store.put('approvals', record)
+  await audited(req, 'approval.submitted', { type:'approval', id:record.id }, { platforms:record.items.map(it=> it.platform), policy:record.policy })
+  await events.emit('approval.submitted', record.workspace, { approvalId:record.id, status:record.status, policy:record.policy, platforms:record.items.map(it=> it.platform), by:req.principal.actor })
+  ok(res, { id:record.id, status: record.status, decisions: record.decisions, compliance: record.compliance })
 })
-app.get('/api/approval/:id', (req,res)=>{
-  const r = approvals.get(req.params.id)
+app.get('/api/approval/:id', allow('read', 'approvals'), async (req,res)=>{
+  const r = await store.get('approvals', req.params.id)
   if(!r) return bad(res,'not_found',404)
   ok(res,{ approval:r })
 })
-app.post('/api/approval/:id/decision', (req,res)=>{
-  const r = approvals.get(req.params.id)
+app.post('/api/approval/:id/decision', allow('approve', 'approvals'), async (req,res)=>{
+  const r = await store.get('approvals', req.params.id)
   if(!r) return bad(res,'not_found',404)
-  const body = z.object({ index:z.number().int().nonnegative(), decision:z.enum(['APPROVED','REJECTED']), note:z.string().optional() }).safeParse(req.body)
+  const body = z.object({ index:z.number().int().nonnegative(), decision:z.enum(['APPROVED','REJECTED']), note:z.string().optional(), approver:z.string().min(1).optional() }).safeParse(req.body)
   if(!body.success) return bad(res, body.error.message)
-  r.decisions[body.data.index] = { decision: body.data.decision, note: body.data.note, ts: new Date().toISOString() }
-  r.status = r.decisions.includes(undefined) ? 'PENDING' : 'DECIDED'
+  // the caller is the approver; a named one is only taken in open mode (REQUIRE_AUTH=false)
+  const approver = req.principal.type==='anonymous' ? body.data.approver : req.principal.actor
+  try { decide(r, { ...body.data, approver }) } catch(e){ return bad(res, e.message, e.status) }
+  await store.put('approvals', r)
+  await audited(req, 'approval.decided', { type:'approval', id:r.id }, { index:body.data.index, decision:body.data.decision, note:body.data.note, status:r.status })
+  await events.emit('approval.decided', r.workspace, { approvalId:r.id, index:body.data.index, decision:body.data.decision, note:body.data.note, approver, status:r.status, decisions:r.decisions })
+  engine.poke()
   ok(res,{ status:r.status, decisions:r.decisions })
 })
+// Editing items re-opens the record: every vote is dropped and the revision bumps
+app.put('/api/approval/:id', allow('write', 'approvals'), async (req,res)=>{
+  const r = await store.get('approvals', req.params.id)
+  if(!r) return bad(res,'not_found',404)
+  const body = z.object({ items: z.array(ApprovalItem).min(1) }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  editApproval(r, body.data.items)
+  await checkApprovalItems(r)
+  await store.put('approvals', r)
+  await audited(req, 'approval.edited', { type:'approval', id:r.id }, { revision:r.revision })
+  ok(res,{ status:r.status, revision:r.revision, decisions:r.decisions, compliance:r.compliance })
+})
+// Findings per item go on the record for reviewers; violations also land in the alert stream
+async function checkApprovalItems(r){
+  const rules = await rulesFor(r.workspace)
+  r.compliance = r.items.map(it=> evaluate(rules, it))
+  for(const [i, it] of r.items.entries()) await raiseViolations(it.platform, r.compliance[i], `${r.id}#${i}`, r.workspace)
+}
 
 // Monitoring
-app.post('/api/monitor/ingest', (req,res)=>{
+app.post('/api/monitor/ingest', allow('write'), async (req,res)=>{
   const event = z.object({ platform:z.string(), level:z.enum(['info','warn','violation']), code:z.string(), message:z.string(), ref:z.string().optional() }).safeParse(req.body)
   if(!event.success) return bad(res, event.error.message)
-  const e = { ...event.data, ts: new Date().toISOString() }
-  alerts.unshift(e)
+  await recordAlert({ ...event.data, workspace:req.workspace })
   ok(res,{ received:true })
 })
-app.get('/api/monitor/alerts', (_req,res)=> ok(res,{ alerts: alerts.slice(0,200) }))
+async function recordAlert(e){
+  const alert = await store.put('alerts', { id:newId('alrt'), ...e, ts: new Date().toISOString() })
+  await events.emit('alert.created', alert.workspace || 'default', alert)
+  return alert
+}
+// Once per (ref, platform, rule): a job prepared again on every retry or hold maps onto the same alert id
+async function raiseViolations(platform, findings, ref, workspace){
+  for(const f of findings.filter(f=> f.severity==='violation')){
+    const id = ref ? 'alrt_' + contentHash(`${ref}:${platform}:${f.ruleId}`).slice(0, 20) : undefined
+    if(id && await store.get('alerts', id)) continue
+    await recordAlert({ ...(id && { id }), workspace, platform, level:'violation', code:`compliance:${f.ruleId}`, message: f.match ? `${f.message} (${f.match})` : f.message, ref })
+  }
+}
+
+// Inbound platform webhooks (inbound.js). Public: platforms can't log in, so each request must carry the
+// connected account's own signature instead. Platform retries map onto the same alert id.
+async function inboundAccount({ platform, accountId }){
+  const a = await store.get('accounts', accountId)
+  if(!a || a.platform!==platform || !inboundPlatforms.includes(platform)){ const e = new Error('not_found'); e.status = 404; throw e }
+  return a
+}
+// Our post/message an event refers to, through the remote ids the job engine recorded
+async function jobFor(a, remoteId){
+  if(!remoteId) return null
+  const mine = (r)=> r.platform===a.platform && (!r.accountId || r.accountId===a.id) && String(r.remoteId)===remoteId
+  const [job] = await store.list('jobs', { where:j=> j.workspace===a.workspace && Object.values(j.results || {}).some(mine), sort:byNewest, limit:1 })
+  return job ? { jobId:job.id, target:Object.keys(job.results).find(k=> mine(job.results[k])), approvalId:job.approvalId ?? null } : null
+}
+app.get('/api/inbound/:platform/:accountId', async (req,res)=>{
+  try {
+    const a = await inboundAccount(req.params)
+    res.type('text/plain').send(handshake(a.platform, req.query, vault.open(a.id, a.secrets)))
+  } catch(e){ bad(res, e.message, e.status||500) }
+})
+app.post('/api/inbound/:platform/:accountId', async (req,res)=>{
+  let a, items
+  try {
+    a = await inboundAccount(req.params)
+    verify(a.platform, req.headers, req.rawBody, vault.open(a.id, a.secrets))
+    items = normalize(a.platform, req.body)
+  } catch(e){ return bad(res, e.message, e.status||500) }
+  let raised = 0
+  for(const { key, ...e } of items){
+    const id = 'alrt_' + contentHash(`${a.id}:${key}`).slice(0, 20)
+    if(await store.get('alerts', id)) continue
+    const link = await jobFor(a, e.remoteId)
+    await recordAlert({ id, workspace:a.workspace, platform:a.platform, accountId:a.id, source:'inbound', ...e, ...link, ref:link?.jobId ?? e.remoteId ?? undefined })
+    raised++
+  }
+  ok(res,{ received:items.length, raised })
+})
+// Where to point the platform, and which secrets the account still lacks
+app.get('/api/accounts/:id/inbound', allow('admin', 'accounts'), async (req,res)=>{
+  const a = await store.get('accounts', req.params.id)
+  if(!inboundPlatforms.includes(a.platform)) return bad(res,'inbound_unsupported',404)
+  const held = vault.open(a.id, a.secrets)
+  ok(res,{ url:`${publicBase}/api/inbound/${a.platform}/${a.id}`, secrets:inboundSecrets[a.platform], missing:inboundSecrets[a.platform].filter(k=> !held[k]) })
+})
+app.get('/api/monitor/alerts', allow('read'), async (req,res)=> ok(res,{ alerts: await store.list('alerts', { where:a=> (a.workspace || 'default')===req.workspace, sort:(a,b)=> b.ts.localeCompare(a.ts), limit:200 }) }))
+
+// AI: one writer over the workspace's LLM provider (llm.js); every call lands in llm_usage with its cost.
+// Without saved settings: LLM_PROVIDER/LLM_MODEL/LLM_BASE_URL, else openai when OPENAI_API_KEY is set, else the offline stub.
+const LlmSettings = z.object({
+  provider:z.string().refine(p=> providerNames().includes(p), 'unknown_llm_provider'), model:z.string().optional(), baseUrl:z.string().url().optional(),
+  apiKey:z.string().nullable().optional(), jsonMode:z.boolean().optional(), temperature:z.number().min(0).max(2).optional(),
+  pricing:z.object({ input:z.number().min(0), output:z.number().min(0) }).optional(),
+  templates:z.record(z.string()).refine(t=> Object.keys(t).every(k=> k in templates), 'unknown_template').optional(),
+  voiceId:z.string().nullable().optional(),
+})
+const envLlm = ()=> ({
+  provider: process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'stub'),
+  model: process.env.LLM_MODEL, baseUrl: process.env.LLM_BASE_URL,
+})
+const publicLlm = ({ secrets:_s, ...rest })=> rest
+async function llmConfigFor(workspace = 'default', voiceId){
+  const saved = await store.get('llm_settings', workspace)
+  const cfg = saved ? { ...saved, ...vault.open(`llm:${workspace}`, saved.secrets) } : envLlm()
+  cfg.apiKey ||= process.env.LLM_API_KEY || (cfg.provider==='openai' ? process.env.OPENAI_API_KEY : undefined)
+  const vid = voiceId || cfg.voiceId
+  if(vid){
+    const v = await store.get('voices', vid)
+    if(!v || v.workspace!==workspace){ const e = new Error('voice_not_found'); e.status = 404; throw e }
+    cfg.voice = v
+  }
+  return cfg
+}
+// A voice picked per request rides along on the workspace config for that one call
+const writerFor = (voiceId)=> createWriter({ store, configFor:(ws)=> llmConfigFor(ws, voiceId) })
+
+app.get('/api/ai/settings', allow('read'), async (req,res)=>{
+  const { workspace } = req
+  const saved = await store.get('llm_settings', workspace)
+  ok(res,{ workspace, settings: saved ? publicLlm(saved) : envLlm(), custom: !!saved, providers: providerNames(), templates: { ...templates, ...saved?.templates } })
+})
+app.put('/api/ai/settings', allow('admin'), async (req,res)=>{
+  const body = LlmSettings.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { workspace } = req, { apiKey, ...data } = body.data
+  const saved = await store.get('llm_settings', workspace)
+  const rec = { id:workspace, ...data, hasApiKey:false, updatedAt:new Date().toISOString() }
+  try {
+    createProvider({ ...data, apiKey: apiKey ?? 'set-later' })
+    const key = apiKey===undefined ? (saved && vault.open(`llm:${workspace}`, saved.secrets).apiKey) : apiKey
+    if(key){ rec.secrets = vault.seal(`llm:${workspace}`, { apiKey:key }); rec.hasApiKey = true }
+  } catch(e){ return bad(res, e.message, e.status) }
+  await audited(req, 'ai.settings_updated', { type:'llm_settings', id:workspace }, { provider:rec.provider, model:rec.model, apiKeyChanged:apiKey!==undefined })
+  ok(res,{ settings: publicLlm(await store.put('llm_settings', rec)) })
+})
+app.delete('/api/ai/settings', allow('admin'), async (req,res)=>{
+  await store.del('llm_settings', req.workspace)
+  await audited(req, 'ai.settings_reset', { type:'llm_settings', id:req.workspace })
+  ok(res,{ settings: envLlm() })
+})
+
+// Brand voices: described once, woven into every prompt that names them (or the workspace default)
+const VoiceInput = z.object({ name:z.string().min(1), description:z.string().default(''), dos:z.array(z.string()).default([]), donts:z.array(z.string()).default([]), emoji:z.string().optional(), examples:z.array(z.string()).max(10).default([]) })
+app.get('/api/ai/voices', allow('read'), async (req,res)=>{
+  ok(res,{ voices: await store.list('voices', { where:v=> v.workspace===req.workspace, sort:byNewest }) })
+})
+app.post('/api/ai/voices', allow('write'), async (req,res)=>{
+  const body = VoiceInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  ok(res,{ voice: await store.put('voices', { id:newId('voice'), workspace:req.workspace, ...body.data, createdAt:new Date().toISOString() }) })
+})
+app.patch('/api/ai/voices/:id', allow('write', 'voices'), async (req,res)=>{
+  const v = await store.get('voices', req.params.id)
+  if(!v) return bad(res,'not_found',404)
+  const body = VoiceInput.partial().safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  ok(res,{ voice: await store.put('voices', { ...v, ...merge(body.data), updatedAt:new Date().toISOString() }) })
+})
+app.delete('/api/ai/voices/:id', allow('write', 'voices'), async (req,res)=>{
+  if(!await store.del('voices', req.params.id)) return bad(res,'not_found',404)
+  ok(res,{ deleted:true })
+})
+
+// Token + cost accounting, rolled up by model and by task
+app.get('/api/ai/usage', allow('read'), async (req,res)=>{
+  const q = z.object({ from:WhenISO.optional(), to:WhenISO.optional() }).safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  const { workspace } = req, { from, to } = q.data
+  const rows = await store.list('llm_usage', { where:u=> u.workspace===workspace && (!from || u.ts >= from) && (!to || u.ts <= to) })
+  const sum = (t={ calls:0, promptTokens:0, completionTokens:0, costUsd:0 }, u)=> ({ calls:t.calls + 1, promptTokens:t.promptTokens + u.promptTokens, completionTokens:t.completionTokens + u.completionTokens, costUsd:Math.round((t.costUsd + u.costUsd) * 1e6) / 1e6 })
+  const by = (k)=> rows.reduce((acc, u)=> ({ ...acc, [u[k]]: sum(acc[u[k]], u) }), {})
+  ok(res,{ workspace, totals: by('workspace')[workspace] || { calls:0, promptTokens:0, completionTokens:0, costUsd:0 }, byModel: by('model'), byTask: by('task') })
+})
 
-// AI
-app.post('/api/ai/caption', async (req,res)=>{
-  const p = z.object({ prompt:z.string().min(4), tone:z.string().default('direct') }).safeParse(req.body)
+// Captions: one caption, or with `platforms` N variants per platform sized to its limits
+const CaptionInput = z.object({ prompt:z.string().min(4), tone:z.string().default('direct'), voiceId:z.string().optional(), platforms:z.array(z.string()).min(1).optional(), variants:z.number().int().min(1).max(10).default(3), withMedia:z.boolean().default(false) })
+app.post('/api/ai/caption', allow('write'), async (req,res)=>{
+  const p = CaptionInput.safeParse(req.body)
   if(!p.success) return bad(res,p.error.message)
+  const { voiceId, platforms, variants:n, ...rest } = p.data, input = { ...rest, workspace:req.workspace }
+  const unknown = platforms?.filter(x=> !limits[x])
+  if(unknown?.length) return bad(res, 'unsupported_platform:'+unknown.join(','))
   try {
-    const key = process.env.OPENAI_API_KEY
-    if(!key) return ok(res,{ caption: p.data.prompt + '\n\n— Neon grind, golden results. ✨ (LOCAL)' })
-    const r = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model: 'gpt-4o-mini',
-      messages: [
-        {role:'system', content:'You are a social media copywriter. Keep under 2200 chars, add a single CTA.'},
-        {role:'user', content:`Tone: ${p.data.tone}. Prompt: ${p.data.prompt}`}
-      ]
-    }, { headers:{ Authorization:`Bearer ${key}` }})
-    const caption = r.data.choices?.[0]?.message?.content?.trim() || 'Caption.'
-    ok(res,{ caption })
-  } catch(err){ bad(res, 'openai_failed:'+err.message, 500) }
+    const w = writerFor(voiceId)
+    ok(res, platforms ? await w.variants({ ...input, platforms, n }) : await w.caption(input))
+  }
+  catch(err){ bad(res, 'llm_failed:'+err.message, err.status || 500) }
+})
+
+// Compliance rule sets (one per workspace; defaultRules until one is saved)
+const rulesFor = async (workspace = 'default')=> (await store.get('rulesets', workspace))?.rules || defaultRules
+const Rule = z.object({ id:z.string().min(1).optional(), type:z.enum(['keywords','regex','disclosure','links']), severity:z.enum(['info','warn','violation']).default('warn'), message:z.string().optional(), platforms:z.array(z.string()).optional(), kinds:z.array(z.string()).optional(), terms:z.array(z.string().min(1)).optional(), pattern:z.string().optional(), flags:z.string().optional(), markers:z.array(z.string().min(1)).optional(), allow:z.array(z.string()).optional(), deny:z.array(z.string()).optional() })
+app.get('/api/compliance/rules', allow('read'), async (req,res)=>{
+  const { workspace } = req
+  const saved = await store.get('rulesets', workspace)
+  ok(res,{ workspace, rules: saved?.rules || defaultRules, custom: !!saved })
+})
+app.put('/api/compliance/rules', allow('admin'), async (req,res)=>{
+  const body = z.object({ rules:z.array(Rule) }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  let rules
+  try { rules = compileRules(body.data.rules) } catch(e){ return bad(res, e.message, e.status) }
+  await store.put('rulesets', { id:req.workspace, rules, updatedAt:new Date().toISOString() })
+  await audited(req, 'compliance.rules_updated', { type:'ruleset', id:req.workspace }, { rules:rules.map(r=> r.id) })
+  ok(res,{ workspace:req.workspace, rules })
+})
+app.delete('/api/compliance/rules', allow('admin'), async (req,res)=>{
+  await store.del('rulesets', req.workspace)
+  await audited(req, 'compliance.rules_reset', { type:'ruleset', id:req.workspace })
+  ok(res,{ rules:defaultRules })
+})
+app.post('/api/compliance/check', allow('read'), async (req,res)=>{
+  const body = z.object({ platforms:z.array(z.string()).min(1), kind:z.string().default('post'), text:z.string(), linkUrl:z.string().url().optional() }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { platforms, ...ctx } = body.data
+  const rules = await rulesFor(req.workspace)
+  const findings = Object.fromEntries(platforms.map(platform=> [platform, evaluate(rules, { ...ctx, platform })]))
+  ok(res,{ pass: Object.values(findings).every(f=> !f.some(x=> x.severity==='violation')), findings })
 })
 
 // Automation
-app.post('/api/automation/calendar', (req,res)=>{
+app.post('/api/automation/calendar', allow('read'), async (req,res)=>{
   const body = z.object({ platforms:z.array(z.string()), days:z.number().int().min(1).max(30).default(14) }).safeParse(req.body)
   if(!body.success) return bad(res, body.error.message)
   const start = Date.now()
-  const items = Array.from({length: body.data.days}).map((_,i)=>({ day:i+1, idea:`Hook ${i+1}: Proof > promises.`, checks:['no banned words','disclose #ad if needed','no targeted attributes'], }))
+  const rules = await rulesFor(req.workspace)
+  const checks = [...new Set(body.data.platforms.flatMap(p=> checksFor(rules, p)))]
+  const items = Array.from({length: body.data.days}).map((_,i)=>({ day:i+1, idea:`Hook ${i+1}: Proof > promises.`, checks, }))
   ok(res,{ startISO:new Date(start).toISOString(), items })
 })
 
+// Connected accounts (tokens sealed in the vault; responses carry secret names only)
+const vault = createVault()
+const ConfigValue = z.union([z.string(), z.array(z.string())])
+const TimeZone = z.string().refine(isTimeZone, 'invalid_time_zone')
+const AccountInput = z.object({ platform:z.string().transform(p=> p.toLowerCase()), label:z.string().default(''), timezone:TimeZone.default('UTC'), account:z.record(ConfigValue).default({}), secrets:z.record(z.string()).default({}), isDefault:z.boolean().default(false) })
+const AccountPatch = z.object({ label:z.string().optional(), timezone:TimeZone.optional(), account:z.record(ConfigValue.nullable()).optional(), secrets:z.record(z.string().nullable()).optional(), isDefault:z.boolean().optional() })
+const merge = (base, patch={})=> Object.fromEntries(Object.entries({ ...base, ...patch }).filter(([,v])=> v!=null))
+
+async function saveAccount(a, secrets){
+  const missing = missingCredentials(a.platform, secrets, a.account)
+  if(missing.length) return 'missing_credentials:'+missing.join(',')
+  a.secrets = vault.seal(a.id, secrets); a.secretKeys = Object.keys(secrets); a.updatedAt = new Date().toISOString()
+  if(a.isDefault){
+    for(const other of await store.list('accounts', { where:o=> o.isDefault && o.id!==a.id && o.workspace===a.workspace && o.platform===a.platform })){
+      other.isDefault = false; await store.put('accounts', other)
+    }
+  }
+  await store.put('accounts', a)
+  return null
+}
+app.post('/api/accounts', allow('admin'), async (req,res)=>{
+  const body = AccountInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { secrets, ...data } = body.data
+  const a = { id:newId('acct'), workspace:req.workspace, ...data, createdAt:new Date().toISOString() }
+  try { const e = await saveAccount(a, secrets); if(e) return bad(res, e) } catch(e){ return bad(res, e.message, e.status) }
+  await audited(req, 'account.created', { type:'account', id:a.id }, { platform:a.platform, secretKeys:a.secretKeys })
+  ok(res,{ account: publicAccount(a) })
+})
+app.get('/api/accounts', allow('read'), async (req,res)=>{
+  const { platform } = req.query
+  const rows = await store.list('accounts', { where:a=> a.workspace===req.workspace && (!platform || a.platform===platform) })
+  ok(res,{ accounts: rows.map(publicAccount) })
+})
+app.get('/api/accounts/:id', allow('read', 'accounts'), async (req,res)=>{
+  const a = await store.get('accounts', req.params.id)
+  if(!a) return bad(res,'not_found',404)
+  ok(res,{ account: publicAccount(a) })
+})
+app.patch('/api/accounts/:id', allow('admin', 'accounts'), async (req,res)=>{
+  const a = await store.get('accounts', req.params.id)
+  if(!a) return bad(res,'not_found',404)
+  const body = AccountPatch.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { secrets, account, ...rest } = body.data
+  try {
+    const current = vault.open(a.id, a.secrets)
+    Object.assign(a, rest, { account: merge(a.account, account) })
+    const e = await saveAccount(a, merge(current, secrets))
+    if(e) return bad(res, e)
+  } catch(e){ return bad(res, e.message, e.status) }
+  await audited(req, secrets ? 'account.credentials_changed' : 'account.updated', { type:'account', id:a.id }, { platform:a.platform, ...(secrets && { secretKeys:Object.keys(secrets) }) })
+  ok(res,{ account: publicAccount(a) })
+})
+app.delete('/api/accounts/:id', allow('admin', 'accounts'), async (req,res)=>{
+  if(!await store.del('accounts', req.params.id)) return bad(res,'not_found',404)
+  await audited(req, 'account.deleted', { type:'account', id:req.params.id })
+  ok(res,{ deleted:true })
+})
+
+// Account behind one publish target: the named account, else the workspace default for the platform
+async function accountFor(target, workspace='default'){
+  const a = target.accountId
+    ? await store.get('accounts', target.accountId)
+    : (await store.list('accounts', { where:x=> x.workspace===workspace && x.platform===target.platform, sort:(x,y)=> y.isDefault - x.isDefault }))[0]
+  const fail = (m, status)=> { const e = new Error(m); e.status = status; throw e }
+  if(target.accountId && (!a || a.workspace!==workspace)) fail('account_not_found', 404)
+  if(a && a.platform!==target.platform) fail('account_platform_mismatch', 400)
+  return a || null
+}
+async function credentialsFor(target, workspace){
+  const a = await accountFor(target, workspace)
+  if(!a) return { tokens:{}, account:{} }
+  const { to, recipients } = a.account
+  return { tokens: vault.open(a.id, a.secrets), account: a.account, to, recipients }
+}
+
 // Posting queue
-app.post('/api/post', (req,res)=>{
-  const body = z.object({ platforms:z.array(z.string()), text:z.string(), whenISO:z.string().optional(), mediaUrls:z.array(z.string().url()).optional() }).safeParse(req.body)
+// Targets are connected accounts (`accounts`) or, for bare `platforms`, the workspace default account
+const newJob = (data)=> settle(initResults({ id:newId('job'), ...data, status:'QUEUED', createdAt:new Date().toISOString() }))
+async function resolveAccounts(job){
+  if(!job.accounts?.length){
+    if(!job.platforms?.length) return 'platforms_or_accounts_required'
+    job.targets = job.platforms.map(p=> ({ key:p, platform:p.toLowerCase() }))
+    return null
+  }
+  job.targets = []
+  for(const id of job.accounts){
+    const a = await store.get('accounts', id)
+    if(!a || a.workspace!==job.workspace) return 'account_not_found:'+id
+    job.targets.push({ key:id, platform:a.platform, accountId:id })
+  }
+  job.platforms = [...new Set(job.targets.map(t=> t.platform))]
+  return null
+}
+// Linked jobs publish each platform from its approval item; returns an error code or null
+async function checkApprovalLink(job){
+  if(!job.approvalId) return requireApproval ? 'approval_required' : (job.text==null ? 'text_required' : null)
+  const r = await store.get('approvals', job.approvalId)
+  if(!r || r.workspace!==job.workspace) return 'approval_not_found'
+  const missing = job.platforms.filter(p=> !itemFor(r, p))
+  return missing.length ? 'platform_not_in_approval:'+missing.join(',') : null
+}
+// Per-platform draft a job would publish right now (approval item, else the job's own copy)
+async function jobDrafts(job){
+  const r = job.approvalId && await store.get('approvals', job.approvalId)
+  const out = {}
+  for(const p of job.platforms) out[p] = await draftOf((r && itemFor(r, p)?.item) || job, job.workspace)
+  return out
+}
+// Resolve targets + approval link and preflight the copy (mutates targets/platforms onto `job`);
+// -> null, or the [error, status, extra] to answer with
+async function vetJob(job){
+  const linkErr = await resolveAccounts(job) || await checkApprovalLink(job)
+  if(linkErr) return [linkErr]
+  let drafts
+  try {
+    drafts = await jobDrafts(job)
+    if(job.watermark?.mediaId) await mediaOf(job.watermark.mediaId, job.workspace)
+  } catch(e){ return [e.message, e.status] }
+  const { preflight, errors } = planDrafts(drafts, job.adapt, await rulesFor(job.workspace))
+  return errors ? ['preflight_failed', 422, { errors, preflight }] : null
+}
+// Preflight drafts and resolve the job's `adapt` choice (true = auto, or { platform: variantKind })
+function planDrafts(drafts, adapt, rules){
+  const preflight = preflightAll(drafts, { rules })
+  const plan = {}, errors = {}
+  for(const p of Object.keys(drafts)){
+    const c = choose(preflight.platforms[p], adapt===true || adapt?.[p] || null)
+    if(c.error) errors[p] = c.error
+    else plan[p] = c.input
+  }
+  return { preflight, plan, errors: Object.keys(errors).length ? errors : null }
+}
+
+const Draft = z.object({ text:z.string().default(''), title:z.string().optional(), mediaUrls:z.array(z.string().url()).optional(), mediaIds:z.array(z.string()).optional(), linkUrl:z.string().url().optional() })
+app.post('/api/preflight', allow('read', approvalScope), async (req,res)=>{
+  const body = z.union([
+    z.object({ approvalId:z.string(), platforms:z.array(z.string()).optional() }),
+    Draft.extend({ kind:z.string().default('post'), platforms:z.array(z.string()).min(1) }),
+  ]).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  let drafts
+  if(body.data.approvalId){
+    const r = await store.get('approvals', body.data.approvalId)
+    if(!r) return bad(res,'not_found',404)
+    try { drafts = await jobDrafts({ approvalId:r.id, platforms: body.data.platforms || [...new Set(r.items.map(it=> it.platform))] }) }
+    catch(e){ return bad(res, e.message, e.status) }
+  } else {
+    const { platforms, ...draft } = body.data
+    try { const d = await draftOf(draft, req.workspace); drafts = Object.fromEntries(platforms.map(p=> [p, d])) }
+    catch(e){ return bad(res, e.message, e.status) }
+  }
+  ok(res, preflightAll(drafts, { rules: await rulesFor(req.workspace) }))
+})
+app.get('/api/preflight/limits', allow('read'), (_req,res)=> ok(res,{ limits }))
+
+const Watermark = z.object({ text:z.string().min(1).max(80).optional(), mediaId:z.string().optional(), gravity:z.enum(WATERMARK_GRAVITY).default('southeast'), opacity:z.number().min(0.05).max(1).default(0.6) })
+const WhenISO = z.string().refine(s=> !isNaN(Date.parse(s)), 'invalid_date')
+const JobInput = z.object({ workspace:z.string().default('default'), campaign:z.string().min(1).max(100).optional(), platforms:z.array(z.string()).optional(), accounts:z.array(z.string()).optional(), text:z.string().optional(), title:z.string().optional(), whenISO:WhenISO.optional(), idempotencyKey:z.string().min(1).max(200).optional(), mediaUrls:z.array(z.string().url()).optional(), mediaIds:z.array(z.string()).optional(), watermark:Watermark.optional(), approvalId:z.string().optional(), adapt:z.union([z.literal(true), z.record(z.string())]).optional(), sandbox:z.boolean().optional() })
+// Same (workspace, idempotencyKey) → the job created the first time, never a second one
+const findByKey = async (workspace, key)=> key ? (await store.list('jobs', { where:j=> j.workspace===workspace && j.idempotencyKey===key, limit:1 }))[0] : null
+app.post('/api/post', allow('write'), async (req,res)=>{
+  const body = JobInput.safeParse({ ...req.body, idempotencyKey: req.body?.idempotencyKey ?? req.get('Idempotency-Key') })
   if(!body.success) return bad(res, body.error.message)
-  const job = { id:'job_'+Math.random().toString(36).slice(2), ...body.data, status:'QUEUED' }
-  schedules.push(job)
+  const input = { ...body.data, workspace:req.workspace }
+  const existing = await findByKey(input.workspace, input.idempotencyKey)
+  if(existing) return ok(res,{ job:existing, duplicate:true })
+  const e = await vetJob(input)
+  if(e) return bad(res, ...e)
+  const job = await store.put('jobs', newJob({ ...input, createdBy:req.principal.actor }))
+  await auditJobs(req, [job])
+  engine.poke()
   ok(res,{ job })
 })
 
+// Audit one entry per job in its own workspace (bulk items may span workspaces)
+async function auditJobs(req, jobs, detail = {}){
+  for(const j of jobs) await audit.record({ workspace:j.workspace, actor:req.principal.actor, action:'job.scheduled', target:{ type:'job', id:j.id }, detail:{ whenISO:j.whenISO || null, platforms:j.platforms, approvalId:j.approvalId || null, ...detail }, ip:req.ip })
+}
+
 // Bulk schedule
-app.post('/api/schedule/bulk', (req,res)=>{
-  const b = z.object({ items:z.array(z.object({ platforms:z.array(z.string()), text:z.string(), whenISO:z.string() })) }).safeParse(req.body)
+app.post('/api/schedule/bulk', allow('write', req=> (req.body?.items || []).map(it=> it.workspace || 'default')), async (req,res)=>{
+  const b = z.object({ items:z.array(JobInput.required({ whenISO:true })) }).safeParse(req.body)
   if(!b.success) return bad(res,b.error.message)
-  const created = b.data.items.map(it=>{ const job={ id:'job_'+Math.random().toString(36).slice(2), ...it, status:'QUEUED' }; schedules.push(job); return job })
-  ok(res,{ created })
+  const created = [], duplicates = [], fresh = []
+  for(const [i,it] of b.data.items.entries()){
+    const existing = await findByKey(it.workspace, it.idempotencyKey)
+    if(existing){ duplicates.push(existing); continue }
+    const e = await vetJob(it)
+    if(e) return bad(res, `item_${i}:${e[0]}`, e[1], e[2])
+    fresh.push(it)
+  }
+  for(const it of fresh) created.push(await store.put('jobs', newJob({ ...it, createdBy:req.principal.actor })))
+  await auditJobs(req, created)
+  engine.poke()
+  ok(res,{ created, duplicates })
+})
+
+// Publisher: the job engine (jobs.js) owns timing, retries and per-target results; this decides
+// what a due job may send. Targets a blackout covers wait for its end while the rest go out; the whole
+// job holds while the approval is open; unlinked jobs only pass with REQUIRE_APPROVAL=false.
+// Preflight runs again on the final copy (items may have been edited).
+async function prepareJob(job){
+  const blackouts = await store.list('blackouts', { where:b=> b.workspace===job.workspace }), now = Date.now()
+  const held = job.targets.flatMap(t=> { const b = blackoutAt(blackouts, now, [t]); return b ? [{ key:t.key, reason:`blackout:${b.id}`, until:Date.parse(b.endISO) }] : [] })
+  let drafts, blocked = []
+  if(!job.approvalId){
+    if(requireApproval) return { fail:'approval_required' }
+    drafts = job.platforms.map(platform=> ({ platform, src:job }))
+  } else {
+    const r = await store.get('approvals', job.approvalId)
+    if(!r) return { fail:'approval_not_found' }
+    const g = gate(r, job.platforms)
+    if(g.waiting.length) return { hold:'awaiting_approval' }
+    blocked = g.blocked
+    drafts = g.allowed.map(({ platform, item })=> ({ platform, src:item }))
+  }
+  try { for(const d of drafts) Object.assign(d, await draftOf(d.src, job.workspace)) } catch(e){ return { fail:e.message } }
+  const rules = await rulesFor(job.workspace)
+  for(const d of drafts) await raiseViolations(d.platform, evaluate(rules, d), job.id, job.workspace)
+  const { plan, errors } = planDrafts(Object.fromEntries(drafts.map(({ platform, ...d })=> [platform, d])), job.adapt, rules)
+  if(errors) return { fail:'preflight_failed', detail:errors }
+  const byPlatform = Object.fromEntries(drafts.map(({ src:_s, ...d })=> [d.platform.toLowerCase(), { ...d, overrides:plan[d.platform] }]))
+  const reason = (p)=> blocked.find(b=> b.platform.toLowerCase()===p)?.reason || 'blocked'
+  const waiting = new Set(held.map(h=> h.key))
+  return {
+    targets: job.targets.filter(t=> byPlatform[t.platform] && !waiting.has(t.key)).map(t=> ({ ...byPlatform[t.platform], ...t })),
+    blocked: job.targets.filter(t=> !byPlatform[t.platform]).map(t=> ({ key:t.key, reason:reason(t.platform) })),
+    held,
+  }
+}
+async function publishTarget(target, job){
+  const { platform, text, title, media, overrides } = target
+  const creds = await credentialsFor(target, job.workspace)
+  const ready = []
+  for(const m of media) ready.push(await renditionFor(platform, m, job.watermark, job.workspace))
+  const rec = await sandboxFor(job.workspace, job.sandbox)
+  const data = await postToPlatform(platform, { text, title, mediaUrl: ready[0]?.url, media: ready, ...overrides, ...creds }, { sandbox: rec?.with({ jobId:job.id, target:target.key, platform }) })
+  return rec ? { ...data, sandbox:true } : data
+}
+// Sends are audited against whoever scheduled the job (the engine only carries it out) and go out as events
+async function onResult(job, key, r){
+  const type = r.status==='POSTED' ? 'job.posted' : 'job.failed'
+  const detail = { target:key, platform:r.platform, accountId:r.accountId ?? null, remoteId:r.remoteId ?? null, error:r.error ?? null, attempts:r.attempts }
+  await audit.record({ workspace:job.workspace, actor:job.createdBy || 'system', action:type, target:{ type:'job', id:job.id }, detail })
+  await events.emit(type, job.workspace, { jobId:job.id, ...detail, campaign:job.campaign ?? null, approvalId:job.approvalId ?? null })
+}
+const engine = createJobEngine({ store, prepare:prepareJob, publish:publishTarget, onResult, maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 5, baseDelayMs: Number(process.env.JOB_RETRY_BASE_MS) || 30000 })
+
+const JobFilter = z.object({ status:z.string().optional(), workspace:z.string().optional(), from:WhenISO.optional(), to:WhenISO.optional(), limit:z.coerce.number().int().min(1).max(500).default(100) })
+const byNewest = (a,b)=> b.createdAt.localeCompare(a.createdAt)
+app.get('/api/jobs', allow('read'), async (req,res)=>{
+  const q = JobFilter.safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  ok(res,{ jobs: await listJobs(store, { ...q.data, workspace:req.workspace }) })
+})
+app.get('/api/jobs/dead-letter', allow('read'), async (req,res)=>{
+  const q = JobFilter.safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  ok(res,{ jobs: await store.list('jobs', { where:j=> j.deadLetter && j.workspace===req.workspace, sort:byNewest, limit:q.data.limit }) })
+})
+app.get('/api/jobs/:id', allow('read', 'jobs'), async (req,res)=>{
+  const job = await store.get('jobs', req.params.id)
+  if(!job) return bad(res,'not_found',404)
+  ok(res,{ job })
+})
+app.post('/api/jobs/:id/cancel', allow('write', 'jobs'), async (req,res)=>{
+  try {
+    const job = await engine.cancel(req.params.id)
+    await audited(req, 'job.cancelled', { type:'job', id:req.params.id })
+    ok(res,{ job })
+  } catch(e){ return bad(res, e.message, e.status||500) }
+})
+app.post('/api/jobs/:id/reschedule', allow('write', 'jobs'), async (req,res)=>{
+  const body = z.object({ whenISO:WhenISO }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  try {
+    const job = await engine.reschedule(req.params.id, new Date(body.data.whenISO).toISOString())
+    await audited(req, 'job.rescheduled', { type:'job', id:req.params.id }, { whenISO:body.data.whenISO })
+    ok(res,{ job })
+  } catch(e){ return bad(res, e.message, e.status||500) }
+})
+app.post('/api/jobs/:id/retry', allow('write', 'jobs'), async (req,res)=>{
+  try {
+    const job = await engine.retry(req.params.id)
+    await audited(req, 'job.retried', { type:'job', id:req.params.id })
+    ok(res,{ job })
+  } catch(e){ return bad(res, e.message, e.status||500) }
 })
 
-// Cron publisher (demo: calls adapter immediately when due)
-cron.schedule('* * * * *', async ()=>{
-  const now = Date.now()
-  for(const job of schedules){
-    if(job.status!=='QUEUED') continue
-    if(!job.whenISO || new Date(job.whenISO).getTime() <= now){
-      job.status='POSTING'
-      try {
-        for(const platform of job.platforms){
-          // Simplified: one media URL if present
-          await postToPlatform(platform.toLowerCase(), { text: job.text, mediaUrl: job.mediaUrls?.[0], tokens: {}, account: {} })
-        }
-        job.status='POSTED'; job.postedAt=new Date().toISOString()
-      } catch(e){
-        job.status='FAILED'; job.error = e.message
-      }
+// Recurring schedules, posting-slot queues and blackout windows (schedules.js). Rules never reach
+// the engine: schedules materialize ordinary jobs SCHEDULE_HORIZON_DAYS ahead on a cron tick, and
+// queue items become jobs at their slot. Wall-clock times follow each target account's time zone.
+const horizonMs = (Number(process.env.SCHEDULE_HORIZON_DAYS) || 14) * 864e5
+const iso = (ms)=> new Date(ms).toISOString()
+const today = ()=> iso(Date.now()).slice(0,10)
+const Rrule = z.string().superRefine((s, ctx)=> { try { parseRule(s) } catch(e){ ctx.addIssue({ code:'custom', message:e.message }) } })
+const LocalStart = z.string().regex(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/, 'invalid_start')
+const JobContent = JobInput.omit({ whenISO:true, idempotencyKey:true })
+const ScheduleInput = JobContent.omit({ workspace:true }).extend({ name:z.string().default(''), rrule:Rrule, start:LocalStart.optional(), timezone:TimeZone.optional(), status:z.enum(['ACTIVE','PAUSED']).default('ACTIVE') })
+
+const zoneFor = async (target, workspace, override)=> override || (await accountFor(target, workspace).catch(()=> null))?.timezone || 'UTC'
+async function zoneGroups(targets, workspace, override){
+  const groups = {}
+  for(const t of targets) (groups[await zoneFor(t, workspace, override)] ||= []).push(t)
+  return groups
+}
+// Queued, unsent future jobs are dropped when their schedule/queue changes; anything sent stays as history
+async function dropPending(where){
+  for(const j of await store.list('jobs', { where:j=> where(j) && j.status==='QUEUED' && Date.parse(j.whenISO) > Date.now() })){
+    await engine.cancel(j.id).catch(()=> {})
+  }
+}
+
+// One job per occurrence per time zone among the targets; the revision in the key lets an edited
+// schedule re-create occurrences whose old jobs were cancelled
+async function materialize(s, now = Date.now()){
+  if(s.status!=='ACTIVE') return []
+  const job = { ...s.job, workspace:s.workspace }
+  const linkErr = await resolveAccounts(job)
+  if(linkErr){ s.error = linkErr; await store.put('schedules', s); return [] }
+  delete s.error
+  const from = Math.max(now, Date.parse(s.materializedUntil || 0)), until = now + horizonMs
+  const created = []
+  for(const [tz, targets] of Object.entries(await zoneGroups(job.targets, s.workspace, s.timezone))){
+    for(const at of between(parseRule(s.rrule), { start:s.start, tz }, from, until)){
+      const key = `${s.id}.${s.revision}@${iso(at)}/${tz}`
+      if(await findByKey(s.workspace, key)) continue
+      created.push(await store.put('jobs', newJob({ ...job, targets, platforms:[...new Set(targets.map(t=> t.platform))], whenISO:iso(at), scheduleId:s.id, idempotencyKey:key, createdBy:s.createdBy })))
     }
   }
+  s.materializedUntil = iso(until)
+  await store.put('schedules', s)
+  return created
+}
+async function materializeAll(){
+  for(const s of await store.list('schedules', { where:s=> s.status==='ACTIVE' })){
+    await materialize(s).catch(e=> console.error('schedule_materialize_failed', s.id, e.message))
+  }
+  engine.poke()
+}
+
+app.post('/api/schedules/preview', allow('read'), (req,res)=>{
+  const body = z.object({ rrule:Rrule, start:LocalStart.optional(), timezone:TimeZone.default('UTC'), count:z.number().int().min(1).max(100).default(10) }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { rrule, start = today(), timezone:tz, count } = body.data
+  const upcoming = []
+  for(const at of occurrences(parseRule(rrule), { start, tz, after:Date.now() })){
+    upcoming.push({ at:iso(at), local:localISO(at, tz) })
+    if(upcoming.length >= count) break
+  }
+  ok(res,{ timezone:tz, occurrences:upcoming })
+})
+app.get('/api/schedules', allow('read'), async (req,res)=>{
+  ok(res,{ schedules: await store.list('schedules', { where:s=> s.workspace===req.workspace, sort:byNewest }) })
+})
+app.post('/api/schedules', allow('write'), async (req,res)=>{
+  const body = ScheduleInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { workspace } = req, { name, rrule, start = today(), timezone, status, ...job } = body.data
+  const e = await vetJob({ ...job, workspace })
+  if(e) return bad(res, ...e)
+  const s = { id:newId('sch'), workspace, name, rrule, start, timezone, status, job, revision:1, materializedUntil:null, createdBy:req.principal.actor, createdAt:new Date().toISOString() }
+  await store.put('schedules', s)
+  await audited(req, 'schedule.created', { type:'schedule', id:s.id }, { rrule, timezone })
+  const jobs = await materialize(s)
+  engine.poke()
+  ok(res,{ schedule:s, jobs })
+})
+app.get('/api/schedules/:id', allow('read', 'schedules'), async (req,res)=>{
+  const s = await store.get('schedules', req.params.id)
+  if(!s) return bad(res,'not_found',404)
+  const jobs = await store.list('jobs', { where:j=> j.scheduleId===s.id && !TERMINAL.includes(j.status), sort:(a,b)=> a.whenISO.localeCompare(b.whenISO) })
+  ok(res,{ schedule:s, jobs })
+})
+// Any change re-plans the future: unsent occurrences are cancelled and materialized again
+app.patch('/api/schedules/:id', allow('write', 'schedules'), async (req,res)=>{
+  const s = await store.get('schedules', req.params.id)
+  if(!s) return bad(res,'not_found',404)
+  const body = ScheduleInput.partial().safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { name, rrule, start, timezone, status, ...job } = body.data
+  const next = { ...s, ...merge({ name, rrule, start, timezone, status }), job:merge(s.job, job) }
+  const e = await vetJob({ ...next.job, workspace:s.workspace })
+  if(e) return bad(res, ...e)
+  Object.assign(s, next, { revision:s.revision + 1, materializedUntil:null, createdBy:req.principal.actor, updatedAt:new Date().toISOString() })
+  await dropPending(j=> j.scheduleId===s.id)
+  await store.put('schedules', s)
+  await audited(req, 'schedule.updated', { type:'schedule', id:s.id }, { revision:s.revision, status:s.status })
+  const jobs = await materialize(s)
+  engine.poke()
+  ok(res,{ schedule:s, jobs })
+})
+app.delete('/api/schedules/:id', allow('write', 'schedules'), async (req,res)=>{
+  if(!await store.get('schedules', req.params.id)) return bad(res,'not_found',404)
+  await dropPending(j=> j.scheduleId===req.params.id)
+  await store.del('schedules', req.params.id)
+  await audited(req, 'schedule.deleted', { type:'schedule', id:req.params.id })
+  ok(res,{ deleted:true })
 })
 
-// Extraction (robots-aware)
-async function robotsAllows(targetUrl){
-  try{
-    const u = new URL(targetUrl)
-    const robotsUrl = `${u.origin}/robots.txt`
-    const r = await axios.get(robotsUrl, { timeout: 5000 }).catch(()=>null)
-    if(!r || r.status!==200) return true
-    const p = robotsParser(robotsUrl, r.data)
-    return p.isAllowed(targetUrl, 'BrothelHackerBot')
-  }catch{ return false }
-}
-app.get('/api/extract', async (req,res)=>{
+// Queues: named slot rules; each item dropped in takes the next free slot of every queue target
+const QueueInput = z.object({ name:z.string().min(1), rrule:Rrule, timezone:TimeZone.optional(), platforms:z.array(z.string()).optional(), accounts:z.array(z.string()).optional() })
+const QueueItem = JobContent.omit({ workspace:true, platforms:true, accounts:true })
+async function nextSlot(q, target, blackouts){
+  const taken = await store.list('jobs', { where:j=> j.queueId===q.id && j.status!=='CANCELLED' && j.targets.some(t=> t.key===target.key) })
+  const tz = await zoneFor(target, q.workspace, q.timezone)
+  return nextFreeSlot(parseRule(q.rrule), { start:q.start, tz, after:Date.now(), taken:new Set(taken.map(j=> Date.parse(j.whenISO))), blackouts, target })
+}
+const queueTargets = async (q)=> { const probe = { workspace:q.workspace, platforms:q.platforms, accounts:q.accounts }; return await resolveAccounts(probe) || probe.targets }
+app.get('/api/queues', allow('read'), async (req,res)=>{
+  ok(res,{ queues: await store.list('queues', { where:q=> q.workspace===req.workspace, sort:byNewest }) })
+})
+app.post('/api/queues', allow('write'), async (req,res)=>{
+  const body = QueueInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const q = { id:newId('que'), workspace:req.workspace, ...body.data, start:today(), createdAt:new Date().toISOString() }
+  const targets = await queueTargets(q)
+  if(typeof targets==='string') return bad(res, targets)
+  await store.put('queues', q)
+  ok(res,{ queue:q })
+})
+app.get('/api/queues/:id', allow('read', 'queues'), async (req,res)=>{
+  const q = await store.get('queues', req.params.id)
+  if(!q) return bad(res,'not_found',404)
+  const targets = await queueTargets(q)
+  if(typeof targets==='string') return bad(res, targets, 409)
+  const blackouts = await store.list('blackouts', { where:b=> b.workspace===q.workspace })
+  const next = {}
+  for(const t of targets){ const at = await nextSlot(q, t, blackouts); next[t.key] = at==null ? null : iso(at) }
+  const jobs = await store.list('jobs', { where:j=> j.queueId===q.id && !TERMINAL.includes(j.status), sort:(a,b)=> a.whenISO.localeCompare(b.whenISO) })
+  ok(res,{ queue:q, next, jobs })
+})
+app.post('/api/queues/:id/items', allow('write', 'queues'), async (req,res)=>{
+  const q = await store.get('queues', req.params.id)
+  if(!q) return bad(res,'not_found',404)
+  const body = z.object({ items:z.array(QueueItem).min(1) }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const targets = await queueTargets(q)
+  if(typeof targets==='string') return bad(res, targets, 409)
+  for(const [i, it] of body.data.items.entries()){
+    const e = await vetJob({ ...it, workspace:q.workspace, platforms:q.platforms, accounts:q.accounts })
+    if(e) return bad(res, `item_${i}:${e[0]}`, e[1], e[2])
+  }
+  const blackouts = await store.list('blackouts', { where:b=> b.workspace===q.workspace })
+  const created = []
+  for(const it of body.data.items) for(const t of targets){
+    const at = await nextSlot(q, t, blackouts)
+    if(at==null){ await auditJobs(req, created, { queueId:q.id }); engine.poke(); return bad(res, 'no_free_slot:'+t.key, 409, { created }) }
+    created.push(await store.put('jobs', newJob({ ...it, workspace:q.workspace, targets:[t], platforms:[t.platform], ...(t.accountId && { accounts:[t.accountId] }), whenISO:iso(at), queueId:q.id, createdBy:req.principal.actor })))
+  }
+  await auditJobs(req, created, { queueId:q.id })
+  engine.poke()
+  ok(res,{ created })
+})
+app.delete('/api/queues/:id', allow('write', 'queues'), async (req,res)=>{
+  if(!await store.get('queues', req.params.id)) return bad(res,'not_found',404)
+  await dropPending(j=> j.queueId===req.params.id)
+  await store.del('queues', req.params.id)
+  ok(res,{ deleted:true })
+})
+
+// Blackouts hold (never drop) jobs whose targets they cover until the window ends
+const BlackoutInput = z.object({ startISO:WhenISO, endISO:WhenISO, reason:z.string().default(''), platforms:z.array(z.string().transform(p=> p.toLowerCase())).optional(), accounts:z.array(z.string()).optional() })
+  .refine(b=> Date.parse(b.endISO) > Date.parse(b.startISO), 'end_before_start')
+app.get('/api/blackouts', allow('read'), async (req,res)=>{
+  ok(res,{ blackouts: await store.list('blackouts', { where:b=> b.workspace===req.workspace, sort:(a,b)=> a.startISO.localeCompare(b.startISO) }) })
+})
+app.post('/api/blackouts', allow('write'), async (req,res)=>{
+  const body = BlackoutInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const b = { id:newId('blk'), workspace:req.workspace, ...body.data, startISO:iso(Date.parse(body.data.startISO)), endISO:iso(Date.parse(body.data.endISO)), createdAt:new Date().toISOString() }
+  await store.put('blackouts', b)
+  await audited(req, 'blackout.created', { type:'blackout', id:b.id }, { startISO:b.startISO, endISO:b.endISO })
+  ok(res,{ blackout:b })
+})
+// Lifting a blackout early releases what it was holding
+app.delete('/api/blackouts/:id', allow('write', 'blackouts'), async (req,res)=>{
+  if(!await store.del('blackouts', req.params.id)) return bad(res,'not_found',404)
+  await audited(req, 'blackout.deleted', { type:'blackout', id:req.params.id })
+  const hold = `blackout:${req.params.id}`
+  for(const j of await store.list('jobs', { where:j=> !TERMINAL.includes(j.status) && Object.values(j.results || {}).some(r=> r.hold===hold) })){
+    await engine.reschedule(j.id, j.whenISO || j.createdAt).catch(()=> {})
+  }
+  ok(res,{ deleted:true })
+})
+
+// Events: live SSE stream + outbound webhooks (events.js). EventSource can't send headers, so
+// browsers authenticate the stream with the session cookie.
+const events = createEvents({ store, vault, maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8, retentionMs: (Number(process.env.EVENTS_RETENTION_HOURS) || 24) * 3600000 })
+const EventTypes = z.string().optional().transform(s=> s ? s.split(',').filter(Boolean) : undefined)
+app.get('/api/events', allow('read'), async (req,res)=>{
+  const q = z.object({ after:z.string().optional(), types:EventTypes, limit:z.coerce.number().int().min(1).max(500).default(100) }).safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  ok(res,{ events: await events.since({ workspace:req.workspace, lastId:q.data.after, types:q.data.types, limit:q.data.limit }) })
+})
+app.get('/api/events/stream', allow('read'), async (req,res)=>{
+  const q = z.object({ types:EventTypes }).safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  const { types } = q.data, workspace = req.workspace
+  res.set({ 'Content-Type':'text/event-stream', 'Cache-Control':'no-cache, no-transform', Connection:'keep-alive', 'X-Accel-Buffering':'no' })
+  res.flushHeaders()
+  res.write('retry: 5000\n\n')
+  const sent = new Set()
+  const send = (e)=> { if(sent.has(e.id)) return; sent.add(e.id); res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`) }
+  // live events wait in `held` while the Last-Event-ID replay is written, so order holds and nothing is lost
+  let held = []
+  const off = events.subscribe({ workspace, types }, (e)=> held ? held.push(e) : send(e))
+  const beat = setInterval(()=> res.write(': ping\n\n'), 25000)
+  req.on('close', ()=> { off(); clearInterval(beat) })
+  const lastId = req.get('last-event-id') || req.query.lastEventId
+  if(lastId) for(const e of await events.since({ workspace, lastId:String(lastId), types })) send(e)
+  for(const e of held) send(e)
+  held = null
+})
+
+// Webhooks: signed POSTs per event type; the secret is shown on create/rotate only
+const WebhookInput = z.object({ url:z.string().url().refine(u=> /^https?:\/\//i.test(u), 'invalid_url'), events:z.array(z.enum([...EVENT_TYPES, '*'])).min(1), description:z.string().default('') })
+app.get('/api/webhooks', allow('admin'), async (req,res)=>{
+  ok(res,{ webhooks: (await store.list('webhooks', { where:w=> w.workspace===req.workspace, sort:byNewest })).map(publicWebhook), eventTypes:EVENT_TYPES })
+})
+app.post('/api/webhooks', allow('admin'), async (req,res)=>{
+  const body = WebhookInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  try {
+    const out = await events.createWebhook({ ...body.data, workspace:req.workspace })
+    await audited(req, 'webhook.created', { type:'webhook', id:out.webhook.id }, { url:out.webhook.url, events:out.webhook.events })
+    ok(res, out)
+  } catch(e){ bad(res, e.message, e.status||500) }
+})
+app.get('/api/webhooks/:id', allow('admin', 'webhooks'), async (req,res)=>{
+  const w = await store.get('webhooks', req.params.id)
+  const deliveries = await store.list('deliveries', { where:d=> d.webhookId===w.id, sort:byNewest, limit:Number(req.query.limit) || 50 })
+  ok(res,{ webhook:publicWebhook(w), deliveries })
+})
+app.patch('/api/webhooks/:id', allow('admin', 'webhooks'), async (req,res)=>{
+  const body = WebhookInput.partial().extend({ active:z.boolean().optional(), rotateSecret:z.boolean().optional() }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { rotateSecret, ...patch } = body.data
+  let w = await store.put('webhooks', { ...await store.get('webhooks', req.params.id), ...merge(patch), updatedAt:new Date().toISOString() })
+  let secret
+  try { if(rotateSecret){ secret = await events.rotateSecret(w); w = await store.get('webhooks', w.id) } } catch(e){ return bad(res, e.message, e.status||500) }
+  await audited(req, 'webhook.updated', { type:'webhook', id:w.id }, { ...patch, secretRotated:!!rotateSecret })
+  ok(res,{ webhook:publicWebhook(w), ...(secret && { secret }) })
+})
+app.delete('/api/webhooks/:id', allow('admin', 'webhooks'), async (req,res)=>{
+  await store.del('webhooks', req.params.id)
+  await audited(req, 'webhook.deleted', { type:'webhook', id:req.params.id })
+  ok(res,{ deleted:true })
+})
+app.post('/api/webhooks/:id/ping', allow('admin', 'webhooks'), async (req,res)=>{
+  ok(res,{ delivery: await events.ping(await store.get('webhooks', req.params.id)) })
+})
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', allow('admin', 'webhooks'), async (req,res)=>{
+  const d = await store.get('deliveries', req.params.deliveryId)
+  if(!d || d.webhookId!==req.params.id) return bad(res,'not_found',404)
+  await events.redeliver(d.id)
+  ok(res,{ redelivering:d.id })
+})
+
+// Analytics: insights for connected accounts + published results, refreshed on ANALYTICS_CRON
+const analytics = createAnalytics({ store, accountFor, credentialsFor, lookbackDays: Number(process.env.ANALYTICS_LOOKBACK_DAYS) || 28 })
+const AnalyticsFilter = z.object({ platform:z.string().optional(), accountId:z.string().optional(), campaign:z.string().optional(), jobId:z.string().optional(), scope:z.enum(['post','account']).optional(), from:WhenISO.optional(), to:WhenISO.optional() })
+app.get('/api/analytics', allow('read'), async (req,res)=>{
+  const q = AnalyticsFilter.safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  ok(res,{ ...await analytics.query({ ...q.data, workspace:req.workspace }), refreshed: analytics.status() })
+})
+app.post('/api/analytics/refresh', allow('write'), async (req,res)=>{
+  ok(res,{ refresh: await analytics.refresh({ workspace:req.workspace }) })
+})
+
+// Extraction (robots.txt cached per origin; readability-style parse in extract.js)
+const fetcher = createFetcher({ store, robotsTtlMs: (Number(process.env.ROBOTS_TTL_HOURS) || 24) * 3600000 })
+app.get('/api/extract', allow('write'), async (req,res)=>{
   const url = req.query.url
   if(!url) return bad(res,'url_required')
   try{
-    const allowed = await robotsAllows(url)
-    if(!allowed) return bad(res,'blocked_by_robots', 451)
-    const resp = await axios.get(url, { timeout: 10000, headers:{ 'User-Agent':'BrothelHackerBot/1.0' }})
-    const $ = cheerio.load(resp.data)
-    const title = $('meta[property="og:title"]').attr('content') || $('title').text() || ''
-    const desc = $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || ''
-    const text = $('article').text() || $('main').text() || $('body').text()
-    ok(res,{ title, desc, text: text.slice(0, 20000) })
+    if(!await fetcher.allowed(String(url))) return bad(res,'blocked_by_robots', 451)
+    const page = await fetcher.get(String(url))
+    const a = extractArticle(page.data, page.url)
+    ok(res,{ ...a, desc:a.excerpt, image:a.leadImage, text:a.text.slice(0, 20000) })
   }catch(e){ bad(res,'extract_failed:'+e.message,500) }
 })
 
 // Article drafting
-app.post('/api/articles/draft', async (req,res)=>{
-  const b = z.object({ topic:z.string().min(3), sourceSummary:z.string().default(''), tone:z.string().default('direct'), words:z.number().int().min(200).max(3000).default(900) }).safeParse(req.body)
+const ArticleInput = z.object({ voiceId:z.string().optional(), topic:z.string().min(3), sourceSummary:z.string().default(''), tone:z.string().default('direct'), words:z.number().int().min(200).max(3000).default(900) })
+app.post('/api/articles/draft', allow('write'), async (req,res)=>{
+  const b = ArticleInput.safeParse(req.body)
   if(!b.success) return bad(res,b.error.message)
-  try{
-    const key = process.env.OPENAI_API_KEY
-    if(!key) return ok(res,{ article:`# ${b.data.topic}\n\n(Developer mode) Provide your OPENAI_API_KEY to generate full copy.` })
-    const r = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model:'gpt-4o-mini',
-      messages:[
-        {role:'system', content:'You are a senior content strategist. Create original, non-plagiarized articles. Cite sources generically, avoid copying phrasing. Markdown output.'},
-        {role:'user', content:`Topic: ${b.data.topic}\nTone: ${b.data.tone}\nTarget length: ${b.data.words} words\nSource summary (optional): ${b.data.sourceSummary}`}
-      ]
-    },{ headers:{ Authorization:`Bearer ${key}` }})
-    const article = r.data.choices?.[0]?.message?.content || ''
-    ok(res,{ article })
-  }catch(e){ bad(res,'openai_failed:'+e.message,500) }
-})
-
-// Media upload (placeholder)
+  const { voiceId, ...input } = b.data
+  try{ ok(res, await writerFor(voiceId).article({ ...input, workspace:req.workspace })) }
+  catch(e){ bad(res,'llm_failed:'+e.message,e.status || 500) }
+})
+
+// Feed subscriptions (sources.js) polled on FEEDS_CRON; new entries land in the suggestions inbox
+const feeds = createFeedPoller({ store, fetcher, extractArticle })
+const FeedInput = z.object({ url:z.string().url(), title:z.string().optional(), intervalMin:z.number().int().min(5).max(1440).default(60), extract:z.boolean().default(true) })
+app.get('/api/feeds', allow('read'), async (req,res)=>{
+  ok(res,{ feeds: await store.list('feeds', { where:f=> f.workspace===req.workspace, sort:byNewest }) })
+})
+app.post('/api/feeds', allow('write'), async (req,res)=>{
+  const body = FeedInput.safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { workspace } = req, { url } = body.data
+  if((await store.list('feeds', { where:f=> f.workspace===workspace && f.url===url, limit:1 })).length) return bad(res,'feed_exists',409)
+  const feed = { id:newId('feed'), workspace, ...body.data, title:body.data.title || '', status:'ACTIVE', failures:0, nextPollAt:new Date().toISOString(), createdAt:new Date().toISOString() }
+  const added = await feeds.poll(feed)
+  ok(res,{ feed, added:added.length })
+})
+app.patch('/api/feeds/:id', allow('write', 'feeds'), async (req,res)=>{
+  const f = await store.get('feeds', req.params.id)
+  if(!f) return bad(res,'not_found',404)
+  const body = FeedInput.pick({ title:true, intervalMin:true, extract:true }).partial().extend({ status:z.enum(['ACTIVE','PAUSED']).optional() }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  ok(res,{ feed: await store.put('feeds', { ...f, ...merge(body.data) }) })
+})
+app.delete('/api/feeds/:id', allow('write', 'feeds'), async (req,res)=>{
+  if(!await store.del('feeds', req.params.id)) return bad(res,'not_found',404)
+  ok(res,{ deleted:true })
+})
+app.post('/api/feeds/:id/poll', allow('write', 'feeds'), async (req,res)=>{
+  const f = await store.get('feeds', req.params.id)
+  if(!f) return bad(res,'not_found',404)
+  const added = await feeds.poll(f)
+  ok(res,{ feed:f, added })
+})
+
+// Suggested drafts: one call turns an inbox item into an article draft or a caption
+app.get('/api/suggestions', allow('read'), async (req,res)=>{
+  const { status='NEW', feedId } = req.query
+  const rows = await store.list('suggestions', { where:s=> s.workspace===req.workspace && (status==='all' || s.status===status) && (!feedId || s.feedId===feedId), sort:(a,b)=> (b.publishedAt || b.createdAt).localeCompare(a.publishedAt || a.createdAt), limit:200 })
+  ok(res,{ suggestions: rows.map(({ keys:_k, text:_t, ...s })=> s) })
+})
+app.get('/api/suggestions/:id', allow('read', 'suggestions'), async (req,res)=>{
+  const s = await store.get('suggestions', req.params.id)
+  if(!s) return bad(res,'not_found',404)
+  ok(res,{ suggestion:s })
+})
+app.post('/api/suggestions/:id/dismiss', allow('write', 'suggestions'), async (req,res)=>{
+  const s = await store.get('suggestions', req.params.id)
+  if(!s) return bad(res,'not_found',404)
+  ok(res,{ suggestion: await store.put('suggestions', { ...s, status:'DISMISSED', dismissedAt:new Date().toISOString() }) })
+})
+app.post('/api/suggestions/:id/draft', allow('write', 'suggestions'), async (req,res)=>{
+  const s = await store.get('suggestions', req.params.id)
+  if(!s) return bad(res,'not_found',404)
+  const body = z.object({ as:z.enum(['article','caption']).default('caption'), tone:z.string().default('direct'), words:ArticleInput.shape.words, voiceId:z.string().optional() }).safeParse(req.body || {})
+  if(!body.success) return bad(res, body.error.message)
+  const { as, tone, words, voiceId } = body.data
+  const source = [s.title, s.summary, s.text?.slice(0, 4000), s.url].filter(Boolean).join('\n\n')
+  let out
+  try {
+    out = as==='article'
+      ? await writerFor(voiceId).article({ workspace:s.workspace, topic:s.title || s.url, sourceSummary:source, tone, words })
+      : await writerFor(voiceId).caption({ workspace:s.workspace, prompt:source, tone })
+  } catch(e){ return bad(res,'llm_failed:'+e.message,e.status || 500) }
+  await store.put('suggestions', { ...s, status:'USED', usedAs:as, usedAt:new Date().toISOString() })
+  ok(res,{ suggestionId:s.id, ...out })
+})
+
+// Media library: content-addressed blobs + records; adapters get signed public URLs
+const mediaStorage = createStorage()
+const signer = createSigner()
+const publicBase = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`
+const signedMediaUrl = (id, rendition)=> {
+  const path = rendition ? `${id}/${rendition}` : id
+  const { exp, sig } = signer.sign(path)
+  return `${publicBase}/media/${path}?exp=${exp}&sig=${sig}`
+}
+
+// Platform rendition of a library image (renditions.js), rendered once and cached on the record.
+// Anything else — remote URLs, video, platforms without a preset — passes through untouched.
+// A watermark logo must be a library image of the same workspace.
+async function renditionFor(platform, m, watermark, workspace){
+  const preset = presets[platform]
+  if(!preset || !m.id || !m.mime?.startsWith('image/')) return m
+  const key = renditionKey(platform, { watermark })
+  let rec = await store.get('media', m.id)
+  let r = rec?.renditions?.[key]
+  if(!r || !await mediaStorage.has(r.key)){
+    const logo = watermark?.mediaId && await mediaOf(watermark.mediaId, workspace)
+    try {
+      const out = await render(await mediaStorage.read(rec.hash), preset, { watermark: watermark && { ...watermark, logo: logo && await mediaStorage.read(logo.hash) } })
+      r = { key:`${rec.hash}.${key}`, mime:out.mime, width:out.width, height:out.height, size:out.size, createdAt:new Date().toISOString() }
+      await mediaStorage.put(r.key, out.buffer)
+    } catch(e){ const x = new Error('rendition_failed:'+e.message); x.status = 422; throw x }
+    rec = await store.get('media', m.id)
+    rec.renditions = { ...rec.renditions, [key]: r }
+    await store.put('media', rec)
+  }
+  return { ...m, url:signedMediaUrl(m.id, key), mime:r.mime, width:r.width, height:r.height, rendition:key }
+}
+
+// A library record of `workspace`; another workspace's id reads as missing
+async function mediaOf(id, workspace){
+  const m = await store.get('media', id)
+  if(!m || m.workspace!==workspace){ const e = new Error('media_not_found:'+id); e.status = 404; throw e }
+  return m
+}
+// Draft content with library assets resolved: media = [{ url, id?, mime?, width?, height?, duration? }]
+async function draftOf(src, workspace){
+  const media = (src.mediaUrls || []).map(url=> ({ url }))
+  for(const id of src.mediaIds || []){
+    const m = await mediaOf(id, workspace)
+    media.push({ url:signedMediaUrl(id), id, mime:m.mime, width:m.width, height:m.height, duration:m.duration })
+  }
+  return { text:src.text, title:src.title, kind:src.kind || 'post', linkUrl:src.linkUrl, media, mediaUrls:media.map(m=> m.url) }
+}
+
 const upload = multer({ storage: multer.memoryStorage(), limits:{ fileSize: 25*1024*1024 } })
-app.post('/api/media/upload', upload.single('file'), (req,res)=>{
+app.post('/api/media/upload', upload.single('file'), allow('write'), async (req,res)=>{
   if(!req.file) return bad(res,'no_file')
-  ok(res,{ url:`data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')[:64]}...` })
+  let info
+  try { info = probe(req.file.buffer) } catch { return bad(res,'bad_media') }
+  try { assertMedia(info.mime) } catch(e){ return bad(res, e.message, e.status) }
+  const { workspace } = req
+  const hash = contentHash(req.file.buffer)
+  const existing = (await store.list('media', { where:m=> m.workspace===workspace && m.hash===hash, limit:1 }))[0]
+  if(existing) return ok(res,{ media:existing, url:signedMediaUrl(existing.id), deduped:true })
+  await mediaStorage.put(hash, req.file.buffer)
+  const { mime, width, height, duration } = info
+  const media = { id:newId('med'), workspace, hash, mime, size:req.file.size, width, height, duration, filename:req.file.originalname, createdAt:new Date().toISOString() }
+  await store.put('media', media)
+  ok(res,{ media, url:signedMediaUrl(media.id) })
+})
+app.get('/api/media', allow('read'), async (req,res)=>{
+  const rows = await store.list('media', { where:m=> m.workspace===req.workspace, sort:(a,b)=> b.createdAt.localeCompare(a.createdAt) })
+  ok(res,{ media: rows.map(m=> ({ ...m, url:signedMediaUrl(m.id) })) })
+})
+app.get('/api/media/:id', allow('read', 'media'), async (req,res)=>{
+  const m = await store.get('media', req.params.id)
+  if(!m) return bad(res,'not_found',404)
+  ok(res,{ media:m, url:signedMediaUrl(m.id) })
+})
+app.delete('/api/media/:id', allow('write', 'media'), async (req,res)=>{
+  const m = await store.get('media', req.params.id)
+  if(!m) return bad(res,'not_found',404)
+  await store.del('media', m.id)
+  // blobs are shared across workspaces by hash; drop it with the last record
+  if(!(await store.list('media', { where:x=> x.hash===m.hash, limit:1 })).length){
+    await mediaStorage.del(m.hash)
+    for(const r of Object.values(m.renditions || {})) await mediaStorage.del(r.key)
+  }
+  ok(res,{ deleted:true })
+})
+// Preview (and warm the cache for) the rendition a platform will receive
+app.get('/api/media/:id/renditions/:platform', allow('read', 'media'), async (req,res)=>{
+  const m = await store.get('media', req.params.id)
+  if(!m) return bad(res,'not_found',404)
+  try {
+    const r = await renditionFor(req.params.platform, { id:m.id, mime:m.mime, width:m.width, height:m.height, url:signedMediaUrl(m.id) }, null, m.workspace)
+    ok(res,{ rendition:r })
+  } catch(e){ bad(res, e.message, e.status||500) }
+})
+// Public, signed: this is the URL networks fetch from
+app.get('/media/:id/:rendition?', async (req,res)=>{
+  const { id, rendition } = req.params
+  if(!signer.verify(rendition ? `${id}/${rendition}` : id, req.query.exp, req.query.sig)) return bad(res,'invalid_signature',403)
+  const m = await store.get('media', id)
+  const blob = rendition ? m?.renditions?.[rendition] : m && { key:m.hash, mime:m.mime, size:m.size }
+  if(!blob || !await mediaStorage.has(blob.key)) return bad(res,'not_found',404)
+  res.set({ 'Content-Type':blob.mime, 'Content-Length':blob.size, 'Cache-Control':'private, max-age=3600', 'Cross-Origin-Resource-Policy':'cross-origin' })
+  const stream = await mediaStorage.open(blob.key)
+  stream.on('error', ()=> res.destroy()).pipe(res)
+})
+
+// Import & export (transfer.js). CSV import previews by default (dryRun) and only creates jobs when every
+// row passes the same checks as POST /api/post, unless skipInvalid. Re-importing a file never duplicates
+// a row: its idempotency key is the file hash + line (or the sheet's own key column).
+const Mapping = z.record(z.string()).refine(m=> Object.keys(m).every(k=> k in FIELDS), 'unknown_field')
+const ImportInput = z.object({
+  csv:z.string().min(1).max(5*1024*1024), delimiter:z.enum([',', ';', '\t']).optional(),
+  mapping:Mapping.default({}), timezone:TimeZone.optional(), dryRun:z.boolean().default(true), skipInvalid:z.boolean().default(false),
+  defaults:z.object({ platforms:z.array(z.string()).optional(), accounts:z.array(z.string()).optional(), campaign:z.string().optional(), adapt:JobInput.shape.adapt, sandbox:z.boolean().optional() }).default({}),
+})
+// multipart fields arrive as strings
+const formValue = (v)=> { try { return JSON.parse(v) } catch { return v } }
+const issues = (error)=> error.issues.map(i=> ({ field:i.path.join('.') || null, error:i.message }))
+
+async function importRow(r, ctx){
+  const { fields:{ timezone, idempotencyKey, ...fields }, when, errors } = readRow(ctx.header, r.cells, ctx.mapping)
+  const d = ctx.defaults
+  const job = Object.fromEntries(Object.entries({
+    workspace:ctx.workspace, ...fields,
+    platforms:fields.platforms || (!fields.accounts && d.platforms) || undefined, accounts:fields.accounts || (!fields.platforms && d.accounts) || undefined,
+    campaign:fields.campaign || d.campaign, adapt:d.adapt, sandbox:d.sandbox,
+    idempotencyKey: idempotencyKey ? `import:${idempotencyKey}` : `import:${ctx.fileKey}:${r.line}`,
+  }).filter(([,v])=> v!==undefined))
+  const tz = timezone || ctx.timezone
+  if(tz && !isTimeZone(tz)) errors.push({ field:'timezone', error:'invalid_time_zone' })
+  if(when?.iso) job.whenISO = when.iso
+  else if(when?.local && !errors.length){
+    // local wall time: the row's zone, else the import's, else the first target account's, else UTC
+    const probe = { ...job }
+    const zone = await resolveAccounts(probe) ? tz || 'UTC' : await zoneFor(probe.targets[0], ctx.workspace, tz)
+    job.whenISO = iso(zonedTime(parseLocal(when.local), zone))
+  }
+  const preview = { whenISO:job.whenISO ?? null, timezone:tz ?? null, platforms:job.platforms ?? null, accounts:job.accounts ?? null, campaign:job.campaign ?? null, text:job.text ?? null, mediaUrls:job.mediaUrls ?? null, approvalId:job.approvalId ?? null }
+  if(errors.length) return { row:r.line, status:'invalid', job:preview, errors }
+  const parsed = JobInput.required({ whenISO:true }).safeParse(job)
+  if(!parsed.success) return { row:r.line, status:'invalid', job:preview, errors:issues(parsed.error) }
+  const existing = await findByKey(ctx.workspace, parsed.data.idempotencyKey)
+  if(existing) return { row:r.line, status:'duplicate', job:preview, existingJobId:existing.id }
+  const e = await vetJob(parsed.data)
+  if(e) return { row:r.line, status:'invalid', job:preview, errors:[{ field:null, error:e[0], ...(e[2] && { detail:e[2] }) }] }
+  return { row:r.line, status:'ok', job:preview, ...(Date.parse(job.whenISO) < Date.now() && { warnings:['in_past'] }), data:parsed.data }
+}
+
+app.post('/api/import/jobs', upload.single('file'), allow('write'), async (req,res)=>{
+  const raw = req.file ? { ...Object.fromEntries(Object.entries(req.body).map(([k,v])=> [k, ['timezone','delimiter'].includes(k) ? v : formValue(v)])), csv:req.file.buffer.toString('utf8') } : req.body
+  const body = ImportInput.safeParse(raw)
+  if(!body.success) return bad(res, body.error.message)
+  const { workspace } = req, { csv, delimiter, dryRun, skipInvalid, defaults, timezone } = body.data
+  const { header, rows } = parseCsv(csv, { delimiter })
+  if(!header.length) return bad(res,'empty_csv')
+  if(rows.length > 2000) return bad(res,'too_many_rows',413,{ max:2000 })
+  const { mapping, unmapped, missing } = mapColumns(header, body.data.mapping)
+  if(missing.length) return bad(res,'unknown_columns:'+missing.join(','),400,{ columns:header })
+  if(!mapping.whenISO && !mapping.date) return bad(res,'no_time_column',400,{ columns:header, mapping })
+  const ctx = { workspace, header, mapping, defaults, timezone, fileKey:contentHash(csv).slice(0, 16) }
+  const report = []
+  for(const r of rows) report.push(await importRow(r, ctx))
+  const count = (s)=> report.filter(r=> r.status===s).length
+  const summary = { rows:report.length, ok:count('ok'), invalid:count('invalid'), duplicate:count('duplicate') }
+  const rowsOut = report.map(({ data:_d, ...r })=> r)
+  if(dryRun) return ok(res,{ dryRun:true, columns:header, mapping, unmapped, summary, rows:rowsOut })
+  if(summary.invalid && !skipInvalid) return bad(res,'invalid_rows',422,{ columns:header, mapping, summary, rows:rowsOut })
+  const importId = newId('imp'), created = []
+  for(const r of report.filter(r=> r.status==='ok')){
+    const job = await store.put('jobs', newJob({ ...r.data, importId, createdBy:req.principal.actor }))
+    r.jobId = job.id
+    created.push(job)
+  }
+  await auditJobs(req, created, { importId })
+  engine.poke()
+  ok(res,{ dryRun:false, importId, summary:{ ...summary, created:created.length }, rows:report.map(({ data:_d, ...r })=> r) })
+})
+
+// Export: one CSV row per target; one calendar event per job
+const ExportFilter = z.object({
+  status:z.string().optional().transform(s=> s ? s.split(',').map(x=> x.trim().toUpperCase()) : null), campaign:z.string().optional(),
+  accountId:z.string().optional(), platform:z.string().optional(), from:WhenISO.optional(), to:WhenISO.optional(),
+  limit:z.coerce.number().int().min(1).max(10000).default(5000),
+})
+async function exportJobs(workspace, f){
+  const a = f.accountId && await store.get('accounts', f.accountId)
+  if(f.accountId && (!a || a.workspace!==workspace)) return null
+  // bare-platform targets publish through the workspace default account
+  const onAccount = (t)=> t.accountId===a.id || (!t.accountId && t.platform===a.platform && a.isDefault)
+  const within = inWindow(f)
+  return store.list('jobs', {
+    where:j=> j.workspace===workspace && (f.status ? f.status.includes(j.status) : j.status!=='CANCELLED')
+      && (!f.campaign || j.campaign===f.campaign) && (!f.platform || j.platforms?.includes(f.platform))
+      && (!a || (j.targets || []).some(onAccount)) && within(j),
+    sort:(x,y)=> whenOf(x) - whenOf(y), limit:f.limit,
+  })
+}
+// Copy per platform: the job's own, else its approval item's
+async function copyFor(jobs){
+  const approvals = new Map()
+  for(const id of new Set(jobs.map(j=> j.approvalId).filter(Boolean))) approvals.set(id, await store.get('approvals', id))
+  return (j, platform)=> j.text ?? (j.approvalId && approvals.get(j.approvalId) ? itemFor(approvals.get(j.approvalId), platform)?.item.text : null) ?? ''
+}
+
+const EXPORT_COLUMNS = ['jobId','whenISO','status','campaign','platform','accountId','targetStatus','postedAt','remoteId','error','text','mediaUrls','approvalId','scheduleId']
+app.get('/api/export/jobs.csv', allow('read'), async (req,res)=>{
+  const q = ExportFilter.safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  const jobs = await exportJobs(req.workspace, q.data)
+  if(!jobs) return bad(res,'account_not_found',404)
+  const copy = await copyFor(jobs)
+  const rows = jobs.flatMap(j=> (j.targets || []).filter(t=> !q.data.platform || t.platform===q.data.platform).map(t=> {
+    const r = j.results?.[t.key] || {}
+    return { jobId:j.id, whenISO:j.whenISO || '', status:j.status, campaign:j.campaign || '', platform:t.platform, accountId:t.accountId || '', targetStatus:r.status || '', postedAt:r.postedAt || '', remoteId:r.remoteId ?? '', error:r.error || '', text:copy(j, t.platform), mediaUrls:j.mediaUrls || [], approvalId:j.approvalId || '', scheduleId:j.scheduleId || '' }
+  }))
+  res.set({ 'Content-Type':'text/csv; charset=utf-8', 'Content-Disposition':`attachment; filename="jobs-${req.workspace}-${today()}.csv"` })
+  res.send(toCsv(EXPORT_COLUMNS, rows))
+})
+
+const EVENT_STATUS = { CANCELLED:'CANCELLED', POSTED:'CONFIRMED', PARTIAL:'CONFIRMED' }
+async function calendarOf(workspace, f, name){
+  const jobs = await exportJobs(workspace, f)
+  if(!jobs) return null
+  const copy = await copyFor(jobs)
+  return toIcs({ name, description:`Scheduled and published posts (${workspace})`, events: jobs.map(j=> {
+    const text = copy(j, j.platforms?.[0] || '')
+    const targets = Object.entries(j.results || {}).map(([k, r])=> `${k}: ${r.status}${r.remoteId ? ` (${r.remoteId})` : ''}${r.error ? ` — ${r.error}` : ''}`)
+    return {
+      uid:`${j.id}@brothel-hacker`, start:j.postedAt && !j.whenISO ? Date.parse(j.postedAt) : whenOf(j),
+      summary:`${j.campaign ? `[${j.campaign}] ` : ''}${(j.platforms || []).join(', ')}: ${text.split('\n')[0].slice(0, 80) || j.id}`,
+      description:[`Status: ${j.status}`, ...targets, '', text].join('\n'),
+      status:EVENT_STATUS[j.status] || 'TENTATIVE', categories:[...(j.platforms || []), ...(j.campaign ? [j.campaign] : [])],
+      updated:Date.parse(j.updatedAt || j.postedAt || j.createdAt),
+    }
+  }) })
+}
+const sendIcs = (res, body, file)=> res.set({ 'Content-Type':'text/calendar; charset=utf-8', 'Content-Disposition':`inline; filename="${file}.ics"`, 'Cache-Control':'private, max-age=300' }).send(body)
+app.get('/api/export/jobs.ics', allow('read'), async (req,res)=>{
+  const q = ExportFilter.safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  const body = await calendarOf(req.workspace, q.data, `Brothel Hacker — ${q.data.campaign || req.workspace}`)
+  if(!body) return bad(res,'account_not_found',404)
+  sendIcs(res, body, `jobs-${req.workspace}`)
+})
+
+// Calendar subscriptions: calendar apps can't send headers, so each feed is a secret URL (only its
+// SHA-256 is stored) scoped to one account or campaign; revoke by deleting the feed.
+const feedWindow = ()=> ({ from:iso(Date.now() - 60*864e5), limit:2000, status:null })
+app.get('/api/calendar-feeds', allow('read'), async (req,res)=>{
+  ok(res,{ feeds: (await store.list('calendar_feeds', { where:f=> f.workspace===req.workspace, sort:byNewest })).map(({ hash:_h, ...f })=> f) })
+})
+app.post('/api/calendar-feeds', allow('write'), async (req,res)=>{
+  const body = z.object({ name:z.string().max(100).optional(), accountId:z.string().optional(), campaign:z.string().optional() })
+    .refine(b=> !(b.accountId && b.campaign), 'account_or_campaign').safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const { workspace } = req, { accountId, campaign } = body.data
+  const a = accountId && await store.get('accounts', accountId)
+  if(accountId && (!a || a.workspace!==workspace)) return bad(res,'account_not_found',404)
+  const token = `bhc_${crypto.randomBytes(24).toString('base64url')}`
+  const name = body.data.name || `Brothel Hacker — ${campaign || a?.label || a?.platform || workspace}`
+  const f = await store.put('calendar_feeds', { id:newId('cal'), workspace, name, accountId:accountId || null, campaign:campaign || null, hash:contentHash(token), prefix:token.slice(0, 8), createdBy:req.principal.actor, createdAt:new Date().toISOString() })
+  await audited(req, 'calendar_feed.created', { type:'calendar_feed', id:f.id }, { accountId:f.accountId, campaign:f.campaign })
+  const { hash:_h, ...feed } = f
+  ok(res,{ feed, url:`${publicBase}/api/calendar/${token}.ics` })
+})
+app.delete('/api/calendar-feeds/:id', allow('write', 'calendar_feeds'), async (req,res)=>{
+  await store.del('calendar_feeds', req.params.id)
+  await audited(req, 'calendar_feed.revoked', { type:'calendar_feed', id:req.params.id })
+  ok(res,{ deleted:true })
+})
+app.get('/api/calendar/:token.ics', async (req,res)=>{
+  const h = contentHash(req.params.token)
+  const f = (await store.list('calendar_feeds', { where:f=> f.hash===h, limit:1 }))[0]
+  if(!f) return bad(res,'not_found',404)
+  const body = await calendarOf(f.workspace, { ...feedWindow(), accountId:f.accountId || undefined, campaign:f.campaign || undefined }, f.name)
+  if(!body) return bad(res,'not_found',404)
+  sendIcs(res, body, f.id)
+})
+
+// Sandbox (sandbox.js): adapters run for real but a recorder answers instead of the network. On for
+// everything with SANDBOX=true, per workspace via PUT /api/sandbox, or per job/post with `sandbox:true`.
+const sandboxAll = process.env.SANDBOX==='true'
+const recorders = new Map()
+const recordRequest = (workspace)=> (r)=> store.put('sandbox_requests', { ...r, workspace })
+async function sandboxFor(workspace, asked){
+  const cfg = await store.get('sandbox', workspace)
+  if(!asked && !sandboxAll && !cfg?.enabled) return null
+  // one recorder per workspace, so `times` on a fault counts across jobs until the settings change;
+  // its requests go straight to sandbox_requests, none are held in memory
+  if(!recorders.has(workspace)) recorders.set(workspace, createRecorder({ faults:cfg?.faults || [], onRecord:recordRequest(workspace) }))
+  return recorders.get(workspace)
+}
+const Fault = z.object({ match:z.string().min(1).optional(), status:z.number().int().min(400).max(599).optional(), error:z.enum(['ECONNRESET','ETIMEDOUT','ECONNREFUSED','ENOTFOUND']).optional(), times:z.number().int().min(1).optional(), retryAfter:z.number().int().min(0).optional(), body:z.any().optional() })
+  .refine(f=> !(f.status && f.error), 'status_or_error')
+app.get('/api/sandbox', allow('read'), async (req,res)=>{
+  const cfg = await store.get('sandbox', req.workspace)
+  ok(res,{ global:sandboxAll, enabled:sandboxAll || !!cfg?.enabled, faults:cfg?.faults || [], remaining:recorders.get(req.workspace)?.faults() ?? cfg?.faults ?? [] })
+})
+app.put('/api/sandbox', allow('admin'), async (req,res)=>{
+  const body = z.object({ enabled:z.boolean(), faults:z.array(Fault).max(50).default([]) }).safeParse(req.body)
+  if(!body.success) return bad(res, body.error.message)
+  const cfg = await store.put('sandbox', { id:req.workspace, enabled:body.data.enabled, faults:body.data.faults, updatedAt:new Date().toISOString() })
+  recorders.delete(cfg.id)
+  await audited(req, 'sandbox.updated', { type:'workspace', id:cfg.id }, { enabled:cfg.enabled, faults:cfg.faults.length })
+  ok(res,{ global:sandboxAll, enabled:sandboxAll || cfg.enabled, faults:cfg.faults })
+})
+app.get('/api/sandbox/requests', allow('read'), async (req,res)=>{
+  const q = z.object({ jobId:z.string().optional(), platform:z.string().optional(), limit:z.coerce.number().int().min(1).max(500).default(100) }).safeParse(req.query)
+  if(!q.success) return bad(res, q.error.message)
+  const { jobId, platform, limit } = q.data
+  ok(res,{ requests: await store.list('sandbox_requests', { where:r=> r.workspace===req.workspace && (!jobId || r.jobId===jobId) && (!platform || r.platform===platform), sort:(a,b)=> b.ts.localeCompare(a.ts) || b.seq - a.seq, limit }) })
+})
+app.delete('/api/sandbox/requests', allow('admin'), async (req,res)=>{
+  const rows = await store.list('sandbox_requests', { where:r=> r.workspace===req.workspace })
+  for(const r of rows) await store.del('sandbox_requests', r.id)
+  ok(res,{ deleted:rows.length })
 })
 
 // Adapters & capabilities
-app.get('/api/adapters', (_req,res)=> ok(res,{ capabilities }))
-app.post('/api/adapters/:platform/post', async (req,res)=>{
-  try{ const data = await postToPlatform(req.params.platform, req.body); ok(res,{ data }) }
-  catch(e){ bad(res, e.message, e.status||500) }
+app.get('/api/adapters', allow('read'), (_req,res)=> ok(res,{ capabilities }))
+app.post('/api/adapters/:platform/post', allow('write', approvalScope), async (req,res)=>{
+  let input = req.body, kind = req.body?.kind
+  const workspace = req.workspace
+  if(req.body?.accountId){
+    try { input = { ...input, ...await credentialsFor({ accountId:req.body.accountId, platform:req.params.platform }, workspace) } }
+    catch(e){ return bad(res, e.message, e.status||500) }
+  }
+  if(requireApproval){
+    const r = req.body?.approvalId && await store.get('approvals', req.body.approvalId)
+    if(!r) return bad(res,'approval_required',403)
+    const g = gate(r, [req.params.platform])
+    if(!g.allowed.length) return bad(res, g.blocked[0]?.reason || 'awaiting_approval', 403)
+    const d = await draftOf(g.allowed[0].item, req.workspace).catch(e=> e)
+    if(d instanceof Error) return bad(res, d.message, d.status)
+    input = { ...input, text:d.text, media:d.media, mediaUrl:d.media[0]?.url ?? req.body.mediaUrl }
+    kind = d.kind
+  }
+  const findings = evaluate(await rulesFor(workspace), { platform:req.params.platform, kind, text:input?.text, linkUrl:input?.linkUrl })
+  if(findings.some(f=> f.severity==='violation')){
+    await raiseViolations(req.params.platform, findings, req.body?.approvalId, req.workspace)
+    return bad(res, 'compliance_violation', 422, { findings })
+  }
+  let data
+  try{
+    const rec = await sandboxFor(workspace, req.body?.sandbox)
+    data = await postToPlatform(req.params.platform, input, { sandbox: rec?.with({ platform:req.params.platform, approvalId:req.body?.approvalId || null }) })
+    if(rec) data = { ...data, sandbox:true }
+  }
+  catch(e){ return bad(res, e.message, e.status||500) }
+  await audited(req, 'post.published', { type:'platform', id:req.params.platform }, { approvalId:req.body?.approvalId || null, accountId:req.body?.accountId || null, remoteId:data?.id ?? null })
+  ok(res,{ data })
+})
+
+// Retention: collections that only grow are trimmed daily; 0 days keeps everything. Jobs go once finished,
+// audit entries oldest first so the chain still verifies; analytics points by bucket time, kept long enough for
+// year-over-year views; events keep their own (shorter) EVENTS_RETENTION_HOURS.
+const keepDays = (name, d)=> Number(process.env[name] ?? d)
+const RETENTION = { logs:keepDays('RETENTION_DAYS', 90), jobs:keepDays('JOB_RETENTION_DAYS', 180), audit:keepDays('AUDIT_RETENTION_DAYS', 365), metrics:keepDays('METRICS_RETENTION_DAYS', 730) }
+async function applyRetention(){
+  const before = (days)=> iso(Date.now() - days*864e5)
+  const out = await events.prune()
+  if(RETENTION.logs) for(const coll of ['alerts','llm_usage','sandbox_requests']) out[coll] = await store.prune(coll, r=> r.ts < before(RETENTION.logs))
+  if(RETENTION.jobs){ const t = Date.parse(before(RETENTION.jobs)); out.jobs = await store.prune('jobs', j=> TERMINAL.includes(j.status) && whenOf(j) < t) }
+  if(RETENTION.audit) out.audit = await audit.prune(before(RETENTION.audit))
+  if(RETENTION.metrics) out.metrics = await store.prune('metrics', m=> m.ts < before(RETENTION.metrics))
+  return out
+}
+
+// Errors thrown with a status (err() in the modules, body-parser, multer) are the client's; anything else is a 500
+app.use((e, req, res, _next)=>{
+  const status = e.status || e.statusCode || (e.code==='LIMIT_FILE_SIZE' ? 413 : 500)
+  if(status >= 500) console.error(req.method, req.path, e)
+  if(res.headersSent) return res.end()
+  bad(res, status >= 500 && !e.status ? 'internal_error' : e.type==='entity.parse.failed' ? 'invalid_json' : e.message, status)
 })
 
+await engine.start()
+events.start()
+await materializeAll()
+cron.schedule(process.env.SCHEDULE_CRON || '*/15 * * * *', materializeAll)
+cron.schedule(process.env.FEEDS_CRON || '*/5 * * * *', ()=> feeds.pollDue().catch(e=> console.error('feed_poll_failed', e.message)))
+cron.schedule(process.env.ANALYTICS_CRON || '0 * * * *', ()=> analytics.refresh().catch(e=> console.error('analytics_refresh_failed', e.message)))
+cron.schedule(process.env.RETENTION_CRON || '30 3 * * *', ()=> applyRetention().catch(e=> console.error('retention_failed', e.message)))
 const port = process.env.PORT || 8080
 app.listen(port, ()=> console.log('Brothel Hacker API listening on', port))
@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+// The API in a child process on an in-memory store, auth on
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-server-'))
+const port = 20000 + Math.floor(Math.random() * 20000)
+const server = spawn(process.execPath, ['server.js'], {
+  cwd:import.meta.dirname, stdio:['ignore', 'pipe', 'inherit'],
+  env:{ ...process.env, PORT:String(port), STORE_DRIVER:'memory', MEDIA_DIR:dir, REQUIRE_AUTH:'true', REQUIRE_APPROVAL:'false', VAULT_MASTER_KEY:'test-master-key' },
+})
+const up = new Promise((resolve, reject)=> {
+  server.stdout.on('data', (b)=> String(b).includes('listening') && resolve())
+  server.on('exit', (code)=> reject(new Error(`server exited: ${code}`)))
+})
+test.after(()=> { server.kill(); fs.rmSync(dir, { recursive:true, force:true }) })
+
+const call = async (token, method, url, body)=> {
+  const res = await fetch(`http://127.0.0.1:${port}${url}`, { method, headers:{ authorization:`Bearer ${token}`, ...(body && { 'content-type':'application/json' }) }, body:body && JSON.stringify(body) })
+  return { status:res.status, ...await res.json() }
+}
+
+// `root` is admin in default and mine; `ed` is admin in mine only
+let root, ed
+test.before(async ()=> {
+  await up
+  root = (await call('', 'POST', '/api/auth/setup', { email:'root@example.com', password:'correct horse' })).token
+  await call(root, 'POST', '/api/workspaces', { id:'mine' })
+  await call(root, 'PUT', '/api/workspaces/mine/members', { email:'ed@example.com', role:'admin', password:'battery staple' })
+  ed = (await call('', 'POST', '/api/auth/login', { email:'ed@example.com', password:'battery staple' })).token
+})
+
+test('a body and query naming different workspaces is rejected', async ()=> {
+  const r = await call(ed, 'POST', '/api/webhooks?workspace=default', { workspace:'mine', url:'https://example.com/hook', events:['*'] })
+  assert.equal(r.status, 400)
+  assert.equal(r.error, 'workspace_mismatch')
+  assert.equal((await call(root, 'POST', '/api/accounts?workspace=mine', { workspace:'default', platform:'telegram' })).error, 'workspace_mismatch')
+})
+
+test('a workspace named only in the query is the one written', async ()=> {
+  const rules = [{ id:'no-spam', type:'keywords', terms:['spam'] }]
+  assert.equal((await call(ed, 'PUT', '/api/compliance/rules?workspace=mine', { rules })).status, 200)
+  assert.deepEqual((await call(ed, 'GET', '/api/compliance/rules?workspace=mine')).rules.map(r=> r.id), ['no-spam'])
+  assert.equal((await call(root, 'GET', '/api/compliance/rules')).custom, false)
+
+  const { webhook } = await call(ed, 'POST', '/api/webhooks?workspace=mine', { url:'https://example.com/hook', events:['*'] })
+  assert.equal(webhook.workspace, 'mine')
+  assert.deepEqual((await call(root, 'GET', '/api/webhooks')).webhooks, [])
+
+  const { key } = await call(ed, 'POST', '/api/keys?workspace=mine', { name:'ci', scopes:['read'] })
+  assert.equal(key.workspace, 'mine')
+})
+
+test('a workspace the caller lacks is forbidden however it is named', async ()=> {
+  assert.equal((await call(ed, 'GET', '/api/accounts?workspace=default')).status, 403)
+  assert.equal((await call(ed, 'PUT', '/api/compliance/rules', { workspace:'default', rules:[] })).status, 403)
+  assert.equal((await call(ed, 'POST', '/api/post', { workspace:'default', platforms:['telegram'], text:'hi' })).status, 403)
+})
+
+test("another workspace's media id reads as missing", async ()=> {
+  const png = Buffer.alloc(33)
+  Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]).copy(png)
+  png.writeUInt32BE(13, 8); png.write('IHDR', 12, 'ascii'); png.writeUInt32BE(64, 16); png.writeUInt32BE(64, 20)
+  const form = new FormData()
+  form.append('file', new Blob([png], { type:'image/png' }), 'logo.png')
+  const up = await (await fetch(`http://127.0.0.1:${port}/api/media/upload`, { method:'POST', headers:{ authorization:`Bearer ${root}` }, body:form })).json()
+  assert.equal(up.media.workspace, 'default')
+  const id = up.media.id
+  assert.equal((await call(ed, 'POST', '/api/preflight?workspace=mine', { text:'hi', mediaIds:[id], platforms:['telegram'] })).error, `media_not_found:${id}`)
+  assert.equal((await call(ed, 'POST', '/api/post?workspace=mine', { text:'hi', platforms:['telegram'], mediaIds:[id] })).status, 404)
+  assert.equal((await call(ed, 'POST', '/api/post?workspace=mine', { text:'hi', platforms:['telegram'], watermark:{ mediaId:id } })).error, `media_not_found:${id}`)
+})
+
+test('a compliance violation is raised once per item, however often it is checked again', async ()=> {
+  await call(ed, 'PUT', '/api/compliance/rules?workspace=mine', { rules:[{ id:'no-spam', type:'keywords', terms:['spam'], severity:'violation' }] })
+  const items = [{ platform:'telegram', kind:'post', text:'buy spam now' }]
+  const { id } = await call(ed, 'POST', '/api/approval/submit?workspace=mine', { items })
+  await call(ed, 'PUT', `/api/approval/${id}`, { items })
+  const { alerts } = await call(ed, 'GET', '/api/monitor/alerts?workspace=mine')
+  assert.deepEqual(alerts.filter(a=> a.ref===`${id}#0`).map(a=> a.code), ['compliance:no-spam'])
+})
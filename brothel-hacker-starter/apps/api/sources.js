@@ -0,0 +1,181 @@
+/**
+ * Brothel Hacker — Content Sources
+ *
+ * Purpose: Poll RSS / Atom / JSON Feed subscriptions politely and turn new entries into deduped
+ *          "suggested drafts" (collection 'suggestions').
+ * Fetch:   robots.txt is fetched once per origin and cached in the 'robots' collection (robotsTtlMs);
+ *          2xx = obey it, 4xx = no rules, 5xx/unreachable = disallow for the hour (RFC 9309).
+ *          Feed GETs replay the last ETag / Last-Modified, so an unchanged feed costs a 304.
+ * Dedupe:  one suggestion per workspace per normalised URL (tracking params, fragment, trailing slash
+ *          stripped) — entry link and the extracted canonical URL both count — else per entry id.
+ * Feeds:   { id, workspace, url, title, intervalMin, extract, status:'ACTIVE'|'PAUSED', etag?, lastModified?,
+ *            nextPollAt, lastPolledAt?, lastStatus?, lastError?, failures }
+ */
+
+import axios from 'axios'
+import crypto from 'node:crypto'
+import robotsParser from 'robots-parser'
+import * as cheerio from 'cheerio'
+import { newId } from './store.js'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+const iso = (ms = Date.now())=> new Date(ms).toISOString()
+const HOUR = 3600000
+
+const FEED_ACCEPT = 'application/feed+json, application/atom+xml, application/rss+xml, application/xml;q=0.9, text/xml;q=0.9, application/json;q=0.8, */*;q=0.5'
+
+// ----------------------------- polite fetch -----------------------------
+export function createFetcher({ store, agent = 'BrothelHackerBot', robotsTtlMs = 24*HOUR }){
+  const userAgent = `${agent}/1.0`
+
+  async function robots(origin){
+    const cached = await store.get('robots', origin)
+    if(cached && Date.parse(cached.expiresAt) > Date.now()) return cached
+    const r = await axios.get(`${origin}/robots.txt`, { timeout:5000, responseType:'text', maxContentLength:512*1024, headers:{ 'User-Agent':userAgent }, validateStatus:()=> true }).catch(()=> null)
+    const status = r?.status || 0
+    const ttl = status && status < 500 ? robotsTtlMs : Math.min(robotsTtlMs, HOUR)
+    return store.put('robots', { id:origin, status, body: status>=200 && status<300 ? String(r.data) : '', fetchedAt:iso(), expiresAt:iso(Date.now() + ttl) })
+  }
+
+  async function allowed(url){
+    const u = new URL(url)
+    const r = await robots(u.origin)
+    if(r.status>=200 && r.status<300) return robotsParser(`${u.origin}/robots.txt`, r.body).isAllowed(url, agent) !== false
+    return r.status>=400 && r.status<500
+  }
+
+  // -> { notModified:true } | { data, contentType, etag?, lastModified?, url (after redirects) }
+  async function get(url, { etag, lastModified, accept } = {}){
+    if(!/^https?:\/\//i.test(url)) err('invalid_url')
+    if(!await allowed(url)) err('blocked_by_robots', 451)
+    const r = await axios.get(url, {
+      timeout:10000, responseType:'text', maxContentLength:5*1024*1024,
+      headers:{ 'User-Agent':userAgent, ...(accept && { Accept:accept }), ...(etag && { 'If-None-Match':etag }), ...(lastModified && { 'If-Modified-Since':lastModified }) },
+      validateStatus:s=> s===304 || (s>=200 && s<300),
+    })
+    if(r.status===304) return { notModified:true }
+    return { data:r.data, contentType:r.headers['content-type'] || '', etag:r.headers.etag, lastModified:r.headers['last-modified'], url:r.request?.res?.responseUrl || url }
+  }
+
+  return { allowed, get }
+}
+
+// ----------------------------- feeds -----------------------------
+const text = (s)=> cheerio.load(`<div>${s || ''}</div>`)('div').text().replace(/\s+/g, ' ').trim()
+const when = (s)=> { const t = Date.parse(s); return s && !isNaN(t) ? iso(t) : null }
+const clip = (s, n = 500)=> s.length > n ? s.slice(0, n-1) + '…' : s
+
+// RSS 2.0 / RSS 1.0 (RDF) / Atom / JSON Feed -> { title, items:[{ id, url, title, summary, author, publishedAt, image }] }
+export function parseFeed(body){
+  const raw = String(body).trim()
+  if(raw.startsWith('{')){
+    const j = JSON.parse(raw)
+    if(!/jsonfeed\.org/.test(j.version || '')) err('not_a_feed', 422)
+    return { title:j.title || '', items:(j.items || []).map(it=> ({
+      id:String(it.id ?? it.url), url:it.url || it.external_url || null, title:it.title || '',
+      summary:clip(it.summary || text(it.content_html) || it.content_text || ''),
+      author:(it.authors || j.authors)?.[0]?.name || it.author?.name || null,
+      publishedAt:when(it.date_published), image:it.image || it.banner_image || null,
+    })) }
+  }
+  const $ = cheerio.load(raw, { xmlMode:true })
+  const one = (el, sel)=> $(el).find(sel).first()
+  if($('feed').length){
+    return { title:$('feed > title').first().text().trim(), items:$('feed > entry').map((_, e)=> {
+      const link = $(e).find('link[rel="alternate"]').attr('href') || $(e).find('link:not([rel])').attr('href') || $(e).find('link').attr('href') || null
+      return {
+        id:one(e,'id').text().trim() || link, url:link, title:text(one(e,'title').text()),
+        summary:clip(text(one(e,'summary').text() || one(e,'content').text())),
+        author:one(e,'author > name').text().trim() || null,
+        publishedAt:when(one(e,'published').text() || one(e,'updated').text()),
+        image:one(e,'media\\:thumbnail').attr('url') || one(e,'media\\:content[medium="image"]').attr('url') || null,
+      }
+    }).get() }
+  }
+  if($('rss, rdf\\:RDF').length){
+    return { title:$('channel > title').first().text().trim(), items:$('item').map((_, e)=> {
+      const link = one(e,'link').text().trim() || null
+      return {
+        id:one(e,'guid').text().trim() || link, url:link, title:text(one(e,'title').text()),
+        summary:clip(text(one(e,'description').text() || one(e,'content\\:encoded').text())),
+        author:one(e,'dc\\:creator').text().trim() || one(e,'author').text().trim() || null,
+        publishedAt:when(one(e,'pubDate').text() || one(e,'dc\\:date').text()),
+        image:one(e,'enclosure[type^="image"]').attr('url') || one(e,'media\\:thumbnail').attr('url') || one(e,'media\\:content').attr('url') || null,
+      }
+    }).get() }
+  }
+  err('not_a_feed', 422)
+}
+
+export function normalizeUrl(url){
+  try {
+    const u = new URL(url)
+    u.hash = ''
+    u.pathname = u.pathname.replace(/\/+$/, '') || '/'
+    for(const k of [...u.searchParams.keys()]) if(/^(utm_|fbclid$|gclid$|mc_|ref$|ref_src$)/i.test(k)) u.searchParams.delete(k)
+    return u.href
+  } catch { return null }
+}
+const keyOf = (s)=> crypto.createHash('sha1').update(s).digest('hex')
+
+// ----------------------------- poller -----------------------------
+/**
+ * extractArticle(html, url) is optional; with it (and feed.extract) each new entry's page is fetched
+ * through the same robots/politeness rules and its main text kept on the suggestion.
+ */
+export function createFeedPoller({ store, fetcher, extractArticle, maxItems = 20, log = console }){
+  async function seen(workspace, keys){
+    return (await store.list('suggestions', { where:s=> s.workspace===workspace && s.keys.some(k=> keys.includes(k)), limit:1 })).length > 0
+  }
+
+  async function suggest(feed, it){
+    const keys = [normalizeUrl(it.url), it.id && `id:${it.id}`].filter(Boolean).map(keyOf)
+    if(!keys.length || await seen(feed.workspace, keys)) return null
+    const page = feed.extract && it.url && extractArticle
+      ? await fetcher.get(it.url).then(r=> r.data ? extractArticle(r.data, r.url) : null).catch(()=> null)
+      : null
+    const canonical = page?.canonicalUrl && normalizeUrl(page.canonicalUrl)
+    if(canonical){
+      const k = keyOf(canonical)
+      if(!keys.includes(k)){ if(await seen(feed.workspace, [k])) return null; keys.push(k) }
+    }
+    return store.put('suggestions', {
+      id:newId('sug'), workspace:feed.workspace, feedId:feed.id, keys, status:'NEW',
+      url:canonical || it.url, title:it.title || page?.title || '', author:it.author || page?.author || null,
+      publishedAt:it.publishedAt || page?.publishedAt || null, image:it.image || page?.leadImage || null,
+      summary:it.summary || page?.excerpt || '', ...(page?.text && { text:page.text.slice(0, 20000), wordCount:page.wordCount }),
+      createdAt:iso(),
+    })
+  }
+
+  // Poll one feed now; failures back off (interval × 2^failures, max 24h) and are kept on the record
+  async function poll(feed){
+    const now = Date.now(), every = feed.intervalMin * 60000
+    const added = []
+    try {
+      const r = await fetcher.get(feed.url, { etag:feed.etag, lastModified:feed.lastModified, accept:FEED_ACCEPT })
+      if(!r.notModified){
+        const parsed = parseFeed(r.data)
+        feed.title ||= parsed.title
+        Object.assign(feed, { etag:r.etag || null, lastModified:r.lastModified || null })
+        // oldest first so the inbox reads in publish order
+        for(const it of parsed.items.slice(0, maxItems).reverse()){ const s = await suggest(feed, it); if(s) added.push(s) }
+      }
+      Object.assign(feed, { lastPolledAt:iso(now), lastStatus:r.notModified ? 304 : 200, failures:0, nextPollAt:iso(now + every) })
+      delete feed.lastError
+    } catch(e){
+      feed.failures = (feed.failures || 0) + 1
+      Object.assign(feed, { lastPolledAt:iso(now), lastError:e.message, lastStatus:e.status || e.response?.status || null, nextPollAt:iso(now + Math.min(every * 2**feed.failures, 24*HOUR)) })
+      log.error('feed_poll_failed', feed.id, e.message)
+    }
+    await store.put('feeds', feed)
+    return added
+  }
+
+  async function pollDue(){
+    const due = await store.list('feeds', { where:f=> f.status==='ACTIVE' && Date.parse(f.nextPollAt || 0) <= Date.now() })
+    for(const f of due) await poll(f)
+  }
+
+  return { poll, pollDue }
+}
@@ -0,0 +1,107 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createFeedPoller, createFetcher, normalizeUrl, parseFeed } from './sources.js'
+import { createStore } from './store.js'
+
+const quiet = { error(){} }
+const rss = (...items)=> `<?xml version="1.0"?><rss version="2.0"><channel><title>News</title>${items.map(([guid, link, title])=>
+  `<item><guid>${guid}</guid><link>${link}</link><title>${title}</title><description>&lt;p&gt;About ${title}&lt;/p&gt;</description><pubDate>Mon, 05 Jan 2026 10:00:00 GMT</pubDate></item>`).join('')}</channel></rss>`
+
+test('parseFeed reads RSS, Atom and JSON Feed into the same item shape', ()=> {
+  const r = parseFeed(rss(['g1', 'https://ex.com/a', 'First']))
+  assert.equal(r.title, 'News')
+  assert.deepEqual(r.items, [{ id:'g1', url:'https://ex.com/a', title:'First', summary:'About First', author:null, publishedAt:'2026-01-05T10:00:00.000Z', image:null }])
+
+  const atom = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom"><title>Blog</title><entry><id>urn:1</id><title>Post</title>
+    <link rel="alternate" href="https://ex.com/p"/><author><name>Ana</name></author><updated>2026-01-02T00:00:00Z</updated><summary>Hi</summary></entry></feed>`)
+  assert.deepEqual([atom.title, atom.items[0].id, atom.items[0].url, atom.items[0].author], ['Blog', 'urn:1', 'https://ex.com/p', 'Ana'])
+
+  const json = parseFeed(JSON.stringify({ version:'https://jsonfeed.org/version/1.1', title:'J', items:[{ id:7, url:'https://ex.com/j', content_html:'<b>bold</b> move' }] }))
+  assert.deepEqual([json.items[0].id, json.items[0].summary], ['7', 'bold move'])
+
+  assert.throws(()=> parseFeed('<html><body>nope</body></html>'), { message:'not_a_feed', status:422 })
+  assert.throws(()=> parseFeed('{"title":"not a feed"}'), { message:'not_a_feed' })
+})
+
+test('normalizeUrl drops tracking params, the fragment and a trailing slash', ()=> {
+  assert.equal(normalizeUrl('https://ex.com/a/?utm_source=x&id=3&fbclid=y#top'), 'https://ex.com/a?id=3')
+  assert.equal(normalizeUrl('https://ex.com'), 'https://ex.com/')
+  assert.equal(normalizeUrl('not a url'), null)
+})
+
+test('poll suggests each entry once per workspace, oldest first, and replays the validators', async ()=> {
+  const store = createStore('memory'), asked = []
+  let body = rss(['g2', 'https://ex.com/b', 'Second'], ['g1', 'https://ex.com/a?utm_source=rss', 'First'])
+  const fetcher = { async get(url, opts){ asked.push(opts); return body ? { data:body, etag:'"v1"' } : { notModified:true } } }
+  const poller = createFeedPoller({ store, fetcher, log:quiet })
+  const feed = { id:'f1', workspace:'a', url:'https://ex.com/feed', intervalMin:30, status:'ACTIVE' }
+
+  assert.deepEqual((await poller.poll(feed)).map(s=> s.title), ['First', 'Second'])
+  assert.deepEqual([feed.title, feed.etag, feed.lastStatus, feed.failures], ['News', '"v1"', 200, 0])
+
+  // the same article under a new guid and with its tracking params gone is still a duplicate
+  body = rss(['g3', 'https://ex.com/a/', 'First again'], ['g2', 'https://ex.com/b', 'Second'])
+  assert.deepEqual(await poller.poll(feed), [])
+  assert.deepEqual(await poller.poll({ ...feed, id:'f2', workspace:'b' }).then(a=> a.map(s=> s.title)), ['Second', 'First again'])
+
+  body = null
+  assert.deepEqual(await poller.poll(feed), [])
+  assert.equal(feed.lastStatus, 304)
+  assert.equal(asked.at(-1).etag, '"v1"')
+  assert.equal((await store.list('suggestions', { where:s=> s.workspace==='a' })).length, 2)
+})
+
+test('with extract on, the canonical URL of the page dedupes too', async ()=> {
+  const store = createStore('memory')
+  const fetcher = { async get(url){
+    if(url.endsWith('/feed')) return { data:rss(['g1', 'https://m.ex.com/a', 'Mobile'], ['g0', 'https://ex.com/a', 'Desktop']) }
+    return { data:'<html/>', url }
+  } }
+  const extractArticle = (html, url)=> ({ canonicalUrl:'https://ex.com/a', text:`body of ${url}`, wordCount:3 })
+  const poller = createFeedPoller({ store, fetcher, extractArticle, log:quiet })
+  const added = await poller.poll({ id:'f1', workspace:'a', url:'https://ex.com/feed', intervalMin:30, extract:true })
+  assert.deepEqual(added.map(s=> [s.title, s.url, s.text]), [['Desktop', 'https://ex.com/a', 'body of https://ex.com/a']])
+})
+
+test('a failing feed backs off exponentially up to a day and keeps the error', async ()=> {
+  const store = createStore('memory')
+  const fetcher = { async get(){ throw Object.assign(new Error('blocked_by_robots'), { status:451 }) } }
+  const poller = createFeedPoller({ store, fetcher, log:quiet })
+  const feed = { id:'f1', workspace:'a', url:'https://ex.com/feed', intervalMin:30, status:'ACTIVE' }
+  const delay = ()=> Math.round((Date.parse(feed.nextPollAt) - Date.parse(feed.lastPolledAt)) / 60000)
+  await poller.poll(feed)
+  assert.deepEqual([feed.failures, feed.lastStatus, feed.lastError, delay()], [1, 451, 'blocked_by_robots', 60])
+  await poller.poll(feed)
+  assert.equal(delay(), 120)
+  feed.failures = 10
+  await poller.poll(feed)
+  assert.equal(delay(), 24*60)
+  assert.equal((await store.get('feeds', 'f1')).failures, 11)
+})
+
+test('the fetcher obeys robots.txt, caches it per origin and treats a 5xx as disallow', async (t)=> {
+  let robots = [200, 'User-agent: *\nDisallow: /private']
+  const hits = []
+  const server = http.createServer((req, res)=> {
+    hits.push(req.url)
+    if(req.url==='/robots.txt') return res.writeHead(robots[0]).end(robots[1])
+    res.writeHead(200, { 'content-type':'application/rss+xml', etag:'"e"' }).end(rss())
+  })
+  await new Promise(r=> server.listen(0, '127.0.0.1', r))
+  t.after(()=> server.close())
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  const store = createStore('memory'), fetcher = createFetcher({ store })
+  assert.equal((await fetcher.get(`${base}/feed`)).etag, '"e"')
+  await assert.rejects(fetcher.get(`${base}/private/feed`), { message:'blocked_by_robots', status:451 })
+  await assert.rejects(fetcher.get('ftp://ex.com/feed'), { message:'invalid_url' })
+  assert.deepEqual(hits, ['/robots.txt', '/feed'])
+
+  robots = [503, '']
+  const fresh = createFetcher({ store:createStore('memory') })
+  assert.equal(await fresh.allowed(`${base}/feed`), false)
+  robots = [404, '']
+  const none = createFetcher({ store:createStore('memory') })
+  assert.equal(await none.allowed(`${base}/private/feed`), true)
+})
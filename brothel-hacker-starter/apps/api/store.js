@@ -0,0 +1,111 @@
+/**
+ * Brothel Hacker — Persistence
+ *
+ * Purpose: One small record store for everything the API must survive a restart with
+ *          (approvals + decisions, monitor alerts, posting jobs).
+ * Drivers: 'file' (default, embedded append-only logs under DATA_DIR) and 'memory' (ephemeral).
+ *          Register more with registerDriver(name, factory) and select via STORE_DRIVER.
+ *
+ * Contract (every driver, all async):
+ *   get(coll, id) -> record | null
+ *   put(coll, record) -> record          // record.id required; upsert
+ *   del(coll, id) -> boolean
+ *   list(coll, { where?, sort?, limit? }) -> record[]    // only the returned rows are copied
+ *   prune(coll, where) -> number                          // bulk delete (retention); optional, falls back to del
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+
+const clone = (v)=> v==null ? v : structuredClone(v)
+
+function select(rows, { where, sort, limit } = {}){
+  let out = where ? rows.filter(where) : rows.slice()
+  if(sort) out.sort(sort)
+  if(limit!=null) out = out.slice(0, limit)
+  return out.map(clone)
+}
+
+// ----------------------------- memory -----------------------------
+function memoryDriver(){
+  const colls = new Map()
+  const coll = (name)=> { if(!colls.has(name)) colls.set(name, new Map()); return colls.get(name) }
+  return {
+    async get(name, id){ return clone(coll(name).get(id) ?? null) },
+    async put(name, rec){ coll(name).set(rec.id, clone(rec)); return rec },
+    async del(name, id){ return coll(name).delete(id) },
+    async list(name, opts){ return select([...coll(name).values()], opts) },
+    async prune(name, where){ let n = 0; for(const [id, r] of coll(name)) if(where(r)){ coll(name).delete(id); n++ } return n },
+  }
+}
+
+// ----------------------------- file (embedded) -----------------------------
+// One log per collection (<name>.jsonl): a put appends the record, a del appends { $del:id }, and
+// loading replays it. Once the log is mostly dead lines it is rewritten as one line per live record
+// (tmp + rename), so a crash leaves either the old or the new log. A crash mid-append can only tear
+// the last line; it is dropped, and the log rewritten, on the next load.
+function fileDriver({ dir = process.env.DATA_DIR || './data', compactAt = 1000 } = {}){
+  fs.mkdirSync(dir, { recursive: true })
+  const colls = new Map()
+  const file = (name, ext = 'jsonl')=> path.join(dir, `${name}.${ext}`)
+  const compact = (name, c)=> {
+    const tmp = file(name)+'.tmp'
+    fs.writeFileSync(tmp, [...c.rows.values()].map(r=> JSON.stringify(r)+'\n').join(''))
+    fs.renameSync(tmp, file(name))
+    c.lines = c.rows.size
+  }
+  const read = (f)=> { try { return fs.readFileSync(f, 'utf8') } catch(e){ if(e.code!=='ENOENT') throw e; return null } }
+  const coll = (name)=> {
+    if(colls.has(name)) return colls.get(name)
+    const c = { rows:new Map(), lines:0 }
+    const log = read(file(name))
+    let torn = false
+    if(log!=null){
+      for(const line of log.split('\n')){
+        if(!line) continue
+        let r
+        try { r = JSON.parse(line) } catch { torn = true; continue }
+        c.lines++
+        if(r.$del) c.rows.delete(r.$del); else c.rows.set(r.id, r)
+      }
+    } else {
+      // a JSON snapshot from before the log
+      const snap = read(file(name, 'json'))
+      if(snap!=null){ for(const r of JSON.parse(snap)) c.rows.set(r.id, r); compact(name, c); fs.rmSync(file(name, 'json')) }
+    }
+    if(torn) compact(name, c)
+    colls.set(name, c)
+    return c
+  }
+  const append = (name, c, lines)=> {
+    fs.appendFileSync(file(name), lines.map(l=> JSON.stringify(l)+'\n').join(''))
+    c.lines += lines.length
+    if(c.lines > compactAt && c.lines > 2 * c.rows.size) compact(name, c)
+  }
+  return {
+    async get(name, id){ return clone(coll(name).rows.get(id) ?? null) },
+    async put(name, rec){ const c = coll(name); c.rows.set(rec.id, clone(rec)); append(name, c, [rec]); return rec },
+    async del(name, id){ const c = coll(name), had = c.rows.delete(id); if(had) append(name, c, [{ $del:id }]); return had },
+    async list(name, opts){ return select([...coll(name).rows.values()], opts) },
+    async prune(name, where){
+      const c = coll(name), gone = []
+      for(const [id, r] of c.rows) if(where(r)){ c.rows.delete(id); gone.push({ $del:id }) }
+      if(gone.length) append(name, c, gone)
+      return gone.length
+    },
+  }
+}
+
+const drivers = { memory: memoryDriver, file: fileDriver }
+
+export function registerDriver(name, factory){ drivers[name] = factory }
+
+export function createStore(driver = process.env.STORE_DRIVER || 'file', opts){
+  const factory = drivers[driver]
+  if(!factory) throw new Error(`unknown_store_driver:${driver}`)
+  const store = factory(opts)
+  store.prune ||= async (coll, where)=> { let n = 0; for(const r of await store.list(coll, { where })) if(await store.del(coll, r.id)) n++; return n }
+  return store
+}
+
+export const newId = (prefix)=> prefix+'_'+Math.random().toString(36).slice(2)
@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createStore } from './store.js'
+
+const dirs = []
+const tmp = ()=> { const d = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-store-')); dirs.push(d); return d }
+test.after(()=> { for(const d of dirs) fs.rmSync(d, { recursive:true, force:true }) })
+const lines = (dir, name)=> fs.readFileSync(path.join(dir, `${name}.jsonl`), 'utf8').split('\n').filter(Boolean)
+
+test('puts and deletes survive a reload; a put appends one line', async ()=> {
+  const dir = tmp(), s = createStore('file', { dir })
+  await s.put('jobs', { id:'a', n:1 })
+  await s.put('jobs', { id:'b', n:2 })
+  await s.put('jobs', { id:'a', n:3 })
+  assert.equal(await s.del('jobs', 'b'), true)
+  assert.equal(await s.del('jobs', 'b'), false)
+  assert.equal(lines(dir, 'jobs').length, 4)
+  const again = createStore('file', { dir })
+  assert.deepEqual(await again.list('jobs'), [{ id:'a', n:3 }])
+})
+
+test('returned rows are copies', async ()=> {
+  const s = createStore('file', { dir:tmp() })
+  const rec = { id:'a', tags:['x'] }
+  await s.put('jobs', rec)
+  rec.tags.push('y')
+  const got = await s.get('jobs', 'a')
+  got.tags.push('z')
+  assert.deepEqual((await s.list('jobs'))[0].tags, ['x'])
+})
+
+test('a torn last line is dropped and the log rewritten', async ()=> {
+  const dir = tmp()
+  fs.writeFileSync(path.join(dir, 'jobs.jsonl'), '{"id":"a","n":1}\n{"id":"b","n":')
+  const s = createStore('file', { dir })
+  assert.deepEqual(await s.list('jobs'), [{ id:'a', n:1 }])
+  await s.put('jobs', { id:'c' })
+  assert.deepEqual((await createStore('file', { dir }).list('jobs')).map(r=> r.id), ['a', 'c'])
+})
+
+test('a JSON snapshot from before the log is carried over', async ()=> {
+  const dir = tmp()
+  fs.writeFileSync(path.join(dir, 'alerts.json'), JSON.stringify([{ id:'x' }, { id:'y' }]))
+  const s = createStore('file', { dir })
+  assert.equal((await s.list('alerts')).length, 2)
+  assert.equal(fs.existsSync(path.join(dir, 'alerts.json')), false)
+  assert.equal(lines(dir, 'alerts').length, 2)
+})
+
+test('a log of mostly dead lines is compacted', async ()=> {
+  const dir = tmp(), s = createStore('file', { dir, compactAt:10 })
+  for(let i = 0; i < 30; i++) await s.put('jobs', { id:'a', n:i })
+  assert.ok(lines(dir, 'jobs').length <= 10)
+  assert.deepEqual(await createStore('file', { dir }).get('jobs', 'a'), { id:'a', n:29 })
+})
+
+test('prune deletes what matches and counts it, in every driver', async ()=> {
+  for(const s of [createStore('file', { dir:tmp() }), createStore('memory')]){
+    for(let i = 0; i < 5; i++) await s.put('alerts', { id:`a${i}`, ts:`2026-01-0${i + 1}` })
+    assert.equal(await s.prune('alerts', a=> a.ts < '2026-01-03'), 2)
+    assert.deepEqual((await s.list('alerts', { sort:(a,b)=> a.id.localeCompare(b.id) })).map(a=> a.id), ['a2', 'a3', 'a4'])
+  }
+})
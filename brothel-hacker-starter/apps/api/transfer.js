@@ -0,0 +1,158 @@
+/**
+ * Brothel Hacker — Import & Export
+ *
+ * Purpose: Spreadsheets in, spreadsheets and calendars out.
+ * CSV:     RFC 4180 (quoted fields, "" escapes, CRLF or LF, UTF-8 BOM); the delimiter is sniffed from the header
+ *          line (, ; or tab — what Excel/Sheets/Numbers write depending on locale). Exported cells that a
+ *          spreadsheet would run as a formula (= + - @) get a leading apostrophe.
+ * Import:  header → field mapping (explicit, else by the aliases in FIELDS); readRow() gives job fields or
+ *          per-field errors. Times: ISO with offset/Z, or local 'YYYY-MM-DD HH:mm' (or `date` + `time` columns)
+ *          read in the row's timezone — the caller decides the fallback zone.
+ * iCal:    RFC 5545 VCALENDAR (UTC times, escaped text, lines folded at 75 octets) for calendar subscriptions.
+ */
+
+import { parseLocal } from './schedules.js'
+
+// ----------------------------- csv -----------------------------
+export function parseCsv(text, { delimiter } = {}){
+  const src = String(text).replace(/^\uFEFF/, '')
+  const first = src.slice(0, src.search(/\r?\n|$/))
+  const d = delimiter || [',', ';', '\t'].map(c=> [c, first.split(c).length]).sort((a,b)=> b[1] - a[1])[0][0]
+  const rows = []
+  let row = [], cell = '', quoted = false, line = 1, start = 1
+  for(let i = 0; i < src.length; i++){
+    const c = src[i]
+    if(quoted){
+      if(c==='"' && src[i+1]==='"'){ cell += '"'; i++ }
+      else if(c==='"') quoted = false
+      else { if(c==='\n') line++; cell += c }
+    } else if(c==='"' && cell==='') quoted = true
+    else if(c===d){ row.push(cell); cell = '' }
+    else if(c==='\n' || c==='\r'){
+      if(c==='\r' && src[i+1]==='\n') i++
+      row.push(cell); rows.push({ line:start, cells:row }); row = []; cell = ''
+      start = ++line
+    } else cell += c
+  }
+  if(cell!=='' || row.length) { row.push(cell); rows.push({ line:start, cells:row }) }
+  const body = rows.filter(r=> r.cells.some(c=> c.trim()!==''))
+  const [head, ...data] = body
+  return { delimiter:d, header:(head?.cells || []).map(h=> h.trim()), rows:data }
+}
+
+const cellOf = (v)=> {
+  const s = v==null ? '' : Array.isArray(v) ? v.join(' | ') : String(v)
+  const safe = /^[=+\-@\t\r]/.test(s) ? `'${s}` : s
+  return /[",;\t\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe
+}
+export const toCsv = (columns, rows)=> '\uFEFF' + [columns, ...rows.map(r=> columns.map(c=> r[c]))].map(r=> r.map(cellOf).join(',')).join('\r\n') + '\r\n'
+
+// ----------------------------- import -----------------------------
+// field -> header aliases (compared lower-case, without spaces/_/-)
+export const FIELDS = Object.freeze({
+  whenISO:['when','wheniso','datetime','publishat','scheduledat','scheduledfor','posttime','publishtime'],
+  date:['date','day','publishdate'],
+  time:['time','hour'],
+  timezone:['timezone','tz','zone'],
+  text:['text','caption','copy','body','message','post'],
+  platforms:['platforms','platform','networks','network','channels','channel'],
+  accounts:['accounts','account','accountid','accountids'],
+  campaign:['campaign','campaignname'],
+  mediaUrls:['mediaurls','mediaurl','media','image','imageurl','video','videourl'],
+  mediaIds:['mediaids','mediaid'],
+  approvalId:['approvalid','approval'],
+  idempotencyKey:['idempotencykey','externalid','key','rowid'],
+})
+const norm = (h)=> h.toLowerCase().replace(/[\s_\-]/g, '')
+
+// { field: header } from explicit `mapping` plus alias matches for the rest; unknown headers are reported
+export function mapColumns(header, mapping = {}){
+  const missing = Object.values(mapping).filter(h=> !header.includes(h))
+  const out = { ...mapping }
+  for(const [field, aliases] of Object.entries(FIELDS)){
+    if(out[field]) continue
+    const h = header.find(h=> aliases.includes(norm(h)) && !Object.values(out).includes(h))
+    if(h) out[field] = h
+  }
+  const used = new Set(Object.values(out))
+  return { mapping:out, unmapped:header.filter(h=> !used.has(h)), missing }
+}
+
+const list = (s, re = /[|;,\n]/)=> s ? s.split(re).map(x=> x.trim()).filter(Boolean) : undefined
+const TIME = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i
+// parseLocal() only checks the shape; a sheet will happily hold 2030-02-30 or 25:99
+function real(local){
+  try {
+    const { year, month, day, hour, minute } = parseLocal(local)
+    const d = new Date(Date.UTC(year, month-1, day, hour, minute))
+    return d.getUTCMonth()===month-1 && d.getUTCDate()===day && d.getUTCHours()===hour && d.getUTCMinutes()===minute
+  } catch { return false }
+}
+
+// One CSV row -> { fields, when:{ iso }|{ local }|null, errors:[{ field, error }] }
+export function readRow(header, cells, mapping){
+  const get = (f)=> { const i = mapping[f] ? header.indexOf(mapping[f]) : -1; return i<0 ? '' : (cells[i] ?? '').trim() }
+  const errors = []
+  const fields = {
+    text:get('text') || undefined, campaign:get('campaign') || undefined,
+    platforms:list(get('platforms'))?.map(p=> p.toLowerCase()), accounts:list(get('accounts')),
+    mediaUrls:list(get('mediaUrls'), /[|\s]+/), mediaIds:list(get('mediaIds')),
+    approvalId:get('approvalId') || undefined, idempotencyKey:get('idempotencyKey') || undefined,
+    timezone:get('timezone') || undefined,
+  }
+  let when = null
+  const w = get('whenISO'), date = get('date'), time = get('time')
+  if(w && /(Z|[+-]\d{2}:?\d{2})$/i.test(w) && !isNaN(Date.parse(w))) when = { iso:new Date(w).toISOString() }
+  else if(w || date){
+    let local = w ? w.replace(' ', 'T').slice(0, 16) : date
+    const m = !w && time && TIME.exec(time)
+    if(!w && time && (!m || +m[2] > 59 || (m[3] ? +m[1] < 1 || +m[1] > 12 : +m[1] > 23))) errors.push({ field:'time', error:'invalid_time' })
+    else {
+      if(m) local += `T${String(+m[1] % (m[3] ? 12 : 24) + (/pm/i.test(m[3] || '') ? 12 : 0)).padStart(2, '0')}:${m[2]}`
+      if(real(local)) when = { local }
+      else errors.push({ field: w ? 'whenISO' : 'date', error:'invalid_date' })
+    }
+  } else errors.push({ field:'whenISO', error:'required' })
+  return { fields, when, errors }
+}
+
+// ----------------------------- iCalendar -----------------------------
+const icsText = (s = '')=> String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+const icsTime = (ms)=> new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+// 75 octets per line, continuation lines start with a space; never split a UTF-8 sequence
+function fold(line){
+  const out = []
+  let cur = '', size = 0
+  for(const ch of line){
+    const n = Buffer.byteLength(ch)
+    if(size + n > (out.length ? 74 : 75)){ out.push(cur); cur = ''; size = 0 }
+    cur += ch; size += n
+  }
+  out.push(cur)
+  return out.join('\r\n ')
+}
+
+/**
+ * { name, description?, refreshMinutes?, events:[{ uid, start (ms), durationMin?, summary, description?,
+ *   status?:'TENTATIVE'|'CONFIRMED'|'CANCELLED', url?, categories?:[], updated? (ms) }] } -> text/calendar
+ */
+export function toIcs({ name, description, refreshMinutes = 60, events }){
+  const now = icsTime(Date.now())
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Brothel Hacker//Content Calendar//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`, ...(description ? [`X-WR-CALDESC:${icsText(description)}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+  ]
+  for(const e of events){
+    lines.push('BEGIN:VEVENT', `UID:${e.uid}`, `DTSTAMP:${now}`, `DTSTART:${icsTime(e.start)}`, `DTEND:${icsTime(e.start + (e.durationMin || 15)*60000)}`,
+      `SUMMARY:${icsText(e.summary)}`,
+      ...(e.description ? [`DESCRIPTION:${icsText(e.description)}`] : []),
+      ...(e.status ? [`STATUS:${e.status}`] : []),
+      ...(e.url ? [`URL:${e.url}`] : []),
+      ...(e.categories?.length ? [`CATEGORIES:${e.categories.map(icsText).join(',')}`] : []),
+      ...(e.updated ? [`LAST-MODIFIED:${icsTime(e.updated)}`] : []),
+      'TRANSP:TRANSPARENT', 'END:VEVENT')
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(fold).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mapColumns, parseCsv, readRow, toCsv } from './transfer.js'
+
+test('parseCsv: quotes, escaped quotes, embedded newlines, CRLF and a BOM', ()=> {
+  const { delimiter, header, rows } = parseCsv('\uFEFFWhen,Caption\r\n2030-01-01 10:00,"Hi, ""you""\nline two"\r\n\r\n2030-01-02 10:00,plain\r\n')
+  assert.equal(delimiter, ',')
+  assert.deepEqual(header, ['When', 'Caption'])
+  assert.deepEqual(rows, [
+    { line:2, cells:['2030-01-01 10:00', 'Hi, "you"\nline two'] },
+    { line:5, cells:['2030-01-02 10:00', 'plain'] },
+  ])
+})
+
+test('parseCsv sniffs ; and tab from the header line', ()=> {
+  assert.equal(parseCsv('Date;Time;Text\n2030-01-01;10:00;a,b').delimiter, ';')
+  assert.deepEqual(parseCsv('Date;Time;Text\n2030-01-01;10:00;a,b').rows[0].cells, ['2030-01-01', '10:00', 'a,b'])
+  assert.equal(parseCsv('Date\tText\n2030-01-01\thi').delimiter, '\t')
+  assert.equal(parseCsv('a;b\n1,2', { delimiter:',' }).delimiter, ',')
+})
+
+test('parseCsv keeps a last row without a newline and skips blank rows', ()=> {
+  assert.deepEqual(parseCsv('a,b\n1,2\n,\n3,4').rows.map(r=> r.cells), [['1', '2'], ['3', '4']])
+  assert.deepEqual(parseCsv(''), { delimiter:',', header:[], rows:[] })
+})
+
+test('toCsv escapes what needs it and defuses formulas; parseCsv reads it back', ()=> {
+  const csv = toCsv(['a', 'b'], [{ a:'x, "y"', b:'=HYPERLINK("evil")' }, { a:['m1', 'm2'], b:null }])
+  assert.ok(csv.startsWith('\uFEFFa,b\r\n'))
+  const back = parseCsv(csv)
+  assert.deepEqual(back.rows.map(r=> r.cells), [['x, "y"', `'=HYPERLINK("evil")`], ['m1 | m2', '']])
+})
+
+test('mapColumns matches aliases, honours explicit mappings and reports the rest', ()=> {
+  const { mapping, unmapped, missing } = mapColumns(['Publish At', 'Caption', 'Network', 'Notes'], { campaign:'Camp' })
+  assert.deepEqual(mapping, { campaign:'Camp', whenISO:'Publish At', text:'Caption', platforms:'Network' })
+  assert.deepEqual(unmapped, ['Notes'])
+  assert.deepEqual(missing, ['Camp'])
+})
+
+const row = (header, cells)=> readRow(header, cells, mapColumns(header).mapping)
+
+test('readRow: ISO with an offset is absolute, a bare local time is left to the zone', ()=> {
+  assert.deepEqual(row(['When'], ['2030-01-01T10:00:00+02:00']).when, { iso:'2030-01-01T08:00:00.000Z' })
+  assert.deepEqual(row(['When'], ['2030-01-01 10:00']).when, { local:'2030-01-01T10:00' })
+  assert.deepEqual(row(['Date', 'Time'], ['2030-01-01', '9:05 pm']).when, { local:'2030-01-01T21:05' })
+  assert.deepEqual(row(['Date', 'Time'], ['2030-01-01', '12:30 am']).when, { local:'2030-01-01T00:30' })
+})
+
+test('readRow rejects impossible dates and times instead of rolling them over', ()=> {
+  assert.deepEqual(row(['Date', 'Time'], ['2030-02-30', '10:00']).errors, [{ field:'date', error:'invalid_date' }])
+  assert.deepEqual(row(['Date', 'Time'], ['2030-01-01', '25:99']).errors, [{ field:'time', error:'invalid_time' }])
+  assert.deepEqual(row(['Date', 'Time'], ['2030-01-01', '13:00 pm']).errors, [{ field:'time', error:'invalid_time' }])
+  assert.deepEqual(row(['Text'], ['hi']).errors, [{ field:'whenISO', error:'required' }])
+})
+
+test('readRow splits lists', ()=> {
+  const { fields } = row(['When', 'Platforms', 'Media'], ['2030-01-01 10:00', 'Twitter; Reddit', 'https://a/1.png | https://a/2.png'])
+  assert.deepEqual(fields.platforms, ['twitter', 'reddit'])
+  assert.deepEqual(fields.mediaUrls, ['https://a/1.png', 'https://a/2.png'])
+})
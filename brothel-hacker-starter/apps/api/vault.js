@@ -0,0 +1,43 @@
+/**
+ * Brothel Hacker — Credential Vault
+ *
+ * Purpose: Connected accounts per workspace, with platform tokens encrypted at rest.
+ * Crypto:  AES-256-GCM under a key derived from VAULT_MASTER_KEY; the account id is bound in as
+ *          additional data, so a sealed blob copied onto another record won't open.
+ * Record:  { id, workspace, platform, label, account:{...config}, secrets:{v,iv,tag,data}, isDefault }
+ *          Only publicAccount(record) leaves the API — secret names, never values.
+ */
+
+import crypto from 'node:crypto'
+import { credentials } from './adapters.js'
+
+const err = (m, status=400)=> { const e = new Error(m); e.status = status; throw e }
+
+export function createVault(masterKey = process.env.VAULT_MASTER_KEY){
+  let key
+  const k = ()=> key ||= masterKey ? crypto.scryptSync(masterKey, 'brothel-hacker-vault', 32) : err('vault_master_key_missing', 500)
+  return {
+    seal(id, secrets){
+      const iv = crypto.randomBytes(12)
+      const c = crypto.createCipheriv('aes-256-gcm', k(), iv).setAAD(Buffer.from(id))
+      const data = Buffer.concat([c.update(JSON.stringify(secrets), 'utf8'), c.final()])
+      return { v:1, iv:iv.toString('base64'), tag:c.getAuthTag().toString('base64'), data:data.toString('base64') }
+    },
+    open(id, sealed){
+      if(!sealed) return {}
+      try {
+        const d = crypto.createDecipheriv('aes-256-gcm', k(), Buffer.from(sealed.iv, 'base64')).setAAD(Buffer.from(id))
+        d.setAuthTag(Buffer.from(sealed.tag, 'base64'))
+        return JSON.parse(Buffer.concat([d.update(Buffer.from(sealed.data, 'base64')), d.final()]).toString('utf8'))
+      } catch(e){ if(e.status) throw e; err('vault_decrypt_failed', 500) }
+    },
+  }
+}
+
+// Missing required token/config names for a platform given what the record will hold
+export function missingCredentials(platform, secrets, account){
+  const spec = credentials[platform] || err('unsupported_platform', 404)
+  return [...spec.tokens.filter(t=> !secrets[t]), ...spec.account.filter(a=> !account[a])]
+}
+
+export const publicAccount = ({ secrets:_s, secretKeys, ...rest })=> ({ ...rest, secretKeys })
@@ -0,0 +1,62 @@
+/* Alerts panel over /api/monitor/alerts (newest 200): compliance violations, monitoring ingest and inbound
+   platform events. Refreshes every 30s. */
+import React, { useEffect, useState } from 'react'
+import { api } from './api.js'
+import { Badge, Button, Card, Dot, Empty, ErrorNote, cx, fmtTime, inputClass, useLoad } from './ui.jsx'
+
+const LEVELS = ['violation','warn','info']
+
+export default function Alerts({ workspace }){
+  const alerts = useLoad(()=> api('/api/monitor/alerts', { query:{ workspace } }).then(r=> r.alerts), [workspace])
+  const [levels, setLevels] = useState(['violation','warn'])
+  const [platform, setPlatform] = useState('')
+  const [q, setQ] = useState('')
+  const { reload } = alerts
+
+  useEffect(()=> { const t = setInterval(reload, 30000); return ()=> clearInterval(t) }, [reload])
+
+  const all = alerts.data || []
+  const platforms = [...new Set(all.map(a=> a.platform).filter(Boolean))].sort()
+  const needle = q.trim().toLowerCase()
+  const shown = all.filter(a=> levels.includes(a.level) && (!platform || a.platform===platform)
+    && (!needle || `${a.code} ${a.message} ${a.ref || ''}`.toLowerCase().includes(needle)))
+  const toggle = (l)=> setLevels(ls=> ls.includes(l) ? ls.filter(x=> x!==l) : [...ls, l])
+
+  return (
+    <div>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <h2 className="text-lg font-bold">Alerts</h2>
+        {LEVELS.map(l=> (
+          <button key={l} onClick={()=> toggle(l)} className={cx('rounded-full border px-2 py-0.5 text-xs', levels.includes(l) ? 'border-pink-400 bg-pink-400/10' : 'border-white/15 text-white/40')}>
+            {l} · {all.filter(a=> a.level===l).length}
+          </button>
+        ))}
+        <select className={cx(inputClass, 'py-1')} value={platform} onChange={(e)=> setPlatform(e.target.value)}>
+          <option value="">All platforms</option>
+          {platforms.map(p=> <option key={p}>{p}</option>)}
+        </select>
+        <input className={cx(inputClass, 'w-56 py-1')} placeholder="Search code, message, ref" value={q} onChange={(e)=> setQ(e.target.value)} />
+        <Button className="ml-auto" onClick={reload}>Refresh</Button>
+      </div>
+      <ErrorNote error={alerts.error} />
+      <Card className="divide-y divide-white/5 p-0">
+        {shown.map(a=> (
+          <div key={a.id} className="flex items-start gap-3 px-4 py-2 text-sm">
+            <Badge value={a.level} className="mt-0.5 w-20 text-center" />
+            <div className="min-w-0 flex-1">
+              <p className="break-words text-white/85">{a.message}</p>
+              <p className="flex flex-wrap items-center gap-2 text-xs text-white/40">
+                {a.platform && <span className="flex items-center gap-1"><Dot platform={a.platform} />{a.platform}</span>}
+                <span className="font-mono">{a.code}</span>
+                {a.jobId ? <span>job {a.jobId}</span> : a.ref && <span>ref {a.ref}</span>}
+                {a.author && <span>by {a.author}</span>}
+              </p>
+            </div>
+            <span className="shrink-0 text-xs text-white/40">{fmtTime(a.ts)}</span>
+          </div>
+        ))}
+        {!alerts.loading && !shown.length && <Empty>No alerts match.</Empty>}
+      </Card>
+    </div>
+  )
+}
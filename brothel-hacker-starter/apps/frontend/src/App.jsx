@@ -1,9 +1,63 @@
-/* React v3 App (short) — full version available in canvas; this is runnable starter */
-import React, { useState } from 'react'
+/* Brothel Hacker — app shell: sign-in gate, workspace picker and the Calendar / Composer / Approvals / Alerts views */
+import React, { useCallback, useEffect, useState } from 'react'
+import { api, logout } from './api.js'
+import { Button, cx } from './ui.jsx'
+import Login from './Login.jsx'
+import Calendar from './Calendar.jsx'
+import Composer from './Composer.jsx'
+import Approvals from './Approvals.jsx'
+import Alerts from './Alerts.jsx'
+
+const TABS = [['calendar','Calendar'], ['composer','Composer'], ['approvals','Approvals'], ['alerts','Alerts']]
+const WS_KEY = 'bh_workspace'
+
 function App(){
-  return (<div style={{padding:20}}>
-    <h1 style={{fontWeight:900, background:'linear-gradient(90deg,#ffd98a,#fff,#ff78d6)', WebkitBackgroundClip:'text', color:'transparent'}}>Brothel Hacker</h1>
-    <p>Starter repo. Replace src/App.jsx with the full version from canvas when you clone.</p>
-  </div>)
+  const [me, setMe] = useState(undefined) // undefined = checking, null = signed out
+  const [workspace, setWorkspace] = useState(()=> localStorage.getItem(WS_KEY) || 'default')
+  const [tab, setTab] = useState(()=> location.hash.slice(1) || 'calendar')
+
+  const refresh = useCallback(()=> api('/api/auth/me').then(setMe, (e)=> { if(e.status!==401) console.error(e); setMe(null) }), [])
+  useEffect(()=> { refresh() }, [refresh])
+  useEffect(()=> { localStorage.setItem(WS_KEY, workspace) }, [workspace])
+  useEffect(()=> { location.hash = tab }, [tab])
+
+  const workspaces = me ? Object.keys(me.permissions) : []
+  // a saved workspace this principal can't see falls back to its first one
+  useEffect(()=> { if(workspaces.length && !workspaces.includes(workspace)) setWorkspace(workspaces[0]) }, [me])
+  const p = me?.principal
+  // open mode (REQUIRE_AUTH=false) is a superuser, even before any workspace record exists
+  const perms = me?.permissions[workspace] || (p?.superuser ? ['read','write','approve','admin'] : [])
+
+  return (
+    <div className="min-h-screen text-white">
+      <header className="flex items-center gap-4 border-b border-white/10 px-6 py-3">
+        <h1 className="bg-gradient-to-r from-amber-200 via-white to-pink-400 bg-clip-text text-xl font-black text-transparent">Brothel Hacker</h1>
+        {me && <>
+          <nav className="flex gap-1">
+            {TABS.map(([k, label])=> (
+              <button key={k} onClick={()=> setTab(k)} className={cx('rounded-lg px-3 py-1.5 text-sm', tab===k ? 'bg-white/10 font-semibold text-amber-200' : 'text-white/60 hover:text-white')}>{label}</button>
+            ))}
+          </nav>
+          <div className="ml-auto flex items-center gap-3 text-sm">
+            {workspaces.length > 1 ? (
+              <select className="rounded-lg border border-white/15 bg-black/40 px-2 py-1" value={workspace} onChange={(e)=> setWorkspace(e.target.value)}>
+                {workspaces.map(w=> <option key={w}>{w}</option>)}
+              </select>
+            ) : <span className="text-white/50">{workspace}</span>}
+            <span className="text-white/50">{p.type==='key' ? p.name : p.actor}</span>
+            {p.type!=='anonymous' && <Button onClick={async ()=> { await logout(); setMe(null) }}>Sign out</Button>}
+          </div>
+        </>}
+      </header>
+      <main className="p-6">
+        {me===undefined ? null : me===null ? <Login onReady={refresh} /> : (
+          tab==='composer' ? <Composer workspace={workspace} canWrite={perms.includes('write')} />
+          : tab==='approvals' ? <Approvals workspace={workspace} canApprove={perms.includes('approve')} anonymous={p.type==='anonymous'} />
+          : tab==='alerts' ? <Alerts workspace={workspace} />
+          : <Calendar workspace={workspace} canWrite={perms.includes('write')} />
+        )}
+      </main>
+    </div>
+  )
 }
 export default App
@@ -0,0 +1,88 @@
+/* Approvals board: records by outcome, every item with its compliance findings and votes; decisions go to
+   POST /api/approval/:id/decision one item at a time. */
+import React, { useState } from 'react'
+import { api } from './api.js'
+import { Badge, Button, Card, Dot, Empty, ErrorNote, cx, fmtTime, inputClass, useLoad } from './ui.jsx'
+
+const column = (r)=> r.status==='PENDING' ? 'pending' : r.decisions.every(d=> d?.decision==='APPROVED') ? 'approved' : 'rejected'
+const COLUMNS = [['pending','Waiting for review'], ['approved','Approved'], ['rejected','Rejected']]
+
+function Item({ record, index, canApprove, approver, onDecided }){
+  const it = record.items[index], decision = record.decisions[index], votes = record.votes?.[index] || []
+  const findings = record.compliance?.[index] || []
+  const [note, setNote] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [open, setOpen] = useState(false)
+
+  async function decide(d){
+    setBusy(true); setError(null)
+    try {
+      await api(`/api/approval/${record.id}/decision`, { method:'POST', body:{ index, decision:d, ...(note && { note }), ...(approver && { approver }) } })
+      setNote('')
+      await onDecided()
+    } catch(e){ setError(e) } finally { setBusy(false) }
+  }
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-black/30 p-2">
+      <div className="flex items-center gap-2 text-xs">
+        <Dot platform={it.platform} /><span className="font-semibold">{it.platform}</span><span className="text-white/40">{it.kind}</span>
+        {decision ? <Badge value={decision.decision} className="ml-auto" /> : <span className="ml-auto text-white/40">{votes.length} vote(s)</span>}
+      </div>
+      <p onClick={()=> setOpen(!open)} className={cx('mt-1 cursor-pointer whitespace-pre-wrap break-words text-sm text-white/85', !open && 'line-clamp-4')}>{it.text}</p>
+      {!!it.mediaUrls?.length && (
+        <div className="mt-1 flex gap-1 overflow-x-auto">{it.mediaUrls.map(u=> <img key={u} src={u} alt="" className="h-16 w-16 rounded object-cover" />)}</div>
+      )}
+      {findings.map((f, i)=> (
+        <p key={i} className="mt-1 flex items-start gap-1 text-xs text-white/70"><Badge value={f.severity} />{f.message}{f.match && <span className="text-white/40">({f.match})</span>}</p>
+      ))}
+      {votes.map((v, i)=> (
+        <p key={i} className="mt-1 text-[11px] text-white/40">{v.decision==='APPROVED' ? '✓' : '✕'} {v.approver} · {fmtTime(v.ts)}{v.note && ` — ${v.note}`}</p>
+      ))}
+      {canApprove && (
+        <div className="mt-2 flex gap-1">
+          <input className={cx(inputClass, 'min-w-0 flex-1 py-1 text-xs')} placeholder="Note (optional)" value={note} onChange={(e)=> setNote(e.target.value)} />
+          <Button tone="gold" className="px-2 py-1 text-xs" disabled={busy} onClick={()=> decide('APPROVED')}>Approve</Button>
+          <Button tone="danger" className="px-2 py-1 text-xs" disabled={busy} onClick={()=> decide('REJECTED')}>Reject</Button>
+        </div>
+      )}
+      <ErrorNote error={error} />
+    </div>
+  )
+}
+
+export default function Approvals({ workspace, canApprove, anonymous }){
+  const records = useLoad(()=> api('/api/approval', { query:{ workspace, limit:200 } }).then(r=> r.approvals), [workspace])
+  // open mode (REQUIRE_AUTH=false) has no signed-in user, so multi-approver policies need a name
+  const [approver, setApprover] = useState('')
+  const groups = Object.fromEntries(COLUMNS.map(([k])=> [k, (records.data || []).filter(r=> column(r)===k)]))
+
+  return (
+    <div>
+      <div className="mb-3 flex items-center gap-2">
+        <h2 className="text-lg font-bold">Approvals</h2>
+        {anonymous && <input className={cx(inputClass, 'ml-4 w-48 py-1')} placeholder="Your name (approver)" value={approver} onChange={(e)=> setApprover(e.target.value)} />}
+        <Button className="ml-auto" onClick={records.reload}>Refresh</Button>
+      </div>
+      <ErrorNote error={records.error} />
+      <div className="grid gap-4 lg:grid-cols-3">
+        {COLUMNS.map(([k, title])=> (
+          <div key={k} className="flex flex-col gap-3">
+            <h3 className="text-xs uppercase tracking-wide text-white/50">{title} · {groups[k].length}</h3>
+            {groups[k].map(r=> (
+              <Card key={r.id} className="flex flex-col gap-2 p-3">
+                <div className="flex items-center gap-2 text-xs text-white/50">
+                  <span className="font-mono text-white/70">{r.id}</span><span>{r.policy}</span>{r.revision > 1 && <span>rev {r.revision}</span>}
+                  <span className="ml-auto">{fmtTime(r.editedAt || r.createdAt)}</span>
+                </div>
+                {r.items.map((_, i)=> <Item key={`${r.revision}:${i}`} record={r} index={i} canApprove={canApprove && k==='pending'} approver={anonymous && approver} onDecided={records.reload} />)}
+              </Card>
+            ))}
+            {!records.loading && !groups[k].length && <Empty>Nothing here.</Empty>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
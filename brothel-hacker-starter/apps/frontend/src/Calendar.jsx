@@ -0,0 +1,165 @@
+/* Month / week calendar of jobs. Drag a pending job onto another day (month) or hour (week) to reschedule it. */
+import React, { useMemo, useState } from 'react'
+import { api } from './api.js'
+import { Badge, Button, Card, Dot, Empty, ErrorNote, cx, fmtTime, useLoad } from './ui.jsx'
+
+// mirrors TERMINAL in apps/api/jobs.js: these can no longer be moved or cancelled
+const TERMINAL = ['POSTED','PARTIAL','FAILED','BLOCKED','CANCELLED']
+const DAY_NAMES = ['Mon','Tue','Wed','Thu','Fri','Sat','Sun']
+const HOURS = Array.from({ length:24 }, (_, h)=> h)
+const LIMIT = 500 // the most GET /api/jobs returns at once
+
+const addDays = (d, n)=> { const x = new Date(d); x.setDate(x.getDate() + n); return x }
+const startOfDay = (d)=> { const x = new Date(d); x.setHours(0, 0, 0, 0); return x }
+const startOfWeek = (d)=> addDays(startOfDay(d), -((d.getDay() + 6) % 7))
+const dayKey = (d)=> `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+const whenOf = (j)=> new Date(j.whenISO || j.createdAt)
+const movable = (j)=> !TERMINAL.includes(j.status)
+
+function range(view, anchor){
+  if(view==='week'){ const from = startOfWeek(anchor); return { from, to:addDays(from, 7) } }
+  const from = startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1))
+  return { from, to:addDays(from, 42) }
+}
+
+export default function Calendar({ workspace, canWrite }){
+  const [view, setView] = useState('month')
+  const [anchor, setAnchor] = useState(()=> new Date())
+  const [selected, setSelected] = useState(null)
+  const [error, setError] = useState(null)
+  const [moved, setMoved] = useState({}) // optimistic whenISO per job id while a reschedule is in flight
+  const { from, to } = range(view, anchor)
+  const jobs = useLoad(()=> api('/api/jobs', { query:{ workspace, from:from.toISOString(), to:to.toISOString(), limit:LIMIT } }).then(r=> r.jobs), [workspace, from.getTime(), to.getTime()])
+  // the API returns a window in publish order, so a full page means the latest days are missing
+  const cutAt = jobs.data?.length >= LIMIT && whenOf(jobs.data[jobs.data.length - 1])
+
+  const list = useMemo(()=> (jobs.data || []).map(j=> moved[j.id] ? { ...j, whenISO:moved[j.id] } : j).sort((a,b)=> whenOf(a) - whenOf(b)), [jobs.data, moved])
+  const byDay = useMemo(()=> list.reduce((acc, j)=> ((acc[dayKey(whenOf(j))] ||= []).push(j), acc), {}), [list])
+  const job = selected && list.find(j=> j.id===selected)
+
+  async function reschedule(id, at){
+    const j = list.find(x=> x.id===id)
+    if(!j || !movable(j) || +at===+whenOf(j)) return
+    if(at < Date.now() && !window.confirm('That time has passed — the job will post right away. Move it anyway?')) return
+    setError(null)
+    setMoved(m=> ({ ...m, [id]:at.toISOString() }))
+    try { await api(`/api/jobs/${id}/reschedule`, { method:'POST', body:{ whenISO:at.toISOString() } }); await jobs.reload() }
+    catch(e){ setError(e) }
+    finally { setMoved(({ [id]:_, ...m })=> m) }
+  }
+  // month cells keep the time of day; week cells set the hour and keep the minutes
+  const dropOn = (day, hour)=> (e)=> {
+    e.preventDefault()
+    const id = e.dataTransfer.getData('text/plain'), j = list.find(x=> x.id===id)
+    if(!j) return
+    const w = whenOf(j), at = new Date(day)
+    at.setHours(hour ?? w.getHours(), w.getMinutes(), 0, 0)
+    reschedule(id, at)
+  }
+  const dropProps = (day, hour)=> canWrite ? { onDragOver:(e)=> e.preventDefault(), onDrop:dropOn(day, hour) } : {}
+
+  const chip = (j)=> (
+    <button key={j.id} draggable={canWrite && movable(j)} onDragStart={(e)=> e.dataTransfer.setData('text/plain', j.id)} onClick={()=> setSelected(j.id)}
+      className={cx('flex w-full items-center gap-1 truncate rounded px-1 py-0.5 text-left text-[11px] hover:bg-white/10', moved[j.id] && 'opacity-50',
+        j.status==='CANCELLED' && 'line-through opacity-40', canWrite && movable(j) ? 'cursor-grab' : 'cursor-pointer', selected===j.id && 'ring-1 ring-pink-400')}>
+      {(j.platforms || []).map(p=> <Dot key={p} platform={p} />)}
+      <span className="text-white/50">{whenOf(j).toLocaleTimeString([], { hour:'2-digit', minute:'2-digit' })}</span>
+      <span className={cx('truncate', j.deadLetter ? 'text-red-300' : 'text-white/80')}>{j.text || j.campaign || j.approvalId || j.id}</span>
+    </button>
+  )
+
+  const step = (n)=> setAnchor(a=> view==='week' ? addDays(a, 7*n) : new Date(a.getFullYear(), a.getMonth() + n, 1))
+  const title = view==='week' ? `${from.toLocaleDateString([], { day:'numeric', month:'short' })} – ${addDays(to, -1).toLocaleDateString([], { day:'numeric', month:'short', year:'numeric' })}`
+    : anchor.toLocaleDateString([], { month:'long', year:'numeric' })
+  const today = dayKey(new Date())
+
+  return (
+    <div className="flex gap-4">
+      <div className="min-w-0 flex-1">
+        <div className="mb-3 flex items-center gap-2">
+          <Button onClick={()=> step(-1)}>‹</Button>
+          <Button onClick={()=> setAnchor(new Date())}>Today</Button>
+          <Button onClick={()=> step(1)}>›</Button>
+          <h2 className="ml-2 text-lg font-bold">{title}</h2>
+          <div className="ml-auto flex gap-1">
+            {['month','week'].map(v=> <Button key={v} tone={view===v ? 'pink' : 'ghost'} onClick={()=> setView(v)}>{v[0].toUpperCase() + v.slice(1)}</Button>)}
+          </div>
+        </div>
+        <ErrorNote error={error || jobs.error} />
+        {cutAt && <p className="mb-2 text-xs text-amber-200">Showing the first {LIMIT} jobs of this range; anything after {fmtTime(cutAt)} is not shown.</p>}
+        <div className="grid grid-cols-7 text-center text-xs uppercase tracking-wide text-white/40">
+          {DAY_NAMES.map((d, i)=> <div key={d} className="py-1">{view==='week' ? `${d} ${addDays(from, i).getDate()}` : d}</div>)}
+        </div>
+        {view==='month' ? (
+          <div className="grid grid-cols-7 border-l border-t border-white/10">
+            {Array.from({ length:42 }, (_, i)=> addDays(from, i)).map(d=> {
+              const items = byDay[dayKey(d)] || []
+              return (
+                <div key={dayKey(d)} {...dropProps(d)} className={cx('h-28 overflow-y-auto border-b border-r border-white/10 p-1', d.getMonth()!==anchor.getMonth() && 'bg-black/30 text-white/30')}>
+                  <div className={cx('mb-0.5 text-right text-xs', dayKey(d)===today && 'font-bold text-amber-300')}>{d.getDate()}</div>
+                  {items.map(chip)}
+                </div>
+              )
+            })}
+          </div>
+        ) : (
+          <div className="h-[70vh] overflow-y-auto border-t border-white/10">
+            {HOURS.map(h=> (
+              <div key={h} className="grid grid-cols-7 border-l border-white/10">
+                {Array.from({ length:7 }, (_, i)=> addDays(from, i)).map(d=> {
+                  const items = (byDay[dayKey(d)] || []).filter(j=> whenOf(j).getHours()===h)
+                  return (
+                    <div key={dayKey(d)} {...dropProps(d, h)} className={cx('relative min-h-[2.5rem] border-b border-r border-white/10 p-0.5', dayKey(d)===today && 'bg-amber-300/[0.03]')}>
+                      {d.getDay()===1 && <span className="absolute left-0.5 top-0 text-[10px] text-white/30">{String(h).padStart(2, '0')}:00</span>}
+                      {items.map(chip)}
+                    </div>
+                  )
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+        {!jobs.loading && !list.length && <Empty>No jobs in this range.</Empty>}
+      </div>
+      {job && <JobPanel job={job} canWrite={canWrite} onClose={()=> setSelected(null)} onChange={jobs.reload} />}
+    </div>
+  )
+}
+
+function JobPanel({ job, canWrite, onClose, onChange }){
+  const [error, setError] = useState(null)
+  const act = (what)=> async ()=> {
+    setError(null)
+    try { await api(`/api/jobs/${job.id}/${what}`, { method:'POST' }); await onChange() } catch(e){ setError(e) }
+  }
+  return (
+    <Card className="w-80 shrink-0 self-start text-sm">
+      <div className="mb-2 flex items-center gap-2">
+        <Badge value={job.status} />
+        {job.deadLetter && <Badge value="FAILED" />}
+        <button className="ml-auto text-white/40 hover:text-white" onClick={onClose}>✕</button>
+      </div>
+      <p className="font-semibold">{fmtTime(job.whenISO || job.createdAt)}</p>
+      {job.campaign && <p className="text-xs text-white/50">Campaign: {job.campaign}</p>}
+      {job.approvalId && <p className="text-xs text-white/50">Approval: {job.approvalId}</p>}
+      {job.text && <p className="mt-2 whitespace-pre-wrap text-white/80">{job.text}</p>}
+      <ul className="mt-3 flex flex-col gap-1">
+        {Object.entries(job.results || {}).map(([key, r])=> (
+          <li key={key} className="rounded bg-black/30 px-2 py-1">
+            <div className="flex items-center gap-2"><Dot platform={r.platform} /><span className="truncate">{key}</span><Badge value={r.status} className="ml-auto" /></div>
+            {r.remoteId && <p className="truncate text-xs text-white/40">id {r.remoteId}</p>}
+            {r.error && <p className="text-xs text-red-300">{r.error}</p>}
+            {r.status==='RETRY' && r.nextAttemptAt && <p className="text-xs text-white/40">retry {fmtTime(r.nextAttemptAt)}</p>}
+          </li>
+        ))}
+      </ul>
+      <ErrorNote error={error} />
+      {canWrite && (
+        <div className="mt-3 flex gap-2">
+          {movable(job) && <Button tone="danger" onClick={act('cancel')}>Cancel job</Button>}
+          {job.deadLetter && <Button tone="gold" onClick={act('retry')}>Retry failed</Button>}
+        </div>
+      )}
+    </Card>
+  )
+}
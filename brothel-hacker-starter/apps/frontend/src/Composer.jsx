@@ -0,0 +1,150 @@
+/* Composer: AI caption variants per platform (/api/ai/caption), live previews against each network's limit,
+   then submit for approval and, optionally, schedule the approved copy. */
+import React, { useState } from 'react'
+import { api } from './api.js'
+import { Badge, Button, Card, Dot, ErrorNote, Field, PLATFORM_COLORS, cx, inputClass, useLoad } from './ui.jsx'
+
+const TONES = ['direct','playful','luxurious','bold','warm','teasing']
+const count = (s)=> [...s].length // code points, as the API counts
+
+// preflight_failed carries { errors:{ [platform]:'code,code' } } next to the error code
+function Problems({ error }){
+  const list = error?.body?.errors
+  if(!list) return <ErrorNote error={error} />
+  return (
+    <div className="rounded-lg bg-red-500/10 px-3 py-2 text-sm text-red-300">
+      <p className="font-semibold">{error.message}</p>
+      <ul className="list-disc pl-4">{Object.entries(list).map(([p, codes])=> <li key={p}>{p}: {String(codes).replace(/,/g, ', ')}</li>)}</ul>
+    </div>
+  )
+}
+
+function Preview({ platform, text, limit, mediaUrl, name }){
+  const chars = [...text], over = limit && chars.length > limit
+  return (
+    <div className="rounded-xl border border-white/10 bg-black/50 p-3" style={{ borderTopColor:PLATFORM_COLORS[platform], borderTopWidth:3 }}>
+      <div className="mb-2 flex items-center gap-2 text-xs">
+        <span className="flex h-6 w-6 items-center justify-center rounded-full bg-gradient-to-br from-amber-200 to-pink-400 text-[10px] font-black text-black">{name.slice(0, 2).toUpperCase()}</span>
+        <span className="font-semibold">{name}</span>
+        <span className="text-white/40">· {platform}</span>
+      </div>
+      {mediaUrl && <img src={mediaUrl} alt="" className="mb-2 max-h-48 w-full rounded-lg object-cover" />}
+      <p className="whitespace-pre-wrap break-words text-sm text-white/85">
+        {over ? <>{chars.slice(0, limit).join('')}<span className="bg-red-500/30 text-red-200">{chars.slice(limit).join('')}</span></> : text || <span className="text-white/30">Nothing yet</span>}
+      </p>
+    </div>
+  )
+}
+
+export default function Composer({ workspace, canWrite }){
+  const meta = useLoad(async ()=> {
+    const [l, v, p] = await Promise.all([api('/api/preflight/limits', { query:{ workspace } }), api('/api/ai/voices', { query:{ workspace } }).catch(()=> ({ voices:[] })), api('/api/approval/policies', { query:{ workspace } })])
+    return { limits:l.limits, voices:v.voices, policies:p.policies }
+  }, [workspace])
+  const [form, setForm] = useState({ prompt:'', tone:'direct', voiceId:'', variants:3, mediaUrl:'', policy:'generic', whenLocal:'' })
+  const [platforms, setPlatforms] = useState(['instagram','twitter'])
+  const [drafts, setDrafts] = useState({}) // platform -> { options:[{ text, length, limit, fits }], text }
+  const [usage, setUsage] = useState(null)
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState(null)
+  const [done, setDone] = useState(null)
+  const set = (k)=> (e)=> setForm(f=> ({ ...f, [k]:e.target.type==='number' ? Number(e.target.value) : e.target.value }))
+  const toggle = (p)=> setPlatforms(ps=> ps.includes(p) ? ps.filter(x=> x!==p) : [...ps, p])
+  const limits = meta.data?.limits || {}
+  const limitOf = (p)=> (form.mediaUrl && limits[p]?.caption) || limits[p]?.text
+
+  async function generate(){
+    setBusy('generate'); setError(null); setDone(null)
+    try {
+      const r = await api('/api/ai/caption', { method:'POST', body:{ workspace, prompt:form.prompt, tone:form.tone, voiceId:form.voiceId || undefined, platforms, variants:form.variants, withMedia:!!form.mediaUrl } })
+      setDrafts(Object.fromEntries(Object.entries(r.variants).map(([p, options])=> [p, { options, text:options[0]?.text || '' }])))
+      setUsage(r.usage)
+    } catch(e){ setError(e) } finally { setBusy('') }
+  }
+
+  async function submit(){
+    setBusy('submit'); setError(null); setDone(null)
+    const chosen = platforms.filter(p=> drafts[p]?.text.trim())
+    try {
+      const items = chosen.map(p=> ({ platform:p, kind:'post', text:drafts[p].text, ...(form.mediaUrl && { mediaUrls:[form.mediaUrl] }) }))
+      const approval = await api('/api/approval/submit', { method:'POST', body:{ workspace, policy:form.policy, items } })
+      let job = null
+      if(form.whenLocal){
+        try { job = (await api('/api/post', { method:'POST', body:{ workspace, platforms:chosen, approvalId:approval.id, whenISO:new Date(form.whenLocal).toISOString() } })).job }
+        catch(e){ setError(e) }
+      }
+      setDone({ approval, job })
+    } catch(e){ setError(e) } finally { setBusy('') }
+  }
+
+  const ready = platforms.some(p=> drafts[p]?.text.trim())
+  return (
+    <div className="grid gap-4 lg:grid-cols-[22rem_1fr]">
+      <Card className="flex flex-col gap-3 self-start">
+        <Field label="What's the post about?"><textarea className={cx(inputClass, 'h-28')} value={form.prompt} onChange={set('prompt')} placeholder="Friday launch of the gold collection, 20% off till Sunday" /></Field>
+        <div className="grid grid-cols-2 gap-2">
+          <Field label="Tone"><select className={inputClass} value={form.tone} onChange={set('tone')}>{TONES.map(t=> <option key={t}>{t}</option>)}</select></Field>
+          <Field label="Variants"><input className={inputClass} type="number" min={1} max={10} value={form.variants} onChange={set('variants')} /></Field>
+        </div>
+        <Field label="Brand voice">
+          <select className={inputClass} value={form.voiceId} onChange={set('voiceId')}>
+            <option value="">Workspace default</option>
+            {(meta.data?.voices || []).map(v=> <option key={v.id} value={v.id}>{v.name}</option>)}
+          </select>
+        </Field>
+        <Field label="Image URL (optional)"><input className={inputClass} value={form.mediaUrl} onChange={set('mediaUrl')} placeholder="https://…" /></Field>
+        <div>
+          <p className="mb-1 text-xs uppercase tracking-wide text-white/50">Platforms</p>
+          <div className="flex flex-wrap gap-1">
+            {Object.keys(limits).map(p=> (
+              <button key={p} onClick={()=> toggle(p)} className={cx('flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs', platforms.includes(p) ? 'border-pink-400 bg-pink-400/10' : 'border-white/15 text-white/50')}>
+                <Dot platform={p} />{p}
+              </button>
+            ))}
+          </div>
+        </div>
+        <Button tone="pink" disabled={!canWrite || busy || form.prompt.trim().length < 4 || !platforms.length} onClick={generate}>{busy==='generate' ? 'Writing…' : 'Generate captions'}</Button>
+        {usage && <p className="text-xs text-white/40">{usage.calls} call(s) · {usage.promptTokens + usage.completionTokens} tokens · ${usage.costUsd}</p>}
+        <hr className="border-white/10" />
+        <Field label="Approval policy">
+          <select className={inputClass} value={form.policy} onChange={set('policy')}>
+            {Object.entries(meta.data?.policies || { generic:{} }).map(([k, p])=> <option key={k} value={k}>{k}{p.notes ? ` — ${p.notes}` : ''}</option>)}
+          </select>
+        </Field>
+        <Field label="Schedule for (optional)"><input className={inputClass} type="datetime-local" value={form.whenLocal} onChange={set('whenLocal')} /></Field>
+        <Button tone="gold" disabled={!canWrite || busy || !ready} onClick={submit}>{busy==='submit' ? 'Submitting…' : form.whenLocal ? 'Submit & schedule' : 'Submit for approval'}</Button>
+        <Problems error={error || meta.error} />
+        {done && (
+          <p className="rounded-lg bg-emerald-500/10 px-3 py-2 text-sm text-emerald-300">
+            Sent for approval as {done.approval.id} <Badge value={done.approval.status} />{done.job && <> · job {done.job.id} will post once approved.</>}
+          </p>
+        )}
+      </Card>
+
+      <div className="grid content-start gap-4 xl:grid-cols-2">
+        {platforms.map(p=> {
+          const d = drafts[p] || { options:[], text:'' }, limit = limitOf(p), n = count(d.text)
+          const edit = (text)=> setDrafts(all=> ({ ...all, [p]:{ ...d, text } }))
+          return (
+            <Card key={p} className="flex flex-col gap-2">
+              <div className="flex items-center gap-2 text-sm font-semibold"><Dot platform={p} />{p}
+                <span className={cx('ml-auto text-xs font-normal', limit && n > limit ? 'text-red-300' : 'text-white/40')}>{n}{limit ? ` / ${limit}` : ''}</span>
+              </div>
+              {d.options.length > 1 && (
+                <div className="flex flex-wrap gap-1">
+                  {d.options.map((o, i)=> (
+                    <button key={i} onClick={()=> edit(o.text)} title={o.text} className={cx('rounded px-2 py-0.5 text-xs', d.text===o.text ? 'bg-amber-300 text-black' : 'bg-white/5 text-white/60', !o.fits && 'ring-1 ring-red-400')}>
+                      #{i+1} · {o.length}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <textarea className={cx(inputClass, 'h-24')} value={d.text} onChange={(e)=> edit(e.target.value)} placeholder="Generate, or write it yourself" />
+              <Preview platform={p} text={d.text} limit={limit} mediaUrl={form.mediaUrl} name={workspace} />
+            </Card>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+/* Sign in with email + password (session), or paste an API key */
+import React, { useState } from 'react'
+import { api, login, setToken } from './api.js'
+import { Button, Card, ErrorNote, Field, inputClass } from './ui.jsx'
+
+export default function Login({ onReady }){
+  const [mode, setMode] = useState('password')
+  const [form, setForm] = useState({ email:'', password:'', key:'' })
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const set = (k)=> (e)=> setForm(f=> ({ ...f, [k]:e.target.value }))
+
+  async function submit(e){
+    e.preventDefault()
+    setBusy(true); setError(null)
+    try {
+      if(mode==='password') await login(form.email, form.password)
+      else { setToken(form.key.trim()); await api('/api/auth/me') }
+      await onReady()
+    } catch(e){ setToken(''); setError(e) } finally { setBusy(false) }
+  }
+
+  return (
+    <div className="mx-auto mt-24 max-w-sm">
+      <Card>
+        <form onSubmit={submit} className="flex flex-col gap-3">
+          <h2 className="text-lg font-bold">Sign in</h2>
+          {mode==='password' ? <>
+            <Field label="Email"><input className={inputClass} type="email" autoComplete="username" value={form.email} onChange={set('email')} required /></Field>
+            <Field label="Password"><input className={inputClass} type="password" autoComplete="current-password" value={form.password} onChange={set('password')} required /></Field>
+          </> : (
+            <Field label="API key"><input className={inputClass} placeholder="bhk_…" value={form.key} onChange={set('key')} required /></Field>
+          )}
+          <ErrorNote error={error} />
+          <Button tone="gold" disabled={busy}>{busy ? 'Signing in…' : 'Sign in'}</Button>
+          <button type="button" className="text-xs text-white/50 hover:text-white" onClick={()=> setMode(mode==='password' ? 'key' : 'password')}>
+            {mode==='password' ? 'Use an API key instead' : 'Use email and password'}
+          </button>
+        </form>
+      </Card>
+    </div>
+  )
+}
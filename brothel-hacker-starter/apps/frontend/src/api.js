@@ -0,0 +1,37 @@
+/**
+ * Brothel Hacker — API client
+ *
+ * Auth:   the bh_session cookie when the app is served next to the API (vite proxy), else a Bearer token —
+ *         a session from /api/auth/login or an API key (bhk_…) — kept in localStorage.
+ * Errors: non-2xx / ok:false throw an Error whose message is the API's error code; `.status` and `.body` ride along.
+ */
+
+const BASE = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '')
+const KEY = 'bh_token'
+
+export const getToken = ()=> localStorage.getItem(KEY) || ''
+export const setToken = (t)=> t ? localStorage.setItem(KEY, t) : localStorage.removeItem(KEY)
+
+const qs = (query = {})=> {
+  const s = String(new URLSearchParams(Object.entries(query).filter(([,v])=> v!=null && v!=='')))
+  return s ? `?${s}` : ''
+}
+
+export async function api(path, { method = 'GET', body, query } = {}){
+  const token = getToken()
+  const res = await fetch(`${BASE}${path}${qs(query)}`, {
+    method, credentials: BASE ? 'omit' : 'same-origin',
+    headers: { ...(body && { 'content-type':'application/json' }), ...(token && { authorization:`Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  })
+  const data = await res.json().catch(()=> ({ ok:false, error:`http_${res.status}` }))
+  if(!res.ok || data.ok===false){
+    const e = new Error(data.error || `http_${res.status}`)
+    e.status = res.status; e.body = data
+    throw e
+  }
+  return data
+}
+
+export const login = async (email, password)=> { const s = await api('/api/auth/login', { method:'POST', body:{ email, password } }); setToken(s.token); return s }
+export const logout = async ()=> { await api('/api/auth/logout', { method:'POST' }).catch(()=> {}); setToken('') }
@@ -0,0 +1,54 @@
+/* Shared bits: buttons, badges, cards and a loader hook. Pink + gold on near-black. */
+import React, { useCallback, useEffect, useState } from 'react'
+
+export const cx = (...c)=> c.filter(Boolean).join(' ')
+
+export function Button({ tone = 'ghost', className, ...props }){
+  const tones = {
+    gold: 'bg-gradient-to-r from-amber-200 to-amber-400 text-black hover:brightness-110',
+    pink: 'bg-gradient-to-r from-pink-400 to-fuchsia-500 text-black hover:brightness-110',
+    danger: 'border border-red-500/60 text-red-300 hover:bg-red-500/10',
+    ghost: 'border border-white/15 text-white/80 hover:bg-white/5',
+  }
+  return <button {...props} className={cx('rounded-lg px-3 py-1.5 text-sm font-semibold transition disabled:opacity-40 disabled:pointer-events-none', tones[tone], className)} />
+}
+
+const BADGES = {
+  info:'bg-sky-500/15 text-sky-300', warn:'bg-amber-500/15 text-amber-300', violation:'bg-red-500/20 text-red-300',
+  QUEUED:'bg-white/10 text-white/70', RETRY:'bg-amber-500/15 text-amber-300', POSTING:'bg-sky-500/15 text-sky-300', SENDING:'bg-sky-500/15 text-sky-300',
+  POSTED:'bg-emerald-500/15 text-emerald-300', PARTIAL:'bg-amber-500/15 text-amber-300', FAILED:'bg-red-500/20 text-red-300', UNCERTAIN:'bg-red-500/20 text-red-300',
+  BLOCKED:'bg-red-500/20 text-red-300', CANCELLED:'bg-white/5 text-white/40 line-through',
+  PENDING:'bg-amber-500/15 text-amber-300', DECIDED:'bg-white/10 text-white/70', APPROVED:'bg-emerald-500/15 text-emerald-300', REJECTED:'bg-red-500/20 text-red-300',
+}
+export const Badge = ({ value, className })=> <span className={cx('rounded px-1.5 py-0.5 text-[11px] font-semibold uppercase tracking-wide', BADGES[value] || 'bg-white/10 text-white/70', className)}>{value}</span>
+
+export const Card = ({ className, ...props })=> <div {...props} className={cx('rounded-xl border border-white/10 bg-white/[0.03] p-4', className)} />
+
+export const Field = ({ label, children, className })=> (
+  <label className={cx('flex flex-col gap-1 text-xs uppercase tracking-wide text-white/50', className)}>{label}{children}</label>
+)
+export const inputClass = 'rounded-lg border border-white/15 bg-black/40 px-3 py-2 text-sm normal-case tracking-normal text-white outline-none focus:border-pink-400'
+
+export const ErrorNote = ({ error })=> error ? <p className="rounded-lg bg-red-500/10 px-3 py-2 text-sm text-red-300">{error.message || String(error)}</p> : null
+
+export const Empty = ({ children })=> <p className="py-10 text-center text-sm text-white/40">{children}</p>
+
+// Colour per network, used on calendar chips and previews
+export const PLATFORM_COLORS = {
+  instagram:'#e1306c', facebook:'#1877f2', twitter:'#e7e9ea', tiktok:'#25f4ee', linkedin:'#0a66c2', pinterest:'#e60023', reddit:'#ff4500',
+  whatsapp:'#25d366', discord:'#5865f2', medium:'#ffffff', telegram:'#26a5e4', line:'#06c755', viber:'#7360f2',
+}
+export const Dot = ({ platform })=> <span className="inline-block h-2 w-2 shrink-0 rounded-full" style={{ background:PLATFORM_COLORS[platform] || '#999' }} />
+
+// fn() -> promise; re-runs when deps change. -> { data, error, loading, reload }
+export function useLoad(fn, deps){
+  const [state, setState] = useState({ data:null, error:null, loading:true })
+  const reload = useCallback(()=> {
+    setState(s=> ({ ...s, loading:true }))
+    return fn().then(data=> setState({ data, error:null, loading:false }), error=> setState(s=> ({ ...s, error, loading:false })))
+  }, deps)
+  useEffect(()=> { reload() }, [reload])
+  return { ...state, reload }
+}
+
+export const fmtTime = (iso)=> iso ? new Date(iso).toLocaleString(undefined, { dateStyle:'medium', timeStyle:'short' }) : '—'
@@ -1,3 +1,10 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
-export default defineConfig({ plugins: [react()], server: { port: 5173 } })
\ No newline at end of file
+
+// /api and /media go to the API so the session cookie is first-party; set VITE_API_URL instead to call
+// another origin directly (Bearer token only — the API's CORS doesn't allow credentials)
+export default defineConfig(({ mode })=> {
+  const target = loadEnv(mode, process.cwd(), '').API_PROXY || 'http://localhost:8080'
+  const proxy = { '/api': { target, changeOrigin:true }, '/media': { target, changeOrigin:true } }
+  return { plugins: [react()], server: { port: 5173, proxy }, preview: { port: 4173, proxy } }
+})